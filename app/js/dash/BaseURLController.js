@@ -0,0 +1,307 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+Dash.dependencies.BaseURLController = function() {
+    "use strict";
+
+    var ATTR_PRIORITY = "dvb:priority",
+        ATTR_WEIGHT = "dvb:weight",
+        DEFAULT_PRIORITY = 1,
+        DEFAULT_WEIGHT = 1,
+        CHILDREN = ["Period", "AdaptationSet", "Representation"],
+        // Excluded alternatives (after fail-over), by key (serviceLocation or url)
+        excludedKeys = {},
+        // Selected alternative key, by set of alternatives, in order to keep the same selection over manifest refreshes
+        selectedKeys = {},
+        // Redirections of fail-overs (resolved base url of failing alternative => resolved base url of new alternative)
+        redirections = {},
+
+        getUrl = function(baseURL) {
+            return baseURL.toString().trim();
+        },
+
+        getKey = function(baseURL) {
+            return baseURL.serviceLocation ? String(baseURL.serviceLocation) : getUrl(baseURL);
+        },
+
+        getAttribute = function(baseURL, name, defaultValue) {
+            var value = parseInt(baseURL[name], 10);
+
+            return isNaN(value) ? defaultValue : value;
+        },
+
+        getSetId = function(alternatives) {
+            return alternatives.map(getKey).join(" ");
+        },
+
+        isAbsolute = function(url) {
+            return url.indexOf("http://") === 0 || url.indexOf("https://") === 0;
+        },
+
+        getCandidates = function(alternatives, currentKey) {
+            return alternatives.filter(function(baseURL) {
+                var key = getKey(baseURL);
+                return !excludedKeys.hasOwnProperty(key) && key !== currentKey;
+            });
+        },
+
+        // Selects an alternative with the lowest dvb:priority value, with a probability
+        // proportional to its dvb:weight among the alternatives of same priority
+        selectAlternative = function(alternatives) {
+            var setId = getSetId(alternatives),
+                candidates = getCandidates(alternatives),
+                priority = Infinity,
+                totalWeight = 0,
+                random,
+                i;
+
+            if (candidates.length === 0) {
+                // All alternatives have failed, try them again
+                candidates = alternatives;
+            }
+
+            if (selectedKeys.hasOwnProperty(setId)) {
+                for (i = 0; i < candidates.length; i += 1) {
+                    if (getKey(candidates[i]) === selectedKeys[setId]) {
+                        return candidates[i];
+                    }
+                }
+            }
+
+            for (i = 0; i < candidates.length; i += 1) {
+                priority = Math.min(priority, getAttribute(candidates[i], ATTR_PRIORITY, DEFAULT_PRIORITY));
+            }
+
+            candidates = candidates.filter(function(baseURL) {
+                return getAttribute(baseURL, ATTR_PRIORITY, DEFAULT_PRIORITY) === priority;
+            });
+
+            for (i = 0; i < candidates.length; i += 1) {
+                totalWeight += Math.max(getAttribute(candidates[i], ATTR_WEIGHT, DEFAULT_WEIGHT), 0);
+            }
+
+            random = Math.random() * totalWeight;
+            for (i = 0; i < (candidates.length - 1); i += 1) {
+                random -= Math.max(getAttribute(candidates[i], ATTR_WEIGHT, DEFAULT_WEIGHT), 0);
+                if (random < 0) {
+                    break;
+                }
+            }
+
+            selectedKeys[setId] = getKey(candidates[i]);
+
+            return candidates[i];
+        },
+
+        selectBaseURLs = function(element) {
+            var children,
+                i,
+                j;
+
+            if (element.BaseURL_asArray && element.BaseURL_asArray.length > 0) {
+                element.BaseURL = getUrl(selectAlternative(element.BaseURL_asArray));
+            }
+
+            for (i = 0; i < CHILDREN.length; i += 1) {
+                children = element[CHILDREN[i] + "_asArray"] || [];
+                for (j = 0; j < children.length; j += 1) {
+                    selectBaseURLs(children[j]);
+                }
+            }
+        },
+
+        // Calls the callback for the element and all its descendants, parents first
+        walk = function(element, parent, callback) {
+            var children,
+                i,
+                j;
+
+            callback(element, parent);
+
+            for (i = 0; i < CHILDREN.length; i += 1) {
+                children = element[CHILDREN[i] + "_asArray"] || [];
+                for (j = 0; j < children.length; j += 1) {
+                    walk(children[j], element, callback);
+                }
+            }
+        },
+
+        replaceBaseURL = function(element, oldUrl, newUrl) {
+            walk(element, null, function(e) {
+                if (typeof e.BaseURL === "string" && e.BaseURL.indexOf(oldUrl) === 0) {
+                    e.BaseURL = newUrl + e.BaseURL.substr(oldUrl.length);
+                }
+            });
+        },
+
+        getCurrentAlternative = function(element) {
+            var alternatives = element.BaseURL_asArray,
+                setId = getSetId(alternatives),
+                i;
+
+            for (i = 0; i < alternatives.length; i += 1) {
+                if (getKey(alternatives[i]) === selectedKeys[setId]) {
+                    return alternatives[i];
+                }
+            }
+
+            return null;
+        },
+
+        // Returns the deepest element which resolved BaseURL is used by the url, and that has another alternative
+        findElement = function(manifest, url) {
+            var found = null;
+
+            walk(manifest, null, function(element) {
+                var current;
+
+                if (!element.BaseURL_asArray || typeof element.BaseURL !== "string" || url.indexOf(element.BaseURL) !== 0) {
+                    return;
+                }
+
+                current = getCurrentAlternative(element);
+                if (current && getCandidates(element.BaseURL_asArray, getKey(current)).length > 0 &&
+                    (found === null || element.BaseURL.length >= found.BaseURL.length)) {
+                    found = element;
+                }
+            });
+
+            return found;
+        },
+
+        // Switches all the elements that share the same set of alternatives from the failing alternative to a new one
+        switchAlternative = function(manifest, setId, oldAlternative, newAlternative) {
+            var oldAlternativeUrl = getUrl(oldAlternative),
+                newAlternativeUrl = getUrl(newAlternative),
+                mpdUrl = manifest.mpdUrl || "",
+                mpdBaseUrl = mpdUrl.substring(0, mpdUrl.lastIndexOf("/") + 1);
+
+            walk(manifest, null, function(element, parent) {
+                var oldUrl,
+                    newUrl,
+                    baseUrl,
+                    redirection;
+
+                if (!element.BaseURL_asArray || typeof element.BaseURL !== "string" || getSetId(element.BaseURL_asArray) !== setId) {
+                    return;
+                }
+
+                oldUrl = element.BaseURL;
+                if (isAbsolute(newAlternativeUrl)) {
+                    newUrl = newAlternativeUrl;
+                } else {
+                    if (isAbsolute(oldAlternativeUrl)) {
+                        baseUrl = parent ? parent.BaseURL : mpdBaseUrl;
+                    } else {
+                        baseUrl = oldUrl.substr(0, oldUrl.length - oldAlternativeUrl.length);
+                    }
+                    newUrl = baseUrl + newAlternativeUrl;
+                }
+
+                replaceBaseURL(element, oldUrl, newUrl);
+                for (redirection in redirections) {
+                    if (redirections.hasOwnProperty(redirection) && redirections[redirection] === oldUrl) {
+                        redirections[redirection] = newUrl;
+                    }
+                }
+                delete redirections[newUrl];
+                redirections[oldUrl] = newUrl;
+            });
+        },
+
+        failover = function(request) {
+            var manifest = this.manifestModel.getValue(),
+                url = request.url,
+                element,
+                setId,
+                oldAlternative,
+                newAlternative,
+                oldUrl,
+                redirection;
+
+            if (!manifest || !url) {
+                return false;
+            }
+
+            // Request built from a BaseURL resolved before a previous fail-over
+            // (unless already redirected, in case new BaseURL starts with the failing one, e.g. 'http://cdn/' => 'http://cdn/backup/')
+            for (redirection in redirections) {
+                if (redirections.hasOwnProperty(redirection) && url.indexOf(redirection) === 0 && url.indexOf(redirections[redirection]) !== 0) {
+                    request.url = redirections[redirection] + url.substr(redirection.length);
+                    this.debug.info("[BaseURLController] Redirect request to " + request.url);
+                    return true;
+                }
+            }
+
+            element = findElement(manifest, url);
+            if (element === null) {
+                return false;
+            }
+
+            setId = getSetId(element.BaseURL_asArray);
+            oldAlternative = getCurrentAlternative(element);
+            oldUrl = element.BaseURL;
+
+            excludedKeys[getKey(oldAlternative)] = true;
+            delete selectedKeys[setId];
+            newAlternative = selectAlternative(element.BaseURL_asArray);
+
+            switchAlternative(manifest, setId, oldAlternative, newAlternative);
+
+            request.url = element.BaseURL + url.substr(oldUrl.length);
+
+            this.debug.info("[BaseURLController] Fail over from " + oldUrl + " to " + element.BaseURL +
+                (newAlternative.serviceLocation ? " (serviceLocation = " + newAlternative.serviceLocation + ")" : ""));
+
+            this.metricsModel.addBaseURLFailover(request.streamType,
+                new Date(),
+                oldUrl,
+                element.BaseURL,
+                newAlternative.serviceLocation ? String(newAlternative.serviceLocation) : null,
+                request.status);
+
+            return true;
+        };
+
+    return {
+        debug: undefined,
+        manifestModel: undefined,
+        metricsModel: undefined,
+
+        /**
+         * Selects the BaseURL of the element and of all its descendants among their BaseURL alternatives,
+         * according to their dvb:priority and dvb:weight attributes and to the previous fail-overs.
+         * @param {object} element - the MPD, Period, AdaptationSet or Representation element
+         */
+        selectBaseURLs: selectBaseURLs,
+
+        /**
+         * Switches to another BaseURL alternative after the failure of a request, and updates the request url.
+         * @param {object} request - the failed request
+         * @return {boolean} true if the request can be sent again with another BaseURL, false if no alternative is available
+         */
+        failover: failover,
+
+        reset: function() {
+            excludedKeys = {};
+            selectedKeys = {};
+            redirections = {};
+        }
+    };
+};
+
+Dash.dependencies.BaseURLController.prototype = {
+    constructor: Dash.dependencies.BaseURLController
+};
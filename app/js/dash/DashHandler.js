@@ -564,7 +564,8 @@ Dash.dependencies.DashHandler = function() {
 
             presentationStartTime = self.timelineConverter.calcPresentationTimeFromMediaTime(scaledTime, representation);
             // ORANGE: presentationStartTime is the media time of the segment as provided in the SegmentTimeline
-            presentationStartTime = scaledTime; //self.timelineConverter.calcPresentationTimeFromMediaTime(scaledTime, representation);
+            // (mapped onto the presentation timeline for multi-period presentations, see TimelineConverter.calcMSETimeOffset())
+            presentationStartTime = scaledTime + representation.MSETimeOffset; //self.timelineConverter.calcPresentationTimeFromMediaTime(scaledTime, representation);
             presentationEndTime = presentationStartTime + scaledDuration;
 
             seg = new Dash.vo.Segment();
@@ -644,6 +645,15 @@ Dash.dependencies.DashHandler = function() {
                         if (s.decryptionInfo !== undefined) {
                             seg.decryptionInfo = s.decryptionInfo;
                         }
+                        // ORANGE: add discontinuity info (HLS use case)
+                        if (s.discontinuitySequence !== undefined) {
+                            seg.discontinuitySequence = s.discontinuitySequence;
+                            seg.discontinuity = s.discontinuity;
+                        }
+                        // ORANGE: add program date time (HLS use case)
+                        if (s.programDateTime) {
+                            seg.programDateTime = s.programDateTime;
+                        }
                         //self.debug.log("[DashHandler]["+type+"] createSegment: time = " + seg.mediaStartTime + ", availabilityIdx = " + seg.availabilityIdx + ", url = " + seg.media);
 
                         segments.push(seg);
@@ -859,8 +869,10 @@ Dash.dependencies.DashHandler = function() {
             return null;
         },
 
-        // ORANGE: HLS use case, get next segment from sequence number
-        getNextSegmentBySequenceNumber = function(sn, representation) {
+        // ORANGE: HLS use case, get next segment from sequence number, or from program date time if provided
+        // (variants may not be aligned according to sequence number).
+        // Returns null if the next segment is not yet available in the playlist
+        getNextSegmentBySequenceNumber = function(sn, representation, programDateTime) {
             if (!representation || !representation.segments) {
                 return null;
             }
@@ -869,14 +881,34 @@ Dash.dependencies.DashHandler = function() {
                 seg,
                 i;
 
+            // Look for the first segment starting at (or around) the given date
+            if (programDateTime) {
+                for (i = 0; i < ln; i += 1) {
+                    seg = representation.segments[i];
+
+                    if (!seg.programDateTime) {
+                        break;
+                    }
+
+                    if (seg.programDateTime.getTime() >= (programDateTime.getTime() - (seg.duration * 500))) {
+                        return seg;
+                    }
+                }
+
+                if (i === ln) {
+                    return null;
+                }
+            }
+
             for (i = 0; i < ln; i += 1) {
                 seg = representation.segments[i];
 
-                if ((seg.sequenceNumber !== undefined) && (seg.sequenceNumber === sn)) {
-                    if (i < (ln - 1)) {
-                        return representation.segments[i + 1];
+                if ((seg.sequenceNumber !== undefined) && (seg.sequenceNumber > sn)) {
+                    if (seg.sequenceNumber > (sn + 1)) {
+                        // Segment has already been removed from the playlist window
+                        this.debug.warn("[DashHandler][" + type + "] Segment(s) not available anymore, skip to sequence number " + seg.sequenceNumber);
                     }
-                    return null;
+                    return seg;
                 }
             }
 
@@ -946,6 +978,15 @@ Dash.dependencies.DashHandler = function() {
             if (segment.decryptionInfo !== undefined) {
                 request.decryptionInfo = segment.decryptionInfo;
             }
+            // ORANGE: add discontinuity info (HLS use case)
+            if (segment.discontinuitySequence !== undefined) {
+                request.discontinuitySequence = segment.discontinuitySequence;
+                request.discontinuity = segment.discontinuity;
+            }
+            // ORANGE: add program date time (HLS use case)
+            if (segment.programDateTime) {
+                request.programDateTime = segment.programDateTime;
+            }
 
             return request;
         },
@@ -1071,7 +1112,7 @@ Dash.dependencies.DashHandler = function() {
         },
 
         // ORANGE: HLS use case, get next request from sequence number
-        getNextFromSN = function(representation, sn) {
+        getNextFromSN = function(representation, sn, programDateTime) {
             var deferred,
                 request,
                 segment,
@@ -1104,7 +1145,7 @@ Dash.dependencies.DashHandler = function() {
                         //self.debug.log(request);
                         deferred.resolve(request);
                     } else {
-                        segment = getNextSegmentBySequenceNumber(sn, representation);
+                        segment = getNextSegmentBySequenceNumber.call(self, sn, representation, programDateTime);
                         if (segment === null) {
                             deferred.resolve(null);
                         } else {
@@ -1181,8 +1222,10 @@ Dash.dependencies.DashHandler = function() {
             return deferred.promise;
         },
 
-        getIFrameRequest = function( /*request*/ ) {
-            //TBD
+        // Trick mode AdaptationSets (if any) are made of I-frame only segments,
+        // otherwise trick mode falls back to full media segments
+        getIFrameRequest = function(request) {
+            return request;
         },
 
         getFragmentInfoRequest = function( /*request*/ ) {
@@ -16,6 +16,8 @@
 Dash.dependencies.DashManifestExtensions = function() {
     "use strict";
     this.timelineConverter = undefined;
+    this.capabilities = undefined;
+    this.videoModel = undefined;
 };
 
 Dash.dependencies.DashManifestExtensions.prototype = {
@@ -93,13 +95,145 @@ Dash.dependencies.DashManifestExtensions.prototype = {
         return (type === "text/vtt" || type === "application/ttml+xml" || type === "application/ttml+xml+mp4" || type === "application/mp4");
     },
 
-    getIsMain: function( /*adaptation*/ ) {
+    // ORANGE: trick mode AdaptationSet, signaled by the DASH-IF trickmode EssentialProperty
+    getIsTrickMode: function(adaptation) {
         "use strict";
-        // TODO : Check "Role" node.
-        // TODO : Use this somewhere.
+        var properties = adaptation.EssentialProperty_asArray,
+            i;
+
+        if (!properties) {
+            return false;
+        }
+
+        for (i = 0; i < properties.length; i += 1) {
+            if (properties[i].schemeIdUri === "http://dashif.org/guidelines/trickmode") {
+                return true;
+            }
+        }
+
         return false;
     },
 
+    getIsMain: function(adaptation) {
+        "use strict";
+        return this.getRoles(adaptation).indexOf("main") !== -1;
+    },
+
+    // ORANGE: returns the values of the Role descriptors (DASH role scheme)
+    getRoles: function(adaptation) {
+        "use strict";
+        var descriptors = adaptation.Role_asArray || [],
+            roles = [],
+            i;
+
+        for (i = 0; i < descriptors.length; i += 1) {
+            if (descriptors[i].schemeIdUri === "urn:mpeg:dash:role:2011" && descriptors[i].value !== undefined) {
+                roles.push(String(descriptors[i].value));
+            }
+        }
+
+        return roles;
+    },
+
+    // ORANGE: returns the values of the Accessibility descriptors, as DASH role scheme values
+    // (TV-Anytime AudioPurpose values are converted: 1 = 'description', 2 = 'enhanced-audio-intelligibility')
+    getAccessibility: function(adaptation) {
+        "use strict";
+        var descriptors = adaptation.Accessibility_asArray || [],
+            audioPurposes = {
+                "1": "description",
+                "2": "enhanced-audio-intelligibility"
+            },
+            accessibility = [],
+            value,
+            i;
+
+        for (i = 0; i < descriptors.length; i += 1) {
+            value = String(descriptors[i].value);
+            if (descriptors[i].schemeIdUri === "urn:mpeg:dash:role:2011" && descriptors[i].value !== undefined) {
+                accessibility.push(value);
+            } else if (descriptors[i].schemeIdUri === "urn:tva:metadata:cs:AudioPurposeCS:2007" && audioPurposes.hasOwnProperty(value)) {
+                accessibility.push(audioPurposes[value]);
+            }
+        }
+
+        return accessibility;
+    },
+
+    // Tells if the track is dedicated to a specific purpose (audio description, commentary, captions...),
+    // i.e. it should not be selected by default
+    getIsSpecificPurpose: function(adaptation) {
+        "use strict";
+        var purposes = ["caption", "commentary", "description", "enhanced-audio-intelligibility", "forced-subtitle"],
+            roles = this.getRoles(adaptation),
+            i;
+
+        if (this.getAccessibility(adaptation).length > 0) {
+            return true;
+        }
+
+        for (i = 0; i < roles.length; i += 1) {
+            if (purposes.indexOf(roles[i]) !== -1) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    // Returns the role that best identifies the track (its specific purpose if any), in order to select
+    // the equivalent track in another period
+    getTrackRole: function(adaptation) {
+        "use strict";
+        var accessibility = this.getAccessibility(adaptation),
+            roles = this.getRoles(adaptation);
+
+        if (accessibility.length > 0) {
+            return accessibility[0];
+        }
+
+        return (this.getIsSpecificPurpose(adaptation) || roles.indexOf("main") === -1) ? roles[0] : "main";
+    },
+
+    getHasRole: function(adaptation, role) {
+        "use strict";
+        return (this.getRoles(adaptation).indexOf(role) !== -1) || (this.getAccessibility(adaptation).indexOf(role) !== -1);
+    },
+
+    // Selects among the tracks the one in the given language (or among all tracks if none matches the language)
+    // having the given role (in Role or Accessibility descriptors), else the first one with no specific purpose
+    getSpecificData: function(datas, language, role) {
+        "use strict";
+        var candidates,
+            selected = null,
+            bestScore = -1,
+            score,
+            i;
+
+        if (datas.length === 0) {
+            return null;
+        }
+
+        candidates = datas.filter(function(data) {
+            return data.lang === language;
+        });
+
+        if (candidates.length === 0) {
+            candidates = datas;
+        }
+
+        for (i = 0; i < candidates.length; i += 1) {
+            score = (role && this.getHasRole(candidates[i], role)) ? 2 : 0;
+            score += this.getIsSpecificPurpose(candidates[i]) ? 0 : 1;
+            if (score > bestScore) {
+                bestScore = score;
+                selected = candidates[i];
+            }
+        }
+
+        return selected;
+    },
+
     processAdaptation: function(adaptation) {
         "use strict";
         if (adaptation.Representation_asArray !== undefined && adaptation.Representation_asArray !== null) {
@@ -191,26 +325,133 @@ Dash.dependencies.DashManifestExtensions.prototype = {
         return -1;
     },
 
+    getIsPlayable: function(adaptation) {
+        "use strict";
+        var codec = this.getCodec(adaptation);
+
+        if (codec === null) {
+            return false;
+        }
+
+        if (!this.capabilities || !this.videoModel) {
+            return true;
+        }
+
+        return this.capabilities.supportsCodec(this.videoModel.getElement(), codec);
+    },
+
+    getSelectionPriority: function(adaptation) {
+        "use strict";
+        var priority = parseInt(adaptation.selectionPriority, 10);
+
+        return isNaN(priority) ? 1 : priority;
+    },
+
+    // ORANGE: returns the playable video AdaptationSets (except trick mode ones),
+    // sorted by decreasing @selectionPriority and then in manifest order
+    getVideoDatas: function(manifest, periodIndex) {
+        "use strict";
+        var adaptations,
+            datas = [],
+            self = this,
+            i;
+
+        if (!manifest || periodIndex < 0) {
+            return datas;
+        }
+
+        adaptations = manifest.Period_asArray[periodIndex].AdaptationSet_asArray;
+
+        for (i = 0; i < adaptations.length; i += 1) {
+            if (this.getIsVideo(adaptations[i]) && !this.getIsTrickMode(adaptations[i]) && this.getIsPlayable(adaptations[i])) {
+                datas.push(adaptations[i]);
+            }
+        }
+
+        datas.sort(function(a, b) {
+            return (self.getSelectionPriority(b) - self.getSelectionPriority(a)) || (adaptations.indexOf(a) - adaptations.indexOf(b));
+        });
+
+        return datas;
+    },
+
     getVideoData: function(manifest, periodIndex) {
         "use strict";
         //return null;
         //------------------------------------
         var adaptations,
+            datas,
             i;
 
         if (!manifest || periodIndex < 0) {
             return null;
         }
 
+        // Select the best playable video AdaptationSet
+        datas = this.getVideoDatas(manifest, periodIndex);
+        if (datas.length > 0) {
+            return datas[0];
+        }
+
+        // If none is playable, return the first one (codec error will be raised when creating buffer)
         adaptations = manifest.Period_asArray[periodIndex].AdaptationSet_asArray;
 
-        if (adaptations.length === 0) {
+        for (i = 0; i < adaptations.length; i += 1) {
+            if (this.getIsVideo(adaptations[i]) && !this.getIsTrickMode(adaptations[i])) {
+                return adaptations[i];
+            }
+        }
+
+        return null;
+    },
+
+    getSpecificVideoData: function(manifest, periodIndex, id) {
+        "use strict";
+        var i,
+            datas;
+
+        datas = this.getVideoDatas(manifest, periodIndex);
+
+        for (i = 0; i < datas.length; i += 1) {
+            if (datas[i].id === id) {
+                return datas[i];
+            }
+        }
+
+        //if the specific video track has not been found, return the best one.
+        return this.getVideoData(manifest, periodIndex);
+    },
+
+    // Returns the trick mode AdaptationSet of the given video AdaptationSet, i.e. the one whose
+    // trickmode property value lists the video AdaptationSet id (or the first one if the value is not set)
+    getTrickModeData: function(manifest, periodIndex, videoData) {
+        "use strict";
+        var adaptations,
+            properties,
+            ids,
+            i,
+            j;
+
+        if (!manifest || periodIndex < 0 || !videoData) {
             return null;
         }
 
+        adaptations = manifest.Period_asArray[periodIndex].AdaptationSet_asArray;
+
         for (i = 0; i < adaptations.length; i += 1) {
-            if (this.getIsVideo(adaptations[i])) {
-                return adaptations[i];
+            if (this.getIsVideo(adaptations[i]) && this.getIsTrickMode(adaptations[i])) {
+                properties = adaptations[i].EssentialProperty_asArray;
+                for (j = 0; j < properties.length; j += 1) {
+                    if (properties[j].schemeIdUri === "http://dashif.org/guidelines/trickmode") {
+                        if ((properties[j].value === undefined) || (properties[j].value === null)) {
+                            return adaptations[i];
+                        }
+                        ids = String(properties[j].value).split(" ");
+                        if (ids.indexOf(String(videoData.id)) !== -1) {
+                            return adaptations[i];
+                        }
+                    }
+                }
             }
         }
 
@@ -272,52 +513,31 @@ Dash.dependencies.DashManifestExtensions.prototype = {
         return datas;
     },
 
-    getSpecificAudioData: function(manifest, periodIndex, language) {
+    getSpecificAudioData: function(manifest, periodIndex, language, role) {
         "use strict";
-        var i,
-            datas;
-
+        var data;
 
         if (!manifest || periodIndex < 0) {
             return null;
         }
 
-        datas = this.getAudioDatas(manifest, periodIndex);
-        if (datas.length === 0) {
-            return null;
-        }
+        //if the specific language has not been found, select among all tracks.
+        data = this.getSpecificData(this.getAudioDatas(manifest, periodIndex), language, role);
 
-        for (i = 0; i < datas.length; i += 1) {
-            if (datas[i].lang === language) {
-                return this.processAdaptation(datas[i]);
-            }
-        }
-
-        //if the specific language has not been found, return the first one.
-        return this.processAdaptation(datas[0]);
+        return (data !== null) ? this.processAdaptation(data) : null;
     },
 
-    getSpecificTextData: function(manifest, periodIndex, language) {
+    getSpecificTextData: function(manifest, periodIndex, language, role) {
         "use strict";
-        var i,
-            datas;
+        var data;
 
         if (!manifest || periodIndex < 0) {
             return null;
         }
 
-        datas = this.getTextDatas(manifest, periodIndex);
-        if (datas.length === 0) {
-            return null;
-        }
-
-        for (i = 0; i < datas.length; i += 1) {
-            if (datas[i].lang === language) {
-                return this.processAdaptation(datas[i]);
-            }
-        }
+        data = this.getSpecificData(this.getTextDatas(manifest, periodIndex), language, role);
 
-        return this.processAdaptation(datas[0]);
+        return (data !== null) ? this.processAdaptation(data) : null;
     },
 
     getCodec: function(adaptation) {
@@ -408,6 +628,58 @@ Dash.dependencies.DashManifestExtensions.prototype = {
         return mpdDuration;
     },
 
+    // ORANGE: preferred start point (HLS #EXT-X-START), as an offset in seconds from the beginning of the presentation,
+    // or from its end (live edge for dynamic streams) if negative
+    getStartOffset: function(manifest) {
+        "use strict";
+        if (manifest && (typeof manifest.startOffset === "number")) {
+            return manifest.startOffset;
+        }
+
+        return NaN;
+    },
+
+    // ORANGE: clock synchronization sources (UTCTiming elements), in order of preference.
+    // Each source is described by its scheme ('direct', 'http-head', 'http-xsdate', 'http-iso'...) and its value
+    // (one source per url for http schemes)
+    getUTCTimingSources: function(manifest) {
+        "use strict";
+        var sources = [],
+            utcTiming,
+            match,
+            urls,
+            i,
+            j;
+
+        if (!manifest || !manifest.hasOwnProperty("UTCTiming_asArray")) {
+            return sources;
+        }
+
+        for (i = 0; i < manifest.UTCTiming_asArray.length; i++) {
+            utcTiming = manifest.UTCTiming_asArray[i];
+            match = /^urn:mpeg:dash:utc:([a-z\-]+):201[24]$/.exec(utcTiming.schemeIdUri);
+            if (match === null) {
+                continue;
+            }
+            if (match[1].indexOf("http-") === 0) {
+                urls = String(utcTiming.value).trim().split(/\s+/);
+                for (j = 0; j < urls.length; j++) {
+                    sources.push({
+                        scheme: match[1],
+                        value: (urls[j].indexOf("http://") === 0 || urls[j].indexOf("https://") === 0) ? urls[j] : (manifest.BaseURL + urls[j])
+                    });
+                }
+            } else {
+                sources.push({
+                    scheme: match[1],
+                    value: utcTiming.value
+                });
+            }
+        }
+
+        return sources;
+    },
+
     getBandwidth: function(representation) {
         "use strict";
         return representation.bandwidth;
@@ -518,6 +790,12 @@ Dash.dependencies.DashManifestExtensions.prototype = {
                 if (segmentInfo.hasOwnProperty("presentationTimeOffset")) {
                     representation.presentationTimeOffset = segmentInfo.presentationTimeOffset / representation.timescale;
                 }
+                if (segmentInfo.hasOwnProperty("availabilityTimeOffset") && !isNaN(segmentInfo.availabilityTimeOffset)) {
+                    representation.availabilityTimeOffset = segmentInfo.availabilityTimeOffset;
+                }
+                if (segmentInfo.hasOwnProperty("availabilityTimeComplete")) {
+                    representation.availabilityTimeComplete = (segmentInfo.availabilityTimeComplete !== "false");
+                }
 
                 representation.MSETimeOffset = this.timelineConverter.calcMSETimeOffset(representation);
                 representations.push(representation);
@@ -527,6 +805,31 @@ Dash.dependencies.DashManifestExtensions.prototype = {
         return representations;
     },
 
+    // ORANGE: checks if the playback can switch seamlessly from a period to another one within the same MSE buffers,
+    // i.e. if both periods contain the same media types with the same codecs
+    getIsSeamlessPeriodSwitch: function(manifest, fromPeriodIndex, toPeriodIndex) {
+        "use strict";
+        var self = this,
+            getCodecType = function(adaptation) {
+                var codec = adaptation ? self.getCodec(adaptation) : null;
+
+                // Compare mime type and codec identifier only, since profiles and levels may differ from one period to another
+                return codec ? codec.replace(/codecs="([^".]*)[^"]*"/, 'codecs="$1"') : null;
+            },
+            getAudioData = function(periodIndex) {
+                var datas = self.getAudioDatas(manifest, periodIndex);
+
+                return (datas.length > 0) ? datas[0] : null;
+            };
+
+        if (!manifest || fromPeriodIndex < 0 || toPeriodIndex < 0) {
+            return false;
+        }
+
+        return (getCodecType(this.getVideoData(manifest, fromPeriodIndex)) === getCodecType(this.getVideoData(manifest, toPeriodIndex))) &&
+               (getCodecType(getAudioData(fromPeriodIndex)) === getCodecType(getAudioData(toPeriodIndex)));
+    },
+
     getAdaptationsForPeriod: function(manifest, period) {
         var p = manifest === null ? null : manifest.Period_asArray[period.index],
             adaptations = [],
@@ -583,6 +886,15 @@ Dash.dependencies.DashManifestExtensions.prototype = {
                 vo.start = 0;
             }
 
+            // ORANGE: a remote Period (XLink) that has not been resolved yet (see XlinkController)
+            // can not be composed, neither can the following Periods
+            if (p.hasOwnProperty("xlink:href")) {
+                if (vo1 !== null && vo !== null && isNaN(vo1.duration)) {
+                    vo1.duration = vo.start - vo1.start;
+                }
+                break;
+            }
+
             // The Period extends until the PeriodStart of the next Period.
             // The difference between the PeriodStart time of a Period and
             // the PeriodStart time of the following Period.
@@ -251,7 +251,7 @@ Dash.dependencies.DashParser = function () {
                         var mergedValue;
 
                         // child is absolute, don't merge
-                        if (childValue.indexOf("http://") === 0) {
+                        if (childValue.indexOf("http://") === 0 || childValue.indexOf("https://") === 0) {
                             mergedValue = childValue;
                         } else {
                             mergedValue = parentValue + childValue;
@@ -325,16 +325,14 @@ Dash.dependencies.DashParser = function () {
                 manifest = converter.xml_str2json(data);
                 json = new Date();
 
+                // ORANGE: select the BaseURL of each element among its alternatives (see BaseURLController)
+                this.baseURLController.selectBaseURLs(manifest);
+
                 if (!manifest.hasOwnProperty("BaseURL")) {
                     //this.debug.log("Setting baseURL: " + baseUrl);
                     manifest.BaseURL = baseUrl;
-                } else {
-                    // Setting manifest's BaseURL to the first BaseURL
-                    manifest.BaseURL = manifest.BaseURL_asArray[0];
-
-                    if (manifest.BaseURL.toString().indexOf("http") !== 0) {
-                        manifest.BaseURL = baseUrl + manifest.BaseURL;
-                    }
+                } else if (manifest.BaseURL.indexOf("http") !== 0) {
+                    manifest.BaseURL = baseUrl + manifest.BaseURL;
                 }
 
                 //this.debug.log("Flatten manifest properties.");
@@ -348,11 +346,78 @@ Dash.dependencies.DashParser = function () {
             }
 
             return Q.when(manifest);
+        },
+
+        // ORANGE: parses a XLink remote element entity (see XlinkController), that may contain zero, one or several elements.
+        // The elements are flattened within the context of the parent element they will be inserted in.
+        internalParseRemoteElements = function (data, name, parent) {
+            var converter = new X2JS(matchers, '', true),
+                iron = new ObjectIron(getDashMap()),
+                inheritedProperties = ["BaseURL", "SegmentBase", "SegmentTemplate", "SegmentList"],
+                response,
+                elements,
+                root,
+                period,
+                i;
+
+            try {
+                // Wrap the elements into a root element, since the remote entity is not necessarily a well-formed document
+                data = data.replace(/^\s*<\?xml[^>]*\?>/, "");
+                response = converter.xml_str2json("<response xmlns:xlink=\"http://www.w3.org/1999/xlink\">" + data + "</response>");
+                if (response === null) {
+                    return null;
+                }
+
+                elements = response[name + "_asArray"] || [];
+                if (elements.length === 0) {
+                    return elements;
+                }
+
+                for (i = 0; i < elements.length; i += 1) {
+                    this.baseURLController.selectBaseURLs(elements[i]);
+                }
+
+                if (name === "Period") {
+                    root = {};
+                    if (parent.hasOwnProperty("BaseURL")) {
+                        root.BaseURL = parent.BaseURL;
+                    }
+                    root.Period = root.Period_asArray = elements;
+                } else {
+                    period = {};
+                    for (i = 0; i < inheritedProperties.length; i += 1) {
+                        if (parent.hasOwnProperty(inheritedProperties[i])) {
+                            period[inheritedProperties[i]] = parent[inheritedProperties[i]];
+                        }
+                    }
+                    period[name] = period[name + "_asArray"] = elements;
+                    root = {
+                        Period: period,
+                        Period_asArray: [period]
+                    };
+                }
+
+                iron.run(root);
+            } catch (e) {
+                return null;
+            }
+
+            return elements;
         };
 
     return {
         debug: undefined,
-        parse: internalParse
+        baseURLController: undefined,
+        parse: internalParse,
+
+        /**
+         * Parses the elements of a XLink remote element entity.
+         * @param {string} data - the remote element entity
+         * @param {string} name - the name of the elements (for example 'Period' or 'AdaptationSet')
+         * @param {object} parent - the parent element (MPD or Period) in which the elements are to be inserted
+         * @return {Array} the parsed elements, or null if the entity could not be parsed
+         */
+        parseRemoteElements: internalParseRemoteElements
     };
 };
 
@@ -14,9 +14,7 @@
 Dash.dependencies.TimelineConverter = function() {
     "use strict";
 
-    var clientServerTimeShift = 0,
-
-        calcAvailabilityTimeFromPresentationTime = function(presentationTime, mpd, isDynamic, calculateEnd) {
+    var calcAvailabilityTimeFromPresentationTime = function(presentationTime, mpd, isDynamic, calculateEnd) {
             var availabilityTime = NaN;
 
             if (calculateEnd) {
@@ -136,6 +134,7 @@ Dash.dependencies.TimelineConverter = function() {
                     end: end
                 },
                 checkTime,
+                clientServerTimeShift,
                 now;
 
             if (!isDynamic) {
@@ -146,6 +145,8 @@ Dash.dependencies.TimelineConverter = function() {
                 return representation.segmentAvailabilityRange;
             }
 
+            // Client clock offset, as measured from UTCTiming (see TimeSyncController)
+            clientServerTimeShift = representation.adaptation.period.mpd.clientServerTimeShift * 1000;
             checkTime = representation.adaptation.period.mpd.checkTime;
             now = calcPresentationTimeFromWallTime(new Date((new Date().getTime()) + clientServerTimeShift), representation.adaptation.period);
             //the Media Segment list is further restricted by the CheckTime together with the MPD attribute
@@ -153,6 +154,12 @@ Dash.dependencies.TimelineConverter = function() {
             // Media Segment and the Period start time falls in the interval [NOW- MPD@timeShiftBufferDepth - @duration, min(CheckTime, NOW)] are included.
             start = Math.max((now - representation.adaptation.period.mpd.timeShiftBufferDepth), 0);
             checkTime += (clientServerTimeShift / 1000);
+            // Segments are available earlier according to @availabilityTimeOffset, as long as they are complete
+            // or can be loaded while being produced (low latency chunked transfer, see FragmentLoader)
+            if ((representation.availabilityTimeOffset > 0) &&
+                (representation.availabilityTimeComplete !== false || this.config.getParam("BufferController.lowLatencyMode", "boolean", false))) {
+                now += representation.availabilityTimeOffset;
+            }
             end = isNaN(checkTime) ? now : Math.min(checkTime, now);
             range = {
                 start: start,
@@ -172,16 +179,26 @@ Dash.dependencies.TimelineConverter = function() {
             clientServerTimeShift = period.mpd.clientServerTimeShift * 1000;
         },*/
 
+        // ORANGE: timestamp offset to be applied to media segments when appending them into the MSE buffers.
+        // For multi-period presentations, media times are mapped onto the presentation timeline (period start - presentation time offset),
+        // so that consecutive periods can be appended into the same MSE buffers.
+        // For single period presentations, media times are kept as is (presentation time = media time).
         calcMSETimeOffset = function(representation) {
-            var presentationOffset = representation.presentationTimeOffset;
+            var period = representation.adaptation.period,
+                presentationOffset = representation.presentationTimeOffset;
+
+            if (!period.mpd || !period.mpd.manifest || period.mpd.manifest.Period_asArray.length <= 1) {
+                return 0;
+            }
 
-            return (-presentationOffset);
+            return (period.start - presentationOffset);
         };
 
     return {
         system: undefined,
         debug: undefined,
         uriQueryFragModel: undefined,
+        config: undefined,
 
         setup: function() {
             //this.system.mapHandler("liveEdgeFound", undefined, liveEdgeFound.bind(this));
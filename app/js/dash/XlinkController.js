@@ -0,0 +1,317 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+Dash.dependencies.XlinkController = function() {
+    "use strict";
+
+    var RESOLVE_TO_ZERO = "urn:mpeg:dash:resolve-to-zero:2013",
+        ATTR_HREF = "xlink:href",
+        ATTR_ACTUATE = "xlink:actuate",
+        ACTUATE_ON_LOAD = "onLoad",
+        RETRY_ATTEMPTS = 1,
+        RETRY_INTERVAL = 500,
+        // Remote element entities (promises) already requested, by url
+        remoteEntities = {},
+
+        isRemoteElement = function(element, onLoadOnly) {
+            if (!element.hasOwnProperty(ATTR_HREF)) {
+                return false;
+            }
+            // Default value of xlink:actuate is 'onRequest'
+            return !onLoadOnly || (element[ATTR_ACTUATE] === ACTUATE_ON_LOAD);
+        },
+
+        getUrl = function(href, manifest) {
+            if (href.indexOf("http://") === 0 || href.indexOf("https://") === 0) {
+                return href;
+            }
+            return manifest.BaseURL + href;
+        },
+
+        loadRemoteEntity = function(url) {
+            var deferred = Q.defer(),
+                xhrLoader;
+
+            if (remoteEntities.hasOwnProperty(url)) {
+                return remoteEntities[url];
+            }
+
+            this.debug.log("[XlinkController] Load remote element entity: " + url);
+
+            xhrLoader = new MediaPlayer.dependencies.XHRLoader();
+            xhrLoader.initialize('text', RETRY_ATTEMPTS, RETRY_INTERVAL);
+            xhrLoader.load(url).then(
+                function(request) {
+                    deferred.resolve(request.responseText);
+                },
+                function(request) {
+                    delete remoteEntities[url];
+                    deferred.reject({
+                        name: MediaPlayer.dependencies.ErrorHandler.prototype.DOWNLOAD_ERR_XLINK,
+                        message: "Failed to download XLink remote element",
+                        data: {
+                            url: url,
+                            status: request ? request.status : undefined
+                        }
+                    });
+                }
+            );
+
+            remoteEntities[url] = deferred.promise;
+
+            return deferred.promise;
+        },
+
+        // If the resolution fails, the element is kept as is if it has its own content, otherwise it is removed
+        getDefaultContent = function(element, name) {
+            var children = (name === "Period") ? "AdaptationSet" : "Representation";
+
+            delete element[ATTR_HREF];
+            delete element[ATTR_ACTUATE];
+
+            return element.hasOwnProperty(children) ? [element] : [];
+        },
+
+        // Returns a promise resolved with the list of elements that replace the given element
+        resolveElement = function(element, name, parent, manifest) {
+            var self = this,
+                href = element[ATTR_HREF],
+                url;
+
+            if (href === RESOLVE_TO_ZERO) {
+                self.debug.log("[XlinkController] " + name + " resolved to zero");
+                return Q.when([]);
+            }
+
+            url = getUrl(href, manifest);
+
+            return loadRemoteEntity.call(self, url).then(
+                function(data) {
+                    var elements = self.dashParser.parseRemoteElements(data, name, parent);
+
+                    if (elements === null) {
+                        return Q.reject({
+                            name: MediaPlayer.dependencies.ErrorHandler.prototype.MANIFEST_ERR_PARSE,
+                            message: "Failed to parse XLink remote element",
+                            data: {
+                                url: url
+                            }
+                        });
+                    }
+
+                    self.debug.log("[XlinkController] " + name + " resolved to " + elements.length + " element(s): " + url);
+                    return elements;
+                }
+            ).then(null,
+                function(error) {
+                    self.debug.warn("[XlinkController] Failed to resolve " + name + ": " + url);
+                    self.errHandler.sendWarning(error.name, error.message, error.data);
+                    return getDefaultContent(element, name);
+                }
+            );
+        },
+
+        resolveElements = function(parent, name, manifest, onLoadOnly) {
+            var self = this,
+                elements = parent[name + "_asArray"],
+                funcs = [],
+                i;
+
+            if (!elements) {
+                return Q.when(true);
+            }
+
+            for (i = 0; i < elements.length; i += 1) {
+                if (isRemoteElement(elements[i], onLoadOnly)) {
+                    funcs.push(resolveElement.call(self, elements[i], name, parent, manifest));
+                } else {
+                    funcs.push(Q.when([elements[i]]));
+                }
+            }
+
+            return Q.all(funcs).then(
+                function(results) {
+                    setElements(parent, name, Array.prototype.concat.apply([], results));
+                }
+            );
+        },
+
+        setElements = function(parent, name, elements) {
+            // Keep the same structure as the xml2json conversion
+            parent[name + "_asArray"] = elements;
+            if (elements.length === 0) {
+                delete parent[name];
+            } else {
+                parent[name] = (elements.length === 1) ? elements[0] : elements;
+            }
+        },
+
+        isRequested = function(element, manifest) {
+            var href = element[ATTR_HREF];
+
+            return (href === RESOLVE_TO_ZERO) || remoteEntities.hasOwnProperty(getUrl(href, manifest));
+        },
+
+        // Resolves the remote Periods (xlink:actuate="onRequest") that have already been requested, plus the next one if loadNext is true
+        // or if no Period precedes it. The following Periods are left unresolved, and thus are not composed until the next Period is requested
+        // (see DashManifestExtensions.getRegularPeriods())
+        resolvePeriodsOnRequest = function(manifest, loadNext) {
+            var self = this,
+                periods = manifest.Period_asArray || [],
+                previousPeriod = false,
+                funcs = [],
+                i;
+
+            for (i = 0; i < periods.length; i += 1) {
+                if (isRemoteElement(periods[i], false)) {
+                    if (!isRequested(periods[i], manifest)) {
+                        if (!loadNext && previousPeriod) {
+                            break;
+                        }
+                        loadNext = false;
+                    }
+                    previousPeriod = previousPeriod || (periods[i][ATTR_HREF] !== RESOLVE_TO_ZERO);
+                    funcs.push(resolveElement.call(self, periods[i], "Period", manifest, manifest));
+                } else {
+                    previousPeriod = true;
+                    funcs.push(Q.when([periods[i]]));
+                }
+            }
+
+            return Q.all(funcs).then(
+                function(results) {
+                    var resolved = Array.prototype.concat.apply([], results);
+
+                    setElements(manifest, "Period", resolved.concat(periods.slice(i)));
+
+                    // Return the number of Periods that can be composed
+                    return resolved.length;
+                }
+            );
+        },
+
+        hasRemoteElements = function(manifest, onLoadOnly) {
+            var periods = manifest.Period_asArray || [],
+                adaptations,
+                i,
+                j;
+
+            for (i = 0; i < periods.length; i += 1) {
+                if (isRemoteElement(periods[i], onLoadOnly)) {
+                    return true;
+                }
+                adaptations = periods[i].AdaptationSet_asArray || [];
+                for (j = 0; j < adaptations.length; j += 1) {
+                    if (isRemoteElement(adaptations[j], onLoadOnly)) {
+                        return true;
+                    }
+                }
+            }
+
+            return false;
+        },
+
+        resolve = function(manifest, onLoadOnly) {
+            var self = this;
+
+            if (!manifest || !hasRemoteElements(manifest, onLoadOnly)) {
+                return Q.when(manifest);
+            }
+
+            // Resolve Periods first, since resolved Periods may contain remote AdaptationSets
+            return resolveElements.call(self, manifest, "Period", manifest, onLoadOnly).then(
+                function() {
+                    var funcs = [],
+                        i;
+
+                    for (i = 0; i < manifest.Period_asArray.length; i += 1) {
+                        funcs.push(resolveElements.call(self, manifest.Period_asArray[i], "AdaptationSet", manifest, onLoadOnly));
+                    }
+
+                    return Q.all(funcs);
+                }
+            ).then(
+                function() {
+                    return manifest;
+                }
+            );
+        };
+
+    return {
+        debug: undefined,
+        dashParser: undefined,
+        errHandler: undefined,
+
+        /**
+         * Resolves the remote Period and AdaptationSet elements (xlink:href) to be resolved at manifest loading (xlink:actuate="onLoad").
+         * @param {object} manifest - the manifest
+         * @return {object} a promise resolved with the manifest once the remote elements have been resolved
+         */
+        resolveOnLoad: function(manifest) {
+            return resolve.call(this, manifest, true);
+        },
+
+        /**
+         * Resolves the remote Period and AdaptationSet elements (xlink:actuate="onRequest") of the Periods to be composed.
+         * Remote Periods are resolved lazily: only the Periods already requested are resolved (from cache), and the next remote
+         * Period is requested only if loadNext is true (i.e. when the previous Period is about to be pre-buffered), or if it is
+         * the first Period of the presentation.
+         * @param {object} manifest - the manifest
+         * @param {boolean} loadNext - true to request the next remote Period
+         * @return {object} a promise resolved with the manifest once the remote elements have been resolved
+         */
+        resolveOnRequest: function(manifest, loadNext) {
+            var self = this;
+
+            if (!manifest || !hasRemoteElements(manifest, false)) {
+                return Q.when(manifest);
+            }
+
+            return resolvePeriodsOnRequest.call(self, manifest, loadNext).then(
+                function(count) {
+                    var funcs = [],
+                        i;
+
+                    for (i = 0; i < count; i += 1) {
+                        funcs.push(resolveElements.call(self, manifest.Period_asArray[i], "AdaptationSet", manifest, false));
+                    }
+
+                    return Q.all(funcs);
+                }
+            ).then(
+                function() {
+                    return manifest;
+                }
+            );
+        },
+
+        /**
+         * Tells if the manifest contains remote elements that have not been resolved yet.
+         * @param {object} manifest - the manifest
+         * @return {boolean} true if the manifest contains remote elements
+         */
+        hasRemoteElements: function(manifest) {
+            return !!manifest && hasRemoteElements(manifest, false);
+        },
+
+        reset: function() {
+            remoteEntities = {};
+        }
+    };
+};
+
+Dash.dependencies.XlinkController.prototype = {
+    constructor: Dash.dependencies.XlinkController
+};
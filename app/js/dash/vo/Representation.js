@@ -24,6 +24,9 @@ Dash.vo.Representation = function () {
     this.indexRange = null;
     this.range = null;
     this.presentationTimeOffset = 0;
+    // Segments are available availabilityTimeOffset seconds earlier, but may be incomplete if availabilityTimeComplete is false (low latency)
+    this.availabilityTimeOffset = 0;
+    this.availabilityTimeComplete = true;
     // Set the source buffer timeOffset to this
     this.MSETimeOffset = NaN;
     this.segmentAvailabilityRange = null;
@@ -23,12 +23,12 @@ Hls.dependencies.HlsDemux = function() {
         return tmp;
     };
 
-    var pat = null,
-        pmt = null,
-        pidToTrackId = [],
-        tracks = [],
-        baseDts = -1,
-        dtsOffset = -1,
+    // Demultiplexing context (PSI and tracks) for each stream type, since audio may be delivered
+    // in separate chunks (alternate renditions) while timestamps offsets are shared among all streams.
+    // Timestamps offsets are stored for each discontinuity sequence since MPEG-2 TS timestamps
+    // are reset at each discontinuity (for example at ads insertion boundaries)
+    var contexts = {},
+        timestampOffsets = {},
 
         getTsPacket = function(data, offset, pid, pusi) {
             var i = offset,
@@ -53,8 +53,76 @@ Hls.dependencies.HlsDemux = function() {
             return null;
         },
 
+        getContext = function(streamType) {
+            if (!contexts[streamType]) {
+                contexts[streamType] = {
+                    pat: null,
+                    pmt: null,
+                    pidToTrackId: [],
+                    tracks: [],
+                    trackTypes: null,
+                    metadataPid: -1,
+                    metadata: [],
+                    discontinuitySequence: 0,
+                    startTime: 0
+                };
+            }
+            return contexts[streamType];
+        },
+
+        getTracks = function(data, context) {
+            var i = 0,
+                trackIdCounter = 1, // start at 1;
+                tracks = context.tracks,
+                trackType;
+
+            // Parse PSI (PAT, PMT) if not yet received
+            if (context.pat === null) {
+                context.pat = getPAT.call(this, data);
+                if (context.pat === null) {
+                    throw {
+                        name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
+                        message: "Failed to demux, missing signalization (PAT)"
+                    };
+                }
+            }
+
+            if (context.pmt === null) {
+                context.pmt = getPMT.call(this, data, context.pat.getPmtPid(), context);
+                if (context.pmt === null) {
+                    throw {
+                        name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
+                        message: "Failed to demux, missing signalization (PMT)"
+                    };
+                }
+            }
+
+            // Get track information and remove tracks for which we did not manage to get codec information (no packet ?!)
+            for (i = tracks.length - 1; i >= 0; i--) {
+                getTrackCodecInfo.call(this, data, tracks[i]);
+                if (tracks[i].codecs === "") {
+                    trackType = tracks[i].type;
+                    tracks.splice(i, 1);
+                    throw {
+                        name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
+                        message: "Failed to get codec information for track " + trackType
+                    };
+                }
+            }
+
+            // Set track id and map to to PID
+            for (i = 0; i < tracks.length; i++) {
+                tracks[i].trackId = trackIdCounter;
+                context.pidToTrackId[tracks[i].pid] = trackIdCounter;
+                trackIdCounter++;
+            }
+
+            return tracks;
+        },
+
         getPAT = function(data) {
-            var tsPacket = getTsPacket.call(this, data, 0, mpegts.ts.TsPacket.prototype.PAT_PID);
+            var tsPacket = getTsPacket.call(this, data, 0, mpegts.ts.TsPacket.prototype.PAT_PID),
+                pat;
 
             if (tsPacket === null) {
                 return null;
@@ -68,8 +136,9 @@ Hls.dependencies.HlsDemux = function() {
             return pat;
         },
 
-        getPMT = function(data, pid) {
+        getPMT = function(data, pid, context) {
             var tsPacket = getTsPacket.call(this, data, 0, pid),
+                pmt,
                 i = 0,
                 elementStream,
                 track,
@@ -87,7 +156,7 @@ Hls.dependencies.HlsDemux = function() {
             for (i = 0; i < pmt.m_listOfComponents.length; i++) {
                 elementStream = pmt.m_listOfComponents[i];
                 track = new MediaPlayer.vo.Mp4Track();
-                streamTypeDesc = pmt.gStreamTypes[elementStream.m_stream_type];
+                streamTypeDesc = pmt.gStreamTypes[elementStream.m_stream_type] || pmt.gUserPrivateStreamTypes[elementStream.m_stream_type] || null;
                 if (streamTypeDesc !== null) {
                     track.streamType = streamTypeDesc.name;
                     switch (streamTypeDesc.value) {
@@ -107,18 +176,26 @@ Hls.dependencies.HlsDemux = function() {
                     this.debug.log("[HlsDemux] Stream Type " + elementStream.m_stream_type + " unknown!");
                 }
 
-                // PATCH to remove audio track
-                // if (track.type === "video") {
+                // Timed metadata (ID3 tags) are not part of media tracks, they are extracted separately
+                if (track.streamType === "META_PES") {
+                    context.metadataPid = elementStream.m_elementary_PID;
+                    continue;
+                }
+
+                // Ignore tracks that are not requested for this stream (muxed audio in case of alternate audio renditions)
+                if (context.trackTypes && context.trackTypes.indexOf(track.type) === -1) {
+                    continue;
+                }
+
                 track.timescale = mpegts.Pts.prototype.SYSTEM_CLOCK_FREQUENCY;
                 track.pid = elementStream.m_elementary_PID;
-                tracks.push(track);
-                // }
+                context.tracks.push(track);
             }
 
             return pmt;
         },
 
-        demuxTsPacket = function(data) {
+        demuxTsPacket = function(data, context) {
             var tsPacket,
                 pid,
                 trackId,
@@ -137,13 +214,17 @@ Hls.dependencies.HlsDemux = function() {
 
             // Get PID and corresponding track
             pid = tsPacket.getPid();
-            trackId = pidToTrackId[pid];
+            if (pid === context.metadataPid) {
+                demuxMetadataPacket.call(this, tsPacket, context);
+                return;
+            }
+            trackId = context.pidToTrackId[pid];
             if (trackId === undefined) {
                 return;
             }
 
             // Get track from tracks array (trackId start from 1)
-            track = tracks[trackId - 1];
+            track = context.tracks[trackId - 1];
 
             // PUSI => start storing new AU
             if (tsPacket.getPusi()) {
@@ -160,15 +241,14 @@ Hls.dependencies.HlsDemux = function() {
                 sample.duration = 0;
                 sample.subSamples = [];
 
-                if (baseDts === -1) {
-                    baseDts = sample.dts;
+                // Map first sample of the discontinuity sequence onto the segment start time
+                if (timestampOffsets[context.discontinuitySequence] === undefined) {
+                    timestampOffsets[context.discontinuitySequence] = Math.round(context.startTime * 90000) - sample.dts;
+                    this.debug.log("[HlsDemux] Timestamp offset = " + timestampOffsets[context.discontinuitySequence] + " (discontinuity sequence = " + context.discontinuitySequence + ")");
                 }
 
-                sample.dts -= baseDts;
-                sample.cts -= baseDts;
-
-                sample.dts += dtsOffset;
-                sample.cts += dtsOffset;
+                sample.dts += timestampOffsets[context.discontinuitySequence];
+                sample.cts += timestampOffsets[context.discontinuitySequence];
 
                 // Store payload of PES packet as a subsample
                 sampleData = pesPacket.getPayload();
@@ -183,6 +263,10 @@ Hls.dependencies.HlsDemux = function() {
                     // If non-IDR: sample_depends_on = 1, sample_is_non_sync_sample = true
                     sample.flags = mpegts.h264.isIDR(sampleData) ? 0x02000000 : 0x01010000;
                 }
+                if (track.type === "video" && (track.streamType.search('HEVC') !== -1)) {
+                    // Same for HEVC stream, with IRAP (IDR, CRA or BLA) samples as sync samples
+                    sample.flags = mpegts.h265.isIRAP(sampleData) ? 0x02000000 : 0x01010000;
+                }
 
                 sample.subSamples.push(sampleData);
                 track.samples.push(sample);
@@ -197,13 +281,42 @@ Hls.dependencies.HlsDemux = function() {
             }
         },
 
-        postProcess = function(track) {
+        // Timed metadata PES packets payload are stored as is (one ID3 tag per PES packet),
+        // timestamps are mapped onto media timeline once the whole chunk has been demultiplexed
+        demuxMetadataPacket = function(tsPacket, context) {
+            var pesPacket,
+                pts,
+                metadata;
+
+            if (tsPacket.getPusi()) {
+                pesPacket = new mpegts.pes.PesPacket();
+                pesPacket.parse(tsPacket.getPayload());
+                pts = pesPacket.getPts();
+                context.metadata.push({
+                    pts: (pts !== null) ? pts.getValue() : NaN,
+                    data: pesPacket.getPayload()
+                });
+            } else if (context.metadata.length > 0) {
+                metadata = context.metadata[context.metadata.length - 1];
+                metadata.data = _appendArray(metadata.data, tsPacket.getPayload());
+            }
+        },
+
+        postProcess = function(track, decrypter) {
             var sample,
                 length = 0,
                 offset = 0,
                 subSamplesLength,
                 i, s;
 
+            // SAMPLE-AES: decrypt H.264 samples (NAL units) before determining samples size
+            // (samples size changes since emulation prevention bytes are removed from encrypted NAL units)
+            if (decrypter && (track.streamType.search('H.264') !== -1)) {
+                for (i = 0; i < track.samples.length; i++) {
+                    decryptH264Sample.call(this, track.samples[i], decrypter);
+                }
+            }
+
             // Determine total length of track samples data
             // Set samples duration and size
             for (i = 0; i < track.samples.length; i++) {
@@ -221,7 +334,9 @@ Hls.dependencies.HlsDemux = function() {
                 sample.size = subSamplesLength;
                 length += subSamplesLength;
             }
-            track.samples[track.samples.length - 1].duration = track.samples[track.samples.length - 2].duration;
+            if (track.samples.length > 1) {
+                track.samples[track.samples.length - 1].duration = track.samples[track.samples.length - 2].duration;
+            }
 
             // Allocate track data
             track.data = new Uint8Array(length);
@@ -231,10 +346,10 @@ Hls.dependencies.HlsDemux = function() {
             for (i = 0; i < track.samples.length; i++) {
                 sample = track.samples[i];
 
-                // In case of ADTS, for each input sample (i.e. PES packet), we store the CTS (=PTS)
-                // in order to set the correct timestamp to each AAC frames after ADTS demultiplexing (see demuxADTS()),
+                // In case of audio, for each input sample (i.e. PES packet), we store the CTS (=PTS)
+                // in order to set the correct timestamp to each audio frames after demultiplexing (see demuxAudioFrames()),
                 // and then get around missing frames in input stream
-                if (track.streamType.search('ADTS') !== -1) {
+                if (track.type === "audio") {
                     track.dataCTS[offset] = sample.cts;
                 }
 
@@ -245,8 +360,8 @@ Hls.dependencies.HlsDemux = function() {
                 }
             }
 
-            // In case of H.264 stream, convert bytestream to MP4 format (NALU size field instead of start codes)
-            if (track.streamType.search('H.264') !== -1) {
+            // In case of H.264 or HEVC stream, convert bytestream to MP4 format (NALU size field instead of start codes)
+            if ((track.streamType.search('H.264') !== -1) || (track.streamType.search('HEVC') !== -1)) {
                 mpegts.h264.bytestreamToMp4(track.data);
             }
 
@@ -254,7 +369,15 @@ Hls.dependencies.HlsDemux = function() {
             // (Demultiplexing is performed on the whole segment data in case ADTS packets are not aligned
             // on PES packets)
             if (track.streamType.search('ADTS') !== -1) {
-                demuxADTS.call(this, track);
+                demuxADTS.call(this, track, decrypter);
+            }
+
+            // Same for AC-3/E-AC-3 syncframes and MPEG audio frames
+            if (track.streamType.search('AC-3') !== -1) {
+                demuxAudioFrames.call(this, track, mpegts.ac3.parseSyncFrames(track.data, track.dataCTS), decrypter);
+            }
+            if (isMPEGAudio(track)) {
+                demuxAudioFrames.call(this, track, mpegts.mpa.parseFrames(track.data, track.dataCTS));
             }
 
             // Patch first frame timestamp and duration in case of missing frames at the end
@@ -272,9 +395,26 @@ Hls.dependencies.HlsDemux = function() {
 
         },
 
-        demuxADTS = function(track) {
-            var aacFrames,
-                aacSamples = [],
+        isMPEGAudio = function(track) {
+            return (track.streamType.search('MPEG1-Audio') !== -1) || (track.streamType.search('MPEG2-Audio') !== -1);
+        },
+
+        demuxADTS = function(track, decrypter) {
+            // Parse AAC-ADTS access units and get AAC frames description
+            var aacFrames = mpegts.aac.parseADTS(track.data, track.dataCTS),
+                i;
+
+            // AAC frames contain 1024 samples
+            for (i = 0; i < aacFrames.length; i++) {
+                aacFrames[i].numberOfSamples = 1024;
+            }
+
+            demuxAudioFrames.call(this, track, aacFrames, decrypter);
+        },
+
+        // Creates audio samples from the audio frames (offset, length, number of samples and optional cts) within track data
+        demuxAudioFrames = function(track, frames, decrypter) {
+            var samples = [],
                 length,
                 offset,
                 data,
@@ -283,58 +423,168 @@ Hls.dependencies.HlsDemux = function() {
                 duration,
                 i;
 
-            // Parse AAC-ADTS access units and get AAC frames description
-            aacFrames = mpegts.aac.parseADTS(track.data, track.dataCTS);
+            // SAMPLE-AES: decrypt audio frames
+            if (decrypter) {
+                for (i = 0; i < frames.length; i++) {
+                    decryptAudioFrame.call(this, track.data.subarray(frames[i].offset, frames[i].offset + frames[i].length), decrypter);
+                }
+            }
 
-            // And determine total length of AAC frames
+            // And determine total length of audio frames
             length = 0;
-            for (i = 0; i < aacFrames.length; i++) {
-                length += aacFrames[i].length;
+            for (i = 0; i < frames.length; i++) {
+                length += frames[i].length;
             }
 
-            // Allocate new data section that will contains all AAC frames
+            // Allocate new data section that will contains all audio frames
             data = new Uint8Array(length);
 
             // Store first sample info
             cts = track.samples[0].cts;
 
-            // Determine sample duration
-            duration = track.timescale * 1024.0 / track.samplingRate;
-
-            // Copy AAC frames data and create AAC samples
+            // Copy audio frames data and create audio samples
             offset = 0;
-            for (i = 0; i < aacFrames.length; i++) {
+            for (i = 0; i < frames.length; i++) {
+                // Determine sample duration
+                duration = track.timescale * frames[i].numberOfSamples / track.samplingRate;
+
                 // Create sample
                 sample = new MediaPlayer.vo.Mp4Track.Sample();
 
-                // Set CTS according to ADTS frame CTS (=PES CTS) or according to sample duration
-                sample.cts = sample.dts = (aacFrames[i].cts ? aacFrames[i].cts : cts);
-                sample.size = aacFrames[i].length;
+                // Set CTS according to frame CTS (=PES CTS) or according to sample duration
+                sample.cts = sample.dts = (frames[i].cts ? frames[i].cts : cts);
+                sample.size = frames[i].length;
                 sample.duration = duration;
                 sample.flags = 0x01000000; // sample_depends_on = 1, other flags = 0
-                aacSamples.push(sample);
+                samples.push(sample);
 
                 // Update cts for next frame
                 cts = sample.cts + duration;
 
                 // Update previous sample duration in case of missing frames
                 if (i > 0) {
-                    aacSamples[i - 1].duration = aacSamples[i].cts - aacSamples[i - 1].cts;
-                    if (aacSamples[i - 1].duration > duration) {
-                        this.debug.log("[HlsDemux][" + track.type + "] Patch sample duration, cts = " + (aacSamples[i - 1].cts / 90000).toFixed(3) + ", duration = " + (aacSamples[i - 1].duration / 90000).toFixed(3));
+                    samples[i - 1].duration = samples[i].cts - samples[i - 1].cts;
+                    if (samples[i - 1].duration > duration) {
+                        this.debug.log("[HlsDemux][" + track.type + "] Patch sample duration, cts = " + (samples[i - 1].cts / 90000).toFixed(3) + ", duration = " + (samples[i - 1].duration / 90000).toFixed(3));
                     }
                 }
 
-                // Copy AAC frame data
-                data.set(track.data.subarray(aacFrames[i].offset, aacFrames[i].offset + aacFrames[i].length), offset);
-                offset += aacFrames[i].length;
+                // Copy audio frame data
+                data.set(track.data.subarray(frames[i].offset, frames[i].offset + frames[i].length), offset);
+                offset += frames[i].length;
             }
 
             // Replace track data
             track.data = data;
 
-            // Replace track's AAC-ADTS samples by demultiplexed AAC samples
-            track.samples = aacSamples;
+            // Replace track's PES samples by demultiplexed audio samples
+            track.samples = samples;
+        },
+
+        // Decrypts (AES-128 CBC) the encrypted 16-bytes blocks located at provided positions,
+        // with initialization vector reset for each call (i.e. for each NAL unit or AAC frame)
+        decryptBlocks = function(data, positions, decrypter) {
+            var encrypted = new Uint8Array(positions.length * 16),
+                decrypted,
+                i;
+
+            for (i = 0; i < positions.length; i++) {
+                encrypted.set(data.subarray(positions[i], positions[i] + 16), i * 16);
+            }
+
+            decrypted = decrypter.doDecrypt(encrypted, decrypter.key, decrypter.iv);
+
+            for (i = 0; i < positions.length; i++) {
+                data.set(decrypted.subarray(i * 16, (i + 1) * 16), positions[i]);
+            }
+        },
+
+        // SAMPLE-AES AAC frame (without ADTS header) or AC-3 syncframe: 16 first bytes are in clear,
+        // followed by encrypted 16-bytes blocks, remaining bytes (less than 16) are in clear
+        decryptAudioFrame = function(frame, decrypter) {
+            var positions = [],
+                pos;
+
+            for (pos = 16; (pos + 16) <= frame.length; pos += 16) {
+                positions.push(pos);
+            }
+
+            if (positions.length > 0) {
+                decryptBlocks.call(this, frame, positions, decrypter);
+            }
+        },
+
+        removeEmulationPreventionBytes = function(nalUnit) {
+            var bytes = [],
+                i;
+
+            for (i = 0; i < nalUnit.length; i++) {
+                if ((i > 1) && (nalUnit[i] === 0x03) && (nalUnit[i - 1] === 0x00) && (nalUnit[i - 2] === 0x00)) {
+                    continue;
+                }
+                bytes.push(nalUnit[i]);
+            }
+
+            return new Uint8Array(bytes);
+        },
+
+        // SAMPLE-AES H.264 sample: only slice NAL units (type 1 or 5) longer than 48 bytes are encrypted.
+        // 32 first bytes are in clear, followed by a pattern of 1 encrypted 16-bytes block and 9 clear blocks
+        decryptH264Sample = function(sample, decrypter) {
+            var data = sample.subSamples[0],
+                nalUnits = [],
+                start = -1,
+                naluType,
+                positions,
+                length = 0,
+                offset = 0,
+                pos,
+                i;
+
+            for (i = 1; i < sample.subSamples.length; i++) {
+                data = _appendArray(data, sample.subSamples[i]);
+            }
+
+            // Split sample into NAL units
+            i = 0;
+            while (i < (data.length - 3)) {
+                if ((data[i] === 0x00) && (data[i + 1] === 0x00) && (data[i + 2] === 0x00) && (data[i + 3] === 0x01)) {
+                    if (start >= 0) {
+                        nalUnits.push(data.subarray(start, i));
+                    }
+                    i += 4;
+                    start = i;
+                } else {
+                    i++;
+                }
+            }
+            if (start >= 0) {
+                nalUnits.push(data.subarray(start));
+            }
+
+            // Decrypt slice NAL units
+            for (i = 0; i < nalUnits.length; i++) {
+                naluType = nalUnits[i][0] & 0x1F;
+                if (((naluType === mpegts.h264.NALUTYPE_NONIDR) || (naluType === mpegts.h264.NALUTYPE_IDR)) && (nalUnits[i].length > 48)) {
+                    nalUnits[i] = removeEmulationPreventionBytes.call(this, nalUnits[i]);
+                    positions = [];
+                    for (pos = 32; (pos + 16) <= nalUnits[i].length; pos += 160) {
+                        positions.push(pos);
+                    }
+                    decryptBlocks.call(this, nalUnits[i], positions, decrypter);
+                }
+                length += 4 + nalUnits[i].length;
+            }
+
+            // Rebuild sample data
+            data = new Uint8Array(length);
+            for (i = 0; i < nalUnits.length; i++) {
+                data.set([0x00, 0x00, 0x00, 0x01], offset);
+                data.set(nalUnits[i], offset + 4);
+                offset += 4 + nalUnits[i].length;
+            }
+
+            sample.subSamples = [data];
         },
 
         arrayToHexString = function(array) {
@@ -354,12 +604,8 @@ Hls.dependencies.HlsDemux = function() {
 
         doReset = function() {
             this.debug.log("[HlsDemux] Reset");
-            pat = null;
-            pmt = null;
-            pidToTrackId = [];
-            tracks = [];
-            baseDts = -1;
-            dtsOffset = -1;
+            contexts = {};
+            timestampOffsets = {};
         },
 
 
@@ -371,7 +617,9 @@ Hls.dependencies.HlsDemux = function() {
                 nalHeader,
                 codecPrivateData,
                 objectType,
-                samplingFrequencyIndex;
+                samplingFrequencyIndex,
+                audioHeader = null,
+                i;
 
             // Get first TS packet containing start of a PES/sample
             tsPacket = getTsPacket.call(this, data, 0, track.pid, true);
@@ -418,6 +666,24 @@ Hls.dependencies.HlsDemux = function() {
                 track.height = sequenceHeader.height;
             }
 
+            // HEVC
+            if (track.streamType.search('HEVC') !== -1) {
+                sequenceHeader = mpegts.h265.getSequenceHeader(esBytes);
+
+                while (sequenceHeader === null) {
+                    tsPacket = getTsPacket.call(this, data, (tsPacket.offset + mpegts.ts.TsPacket.prototype.TS_PACKET_SIZE), track.pid, false);
+                    esBytes = _appendArray(esBytes, tsPacket.packet.getPayload());
+                    sequenceHeader = mpegts.h265.getSequenceHeader(esBytes);
+                }
+
+                // codecPrivateData contains VPS, SPS and PPS NAL units (with start codes), from which hvcC box is generated
+                track.codecPrivateData = arrayToHexString(sequenceHeader.bytes);
+                track.codecs = mpegts.h265.getCodecs(sequenceHeader.sps);
+
+                track.width = sequenceHeader.width;
+                track.height = sequenceHeader.height;
+            }
+
             // AAC
             if (track.streamType.search('AAC') !== -1) {
                 codecPrivateData = mpegts.aac.getAudioSpecificConfig(esBytes);
@@ -438,76 +704,96 @@ Hls.dependencies.HlsDemux = function() {
                 track.codecPrivateData = codecPrivateDataHex.toUpperCase();*/
             }
 
-            this.debug.log("[HlsDemux][" + track.type + "] track codecPrivateData = " + track.codecPrivateData);
-            this.debug.log("[HlsDemux][" + track.type + "] track codecs = " + track.codecs);
-        },
-
-        doGetTracks = function(data) {
-            var i = 0,
-                trackIdCounter = 1, // start at 1;
-                trackType;
-
-            // Parse PSI (PAT, PMT) if not yet received
-            if (pat === null) {
-                pat = getPAT.call(this, data);
-                if (pat === null) {
-                    throw {
-                        name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
-                        message: "Failed to demux, missing signalization (PAT)"
-                    };
+            // AC-3, E-AC-3
+            // codecPrivateData contains AC3SpecificBox/EC3SpecificBox payload
+            if (track.streamType.search('AC-3') !== -1) {
+                for (i = 0; (i < esBytes.length) && (audioHeader === null); i++) {
+                    audioHeader = mpegts.ac3.parseSyncFrameHeader(esBytes, i);
                 }
-            }
-
-            if (pmt === null) {
-                pmt = getPMT.call(this, data, pat.getPmtPid());
-                if (pmt === null) {
+                if (audioHeader === null) {
                     throw {
                         name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
-                        message: "Failed to demux, missing signalization (PMT)"
+                        message: "No syncframe for track " + track.type
                     };
                 }
+                track.codecs = audioHeader.isEC3 ? "ec-3" : "ac-3";
+                track.codecPrivateData = arrayToHexString(audioHeader.isEC3 ? mpegts.ac3.getEC3SpecificConfig(audioHeader) : mpegts.ac3.getAC3SpecificConfig(audioHeader));
+                track.samplingRate = audioHeader.samplingRate;
+                track.channels = audioHeader.channels;
+                track.bandwidth = audioHeader.bitRate * 1000;
             }
 
-            // Get track information and remove tracks for which we did not manage to get codec information (no packet ?!)
-            for (i = tracks.length - 1; i >= 0; i--) {
-                getTrackCodecInfo.call(this, data, tracks[i]);
-                if (tracks[i].codecs === "") {
-                    trackType = tracks[i].type;
-                    tracks.splice(i, 1);
+            // MPEG audio (only layer III is supported by MSE)
+            if (isMPEGAudio(track)) {
+                for (i = 0; (i < esBytes.length) && (audioHeader === null); i++) {
+                    audioHeader = mpegts.mpa.parseFrameHeader(esBytes, i);
+                }
+                if (audioHeader === null) {
                     throw {
                         name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_DEMUX_ERROR,
-                        message: "Failed to get codec information for track " + trackType
+                        message: "No audio frame for track " + track.type
                     };
                 }
+                if (audioHeader.layer === 3) {
+                    // MP3 in MP4 ('mp4a' sample entry with objectTypeIndication 0x6B)
+                    track.codecs = "mp4a.40.34";
+                } else {
+                    this.debug.warn("[HlsDemux][" + track.type + "] Unsupported MPEG audio layer " + audioHeader.layer);
+                }
+                track.samplingRate = audioHeader.samplingRate;
+                track.channels = audioHeader.channels;
+                track.bandwidth = audioHeader.bitRate * 1000;
             }
 
-            // Set track id and map to to PID
-            for (i = 0; i < tracks.length; i++) {
-                tracks[i].trackId = trackIdCounter;
-                pidToTrackId[tracks[i].pid] = trackIdCounter;
-                trackIdCounter++;
-            }
+            this.debug.log("[HlsDemux][" + track.type + "] track codecPrivateData = " + track.codecPrivateData);
+            this.debug.log("[HlsDemux][" + track.type + "] track codecs = " + track.codecs);
+        },
 
-            return tracks;
+        doGetTracks = function(data, streamType, trackTypes) {
+            var context;
+
+            // (Re)start demultiplexing context for this stream since stream's PSI may differ from previous one
+            // (quality or track switch)
+            contexts[streamType] = null;
+            context = getContext(streamType);
+            context.trackTypes = trackTypes || null;
+
+            return getTracks.call(this, data, context);
         },
 
-        doDemux = function(data, request) {
-            var track,
+        doDemux = function(data, request, decrypter) {
+            var context = getContext(request.streamType),
+                tracks,
+                track,
                 i = 0,
                 firstDts = -1,
+                discontinuity,
                 offset;
 
-            if (dtsOffset === -1) {
-                dtsOffset = request.startTime * 90000;
-                this.debug.log("[HlsDemux] Media start time = " + dtsOffset + " (" + request.startTime + ")");
+            // Discontinuity sequence may also change without discontinuity flag (seek into another discontinuity sequence)
+            discontinuity = request.discontinuity || (context.discontinuitySequence !== (request.discontinuitySequence || 0));
+            context.discontinuitySequence = request.discontinuitySequence || 0;
+            context.startTime = request.startTime;
+
+            // Timestamps are not continuous with previous segment (as for I-frames in trick mode)
+            if (discontinuity || request.iFrame) {
+                if (discontinuity) {
+                    this.debug.log("[HlsDemux][" + request.streamType + "] Discontinuity (sequence = " + context.discontinuitySequence + ")");
+                }
+                for (i = 0; i < context.tracks.length; i++) {
+                    context.tracks[i].samples = [];
+                    context.tracks[i].previousCts = undefined;
+                    context.tracks[i].previousDuration = undefined;
+                }
             }
 
             this.debug.log("[HlsDemux] Demux chunk, size = " + data.length + ", nb packets = " + Math.round(data.length / mpegts.ts.TsPacket.prototype.TS_PACKET_SIZE));
 
             // Get PAT, PMT and tracks information if not yet received
-            if (pmt === null) {
-                doGetTracks.call(this, data);
+            if (context.pmt === null) {
+                getTracks.call(this, data, context);
             }
+            tracks = context.tracks;
 
             // Clear current tracks' data
             for (i = 0; i < tracks.length; i++) {
@@ -522,12 +808,13 @@ Hls.dependencies.HlsDemux = function() {
                 tracks[i].samples = [];
                 tracks[i].data = null;
             }
+            context.metadata = [];
 
             // Parse and demux TS packets
             i = 0;
             while (i < data.length) {
                 if ((i + mpegts.ts.TsPacket.prototype.TS_PACKET_SIZE) < data.length) {
-                    demuxTsPacket.call(this, data.subarray(i, i + mpegts.ts.TsPacket.prototype.TS_PACKET_SIZE));
+                    demuxTsPacket.call(this, data.subarray(i, i + mpegts.ts.TsPacket.prototype.TS_PACKET_SIZE), context);
                 } else {
                     this.debug.log("[HlsDemux] Demux chunk, residual bytes = " + (data.length - i));
                 }
@@ -535,10 +822,15 @@ Hls.dependencies.HlsDemux = function() {
             }
 
             // Re-assemble samples from sub-samples
-            //this.debug.log("[HlsDemux] Demux: baseDts = " + baseDts + ", dtsOffset = " + dtsOffset);
             for (i = 0; i < tracks.length; i++) {
                 track = tracks[i];
-                postProcess.call(this, track);
+                postProcess.call(this, track, decrypter);
+
+                // I-frame segment (trick mode): the I-frame is a sync sample lasting until next I-frame
+                if (request.iFrame && (track.type === "video") && (track.samples.length === 1)) {
+                    track.samples[0].flags = 0x02000000;
+                    track.samples[0].duration = Math.round(request.duration * 90000);
+                }
 
                 this.debug.log("[HlsDemux][" + track.type + "] Demux: 1st PTS = " + track.samples[0].dts + " (" + (track.samples[0].dts / 90000) + ")");
 
@@ -553,14 +845,34 @@ Hls.dependencies.HlsDemux = function() {
                 }
             }
 
+            // Map timed metadata timestamps onto media timeline
+            for (i = 0; i < context.metadata.length; i++) {
+                context.metadata[i].pts += timestampOffsets[context.discontinuitySequence];
+            }
+
             return tracks;
+        },
+
+        // Returns the timed metadata (ID3 tags and their media timestamp in 90kHz) of the last demultiplexed chunk
+        doGetTimedMetadata = function(streamType) {
+            var context = contexts[streamType];
+            return context ? context.metadata : [];
+        },
+
+        // Returns the offset to apply to MPEG-2 TS timestamps to get media timestamps (90kHz)
+        // for the given discontinuity sequence, or NaN if it has not been determined yet
+        doGetTimestampOffset = function(discontinuitySequence) {
+            var offset = timestampOffsets[discontinuitySequence || 0];
+            return (offset === undefined) ? NaN : offset;
         };
 
     return {
         debug: undefined,
         reset: doReset,
         getTracks: doGetTracks,
-        demux: doDemux
+        demux: doDemux,
+        getTimestampOffset: doGetTimestampOffset,
+        getTimedMetadata: doGetTimedMetadata
     };
 };
 
@@ -15,13 +15,85 @@
  */
 Hls.dependencies.HlsFragmentController = function() {
     "use strict";
-    var lastRequestQuality = -1;
+    // Last requested quality (and adaptation) for each stream type
+    var lastRequestQuality = {},
+        lastTracksConfig = {},
+        lastTracks = {},
+        // Discontinuity sequence of the last demultiplexed segment for each stream type
+        lastDiscontinuitySequence = {},
+        // Fragmented MP4 streams: media timescale for each stream type,
+        // and timestamps offsets (in seconds) for each discontinuity sequence
+        timescales = {},
+        mp4TimestampOffsets = {},
+        // Identifier of the event messages conveying timed metadata
+        metadataEventId = 0;
 
-    var generateInitSegment = function(data) {
+    var getTrackTypes = function(streamType) {
+            var manifest = rslt.manifestModel.getValue();
+
+            // Audio stream from alternate rendition => keep only audio track
+            if (streamType === "audio") {
+                return ["audio"];
+            }
+
+            // If audio is provided as alternate renditions, then ignore audio track muxed in video chunks
+            if (rslt.manifestExt.getAudioDatas(manifest, 0).length > 0) {
+                return ["video"];
+            }
+
+            return null;
+        },
+
+        // Returns a key identifying tracks' encoding parameters (SPS/PPS, AudioSpecificConfig)
+        getTracksConfig = function(tracks) {
+            var config = "",
+                i;
+
+            for (i = 0; i < tracks.length; i += 1) {
+                config += tracks[i].type + ":" + tracks[i].codecs + ":" + tracks[i].codecPrivateData + ";";
+            }
+
+            return config;
+        },
+
+        // Get tracks description for I-frames (trick mode), from I-frame playlist initialization data.
+        // In case of muxed audio, the audio tracks are still described in the initialization segment
+        // since the source buffer expects them, even though I-frames do not convey any audio sample
+        getIFramesTracks = function(request, representation) {
+            var manifest = rslt.manifestModel.getValue(),
+                iFrameRepresentation = manifest.Period_asArray[representation.adaptation.period.index].AdaptationSet_asArray[representation.adaptation.index].iFrameRepresentation,
+                tracks = rslt.hlsDemux.getTracks(iFrameRepresentation.initData, request.streamType, ["video"]),
+                previousTracks = lastTracks[request.streamType] || [],
+                track,
+                i,
+                p;
+
+            if (getTrackTypes(request.streamType) !== null) {
+                return tracks;
+            }
+
+            tracks = tracks.slice();
+            for (i = 0; i < previousTracks.length; i += 1) {
+                if (previousTracks[i].type === "audio") {
+                    track = new MediaPlayer.vo.Mp4Track();
+                    for (p in previousTracks[i]) {
+                        if (previousTracks[i].hasOwnProperty(p)) {
+                            track[p] = previousTracks[i][p];
+                        }
+                    }
+                    track.trackId = tracks.length + 1;
+                    track.samples = [];
+                    track.data = null;
+                    tracks.push(track);
+                }
+            }
+
+            return tracks;
+        },
+
+        generateInitSegment = function(tracks) {
             var i = 0,
-                manifest = rslt.manifestModel.getValue(),
-                // Process the HLS chunk to get media tracks description
-                tracks = rslt.hlsDemux.getTracks(new Uint8Array(data));
+                manifest = rslt.manifestModel.getValue();
 
             // Add track duration
             for (i = 0; i < tracks.length; i += 1) {
@@ -31,14 +103,14 @@ Hls.dependencies.HlsFragmentController = function() {
             return rslt.mp4Processor.generateInitSegment(tracks);
         },
 
-        generateMediaSegment = function(data, request) {
+        generateMediaSegment = function(data, request, decrypter) {
             var i = 0,
-                // Demultiplex HLS chunk to get samples
-                tracks = rslt.hlsDemux.demux(new Uint8Array(data), request);
+                // Demultiplex HLS chunk to get samples (and decrypt them in case of SAMPLE-AES encryption)
+                tracks = rslt.hlsDemux.demux(new Uint8Array(data), request, decrypter);
 
             // Update fragment start time (=tfdt)
             for (i = 0; i < tracks.length; i += 1) {
-                if (tracks[i].type === "video") {
+                if (tracks[i].type === request.streamType) {
                     request.startTime = tracks[i].samples[0].dts / tracks[i].timescale;
                 }
             }
@@ -46,6 +118,146 @@ Hls.dependencies.HlsFragmentController = function() {
             return rslt.mp4Processor.generateMediaSegment(tracks);
         },
 
+        // Convert timed metadata (ID3 tags) of the last demultiplexed chunk into event message boxes (emsg),
+        // which are then processed as DASH inband events
+        generateEventMessages = function(request) {
+            var metadata = rslt.hlsDemux.getTimedMetadata(request.streamType),
+                startTime = Math.round(request.startTime * 90000),
+                file = new mp4lib.boxes.File(),
+                emsg,
+                i;
+
+            for (i = 0; i < metadata.length; i += 1) {
+                if (isNaN(metadata[i].pts)) {
+                    continue;
+                }
+                emsg = new mp4lib.boxes.EventMessageBox();
+                emsg.version = 0;
+                emsg.flags = 0;
+                emsg.scheme_id_uri = MediaPlayer.dependencies.EventController.prototype.ID3_SCHEME_ID_URI;
+                emsg.value = "";
+                emsg.timescale = 90000;
+                emsg.presentation_time_delta = Math.max(metadata[i].pts - startTime, 0);
+                emsg.event_duration = 0;
+                emsg.id = metadataEventId++;
+                emsg.message_data = metadata[i].data;
+                file.boxes.push(emsg);
+            }
+
+            return (file.boxes.length > 0) ? mp4lib.serialize(file) : null;
+        },
+
+        isFragmentedMP4 = function(representation) {
+            var manifest = rslt.manifestModel.getValue();
+
+            return manifest.Period_asArray[representation.adaptation.period.index].AdaptationSet_asArray[representation.adaptation.index].
+            Representation_asArray[representation.index].isFragmentedMP4 === true;
+        },
+
+        // Stores the media timescale from fragmented MP4 initialization section (#EXT-X-MAP)
+        processInitializationSection = function(data, request) {
+            var bytes = new Uint8Array(data),
+                file = mp4lib.deserialize(bytes),
+                moov = (file !== null) ? file.getBoxByType("moov") : null,
+                trak = (moov !== null) ? moov.getBoxByType("trak") : null,
+                mdia = (trak !== null) ? trak.getBoxByType("mdia") : null,
+                mdhd = (mdia !== null) ? mdia.getBoxByType("mdhd") : null;
+
+            if (mdhd === null) {
+                throw {
+                    name: MediaPlayer.dependencies.ErrorHandler.prototype.INTERNAL_ERROR,
+                    message: "Invalid fragmented MP4 initialization segment"
+                };
+            }
+
+            timescales[request.streamType] = mdhd.timescale;
+
+            return bytes;
+        },
+
+        // Map fragmented MP4 media segment timestamps onto media timeline (as done for MPEG-2 TS segments in HlsDemux)
+        processFragmentedMP4Segment = function(data, request) {
+            var bytes = new Uint8Array(data),
+                fragment = mp4lib.deserialize(bytes),
+                moof = (fragment !== null) ? fragment.getBoxByType("moof") : null,
+                timescale = timescales[request.streamType],
+                discontinuitySequence = request.discontinuitySequence || 0,
+                trafs,
+                tfdt,
+                i;
+
+            if ((moof === null) || (timescale === undefined)) {
+                return bytes;
+            }
+
+            trafs = moof.getBoxesByType("traf");
+            for (i = 0; i < trafs.length; i += 1) {
+                tfdt = trafs[i].getBoxByType("tfdt");
+                if (tfdt === null) {
+                    continue;
+                }
+
+                if (mp4TimestampOffsets[discontinuitySequence] === undefined) {
+                    mp4TimestampOffsets[discontinuitySequence] = request.startTime - (tfdt.baseMediaDecodeTime / timescale);
+                    rslt.debug.log("[HlsFragmentController] Timestamp offset = " + mp4TimestampOffsets[discontinuitySequence] + " (discontinuity sequence = " + discontinuitySequence + ")");
+                }
+
+                tfdt.baseMediaDecodeTime = Math.round(tfdt.baseMediaDecodeTime + (mp4TimestampOffsets[discontinuitySequence] * timescale));
+
+                // Update fragment start time
+                if (i === 0) {
+                    request.startTime = tfdt.baseMediaDecodeTime / timescale;
+                }
+            }
+
+            return mp4lib.serialize(fragment);
+        },
+
+        // Returns the offset (90kHz) to apply to media timestamps for the given discontinuity sequence
+        getTimestampOffset = function(discontinuitySequence) {
+            var offset = mp4TimestampOffsets[discontinuitySequence || 0];
+
+            if (offset !== undefined) {
+                return Math.round(offset * 90000);
+            }
+
+            return rslt.hlsDemux.getTimestampOffset(discontinuitySequence);
+        },
+
+        // Decodes UTF-8 data into a string (percent-encoded bytes are decoded as UTF-8 by decodeURIComponent)
+        decodeUTF8 = function(bytes) {
+            var encoded = "",
+                i;
+
+            for (i = 0; i < bytes.length; i++) {
+                encoded += (bytes[i] < 0x10 ? "%0" : "%") + bytes[i].toString(16);
+            }
+
+            try {
+                return decodeURIComponent(encoded);
+            } catch (e) {
+                // Invalid UTF-8 sequence, keep data as ISO-8859-1
+                rslt.debug.warn("[HlsFragmentController] Invalid UTF-8 subtitles data");
+                return String.fromCharCode.apply(null, bytes);
+            }
+        },
+
+        // Map WebVTT cues timestamps to media timeline, by updating MPEG-2 TS timestamp of X-TIMESTAMP-MAP header.
+        // Returns the decoded subtitles (see TextSourceBuffer.append())
+        processSubtitlesSegment = function(data, request) {
+            var content = decodeUTF8(new Uint8Array(data)),
+                offset = getTimestampOffset(request.discontinuitySequence);
+
+            if (isNaN(offset)) {
+                rslt.debug.warn("[HlsFragmentController] Unable to map subtitles timestamps, no media timestamps yet");
+                return content;
+            }
+
+            return content.replace(/(X-TIMESTAMP-MAP=.*MPEGTS:)(\d+)/, function(match, header, mpegts) {
+                return header + Math.max(parseInt(mpegts, 10) + offset, 0);
+            });
+        },
+
         createInitializationVector = function(segmentNumber) {
             var uint8View = new Uint8Array(16),
                 i = 0;
@@ -57,62 +269,118 @@ Hls.dependencies.HlsFragmentController = function() {
             return uint8View;
         },
 
-        decrypt = function(data, decryptionInfo) {
+        toUint32Array = function(bytes) {
+            var view = new DataView(bytes.buffer, bytes.byteOffset, 16);
 
-            var view = new DataView(decryptionInfo.key.buffer);
-            var key = new Uint32Array([
+            return new Uint32Array([
                 view.getUint32(0),
                 view.getUint32(4),
                 view.getUint32(8),
                 view.getUint32(12)
             ]);
+        },
 
-            view = new DataView(createInitializationVector(decryptionInfo.iv).buffer);
-            var iv = new Uint32Array([
-                view.getUint32(0),
-                view.getUint32(4),
-                view.getUint32(8),
-                view.getUint32(12)
-            ]);
+        // If no IV is provided in #EXT-X-KEY, then the media sequence number is used as IV
+        getDecrypter = function(decryptionInfo, sequenceNumber) {
+            var iv = decryptionInfo.iv ? decryptionInfo.iv : createInitializationVector(sequenceNumber);
 
-            var decrypter = new Hls.dependencies.AES128Decrypter(key, iv);
-            return decrypter.decrypt(data);
+            return new Hls.dependencies.AES128Decrypter(toUint32Array(decryptionInfo.key), toUint32Array(iv));
+        },
+
+        decrypt = function(data, decryptionInfo, sequenceNumber) {
+            return getDecrypter(decryptionInfo, sequenceNumber).decrypt(data);
         };
 
     var rslt = MediaPlayer.utils.copyMethods(MediaPlayer.dependencies.FragmentController);
 
     rslt.manifestModel = undefined;
+    rslt.manifestExt = undefined;
     rslt.hlsDemux = undefined;
     rslt.mp4Processor = undefined;
 
     rslt.process = function(bytes, request, representations) {
         var result = null,
             InitSegmentData = null,
-            catArray = null;
+            catArray = null,
+            quality,
+            tracks,
+            tracksConfig,
+            discontinuitySequence,
+            decrypter = null,
+            eventMessages = null;
 
         if ((bytes === null) || (bytes === undefined) || (bytes.byteLength === 0)) {
             return bytes;
         }
 
+        // Initialization segment: media initialization section (#EXT-X-MAP) in case of fragmented MP4 segments,
+        // otherwise initialization segment is generated and inserted along with media segments
+        if (request && (request.type === "Initialization Segment")) {
+            return request.url ? processInitializationSection(bytes, request) : null;
+        }
+
+        // Subtitles segment (WebVTT) => no demultiplexing
+        if (request && (request.type === "Media Segment") && (request.streamType === "text")) {
+            return processSubtitlesSegment(bytes, request);
+        }
+
         // Media segment => generate corresponding moof data segment from demultiplexed MPEG2-TS chunk
         if (request && (request.type === "Media Segment") && representations && (representations.length > 0)) {
 
-            // Decrypt the segment if encrypted
-            if (request.decryptionInfo && request.decryptionInfo.method !== "NONE") {
+            // Decrypt the segment if encrypted (AES-128)
+            if (request.decryptionInfo && request.decryptionInfo.method === "AES-128") {
                 var t = new Date();
-                bytes = decrypt(bytes, request.decryptionInfo);
+                bytes = decrypt(bytes, request.decryptionInfo, request.sequenceNumber);
                 rslt.debug.log("[HlsFragmentController] decrypted chunk (" + (((new Date()).getTime() - t.getTime()) / 1000).toFixed(3) + "s.)");
             }
 
-            if (lastRequestQuality !== request.quality) {
-                // If quality changed then generate initialization segment
-                InitSegmentData = generateInitSegment(bytes);
-                request.index = undefined; // ?
-                lastRequestQuality = request.quality;
+            // SAMPLE-AES encrypted MPEG2-TS segment => samples are decrypted while demultiplexing
+            if (request.decryptionInfo && request.decryptionInfo.method === "SAMPLE-AES") {
+                decrypter = getDecrypter(request.decryptionInfo, request.sequenceNumber);
+            }
+
+            // Fragmented MP4 segment => no demultiplexing
+            if (isFragmentedMP4(representations[request.quality])) {
+                // SAMPLE-AES with clear key is supported for MPEG-2 TS segments only (samples are decrypted while demultiplexing),
+                // then do not append encrypted samples
+                if (decrypter !== null) {
+                    throw {
+                        name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_ENCRYPTION_UNSUPPORTED,
+                        message: "SAMPLE-AES encryption is not supported for fragmented MP4 segments",
+                        data: {
+                            url: request.url
+                        }
+                    };
+                }
+                return processFragmentedMP4Segment(bytes, request);
+            }
+
+            quality = request.iFrame ? "iframe" : (representations[request.quality].adaptation.index + "_" + request.quality);
+            discontinuitySequence = request.discontinuitySequence || 0;
+            if ((lastRequestQuality[request.streamType] !== quality) || (lastDiscontinuitySequence[request.streamType] !== discontinuitySequence)) {
+                // If quality (or track) changed or if discontinuity sequence changed (either at discontinuity or
+                // after a seek), then get media tracks description (PSI may change at discontinuity, e.g. ads insertion)
+                if (request.iFrame) {
+                    tracks = getIFramesTracks(request, representations[request.quality]);
+                } else {
+                    tracks = rslt.hlsDemux.getTracks(new Uint8Array(bytes), request.streamType, getTrackTypes(request.streamType));
+                    lastTracks[request.streamType] = tracks;
+                }
+                tracksConfig = getTracksConfig(tracks);
+
+                // Generate initialization segment if quality, discontinuity sequence or encoding parameters changed
+                if ((lastRequestQuality[request.streamType] !== quality) || (lastDiscontinuitySequence[request.streamType] !== discontinuitySequence) ||
+                    (lastTracksConfig[request.streamType] !== tracksConfig)) {
+                    InitSegmentData = generateInitSegment(tracks);
+                    request.index = undefined; // ?
+                }
+                lastRequestQuality[request.streamType] = quality;
+                lastTracksConfig[request.streamType] = tracksConfig;
+                lastDiscontinuitySequence[request.streamType] = discontinuitySequence;
             }
 
             // Generate media segment (moof)
-            result = generateMediaSegment(bytes, request);
+            result = generateMediaSegment(bytes, request, decrypter);
 
             // Insert initialization if required
             if (InitSegmentData !== null) {
@@ -122,6 +390,18 @@ Hls.dependencies.HlsFragmentController = function() {
                 result = catArray;
             }
 
+            // Insert timed metadata event messages ahead of the segment (only for the main stream,
+            // since the same metadata may also be conveyed in alternate renditions)
+            if (request.streamType === "video") {
+                eventMessages = generateEventMessages(request);
+                if (eventMessages !== null) {
+                    catArray = new Uint8Array(eventMessages.length + result.length);
+                    catArray.set(eventMessages, 0);
+                    catArray.set(result, eventMessages.length);
+                    result = catArray;
+                }
+            }
+
             rslt.sequenceNumber++;
         }
 
@@ -129,7 +409,12 @@ Hls.dependencies.HlsFragmentController = function() {
     };
 
     rslt.reset = function() {
-        lastRequestQuality = -1;
+        lastRequestQuality = {};
+        lastTracksConfig = {};
+        lastTracks = {};
+        lastDiscontinuitySequence = {};
+        timescales = {};
+        mp4TimestampOffsets = {};
     };
 
     return rslt;
@@ -15,6 +15,12 @@
  */
 Hls.dependencies.HlsHandler = function() {
     "use strict";
+    // Returns the manifest's representation object corresponding to the provided Dash.vo.Representation
+    var getManifestRepresentation = function(representation, manifest) {
+        return manifest.Period_asArray[representation.adaptation.period.index].
+        AdaptationSet_asArray[representation.adaptation.index].Representation_asArray[representation.index];
+    };
+
     var getInit = function(representation) {
         var period = null,
             self = this,
@@ -22,6 +28,7 @@ Hls.dependencies.HlsHandler = function() {
             deferred = Q.defer(),
             manifest,
             isDynamic,
+            manifestRepresentation,
             request;
 
         //Mss.dependencies.MssHandler.prototype.getInitRequest.call(this,quality,data).then(onGetInitRequestSuccess);
@@ -31,14 +38,23 @@ Hls.dependencies.HlsHandler = function() {
 
         manifest = rslt.manifestModel.getValue();
         isDynamic = rslt.manifestExt.getIsDynamic(manifest);
+        manifestRepresentation = getManifestRepresentation(representation, manifest);
 
         request = new MediaPlayer.vo.SegmentRequest();
 
         request.streamType = rslt.getType();
         request.type = "Initialization Segment";
-        request.url = null;
-        request.data = 1; //used to activate Loaded event in BufferControler
-        request.range = representation.range;
+
+        if (manifestRepresentation.isFragmentedMP4) {
+            // Fragmented MP4 segments => download media initialization section (#EXT-X-MAP)
+            request.url = manifestRepresentation.SegmentList.Initialization.sourceURL;
+            request.range = manifestRepresentation.SegmentList.Initialization.range;
+        } else {
+            // MPEG-2 TS segments => initialization segment is generated from media segments
+            request.url = null;
+            request.data = 1; //used to activate Loaded event in BufferControler
+            request.range = representation.range;
+        }
         request.availabilityStartTime = self.timelineConverter.calcAvailabilityStartTimeFromPresentationTime(presentationStartTime, representation.adaptation.period.mpd, isDynamic);
         request.availabilityEndTime = self.timelineConverter.calcAvailabilityEndTimeFromPresentationTime(presentationStartTime + period.duration, period.mpd, isDynamic);
 
@@ -47,9 +63,50 @@ Hls.dependencies.HlsHandler = function() {
         return deferred.promise;
     };
 
+    // Trick mode: replace the media segment request by the request of the I-frame (from I-frame playlist)
+    // that is the first one within the segment time range
+    var getIFrameRequest = function(request) {
+        var manifest = rslt.manifestModel.getValue(),
+            adaptation = rslt.manifestExt.getVideoData(manifest, 0),
+            iFrameRepresentation = adaptation ? adaptation.iFrameRepresentation : null,
+            segments,
+            segment = null,
+            i;
+
+        if (!request || (request.streamType !== "video") || !iFrameRepresentation || !iFrameRepresentation.initData) {
+            return request;
+        }
+
+        segments = iFrameRepresentation.SegmentList.SegmentURL_asArray;
+        for (i = 0; i < segments.length; i += 1) {
+            if ((segments[i].time + Dash.dependencies.DashHandler.EPSILON) >= request.startTime) {
+                if (segments[i].time < (request.startTime + request.duration)) {
+                    segment = segments[i];
+                }
+                break;
+            }
+        }
+
+        if (segment === null) {
+            return request;
+        }
+
+        request.url = segment.media;
+        request.range = segment.mediaRange;
+        request.startTime = segment.time;
+        request.duration = segment.duration;
+        request.discontinuitySequence = segment.discontinuitySequence;
+        request.discontinuity = segment.discontinuity;
+        request.decryptionInfo = segment.decryptionInfo;
+        request.iFrame = true;
+
+        return request;
+    };
+
     var rslt = MediaPlayer.utils.copyMethods(Dash.dependencies.DashHandler);
 
     rslt.getInitRequest = getInit;
+    rslt.getIFrameRequest = getIFrameRequest;
 
     return rslt;
 };
@@ -17,16 +17,21 @@ Hls.dependencies.HlsParser = function() {
     var TAG_EXTM3U = "#EXTM3U",
         /*TAG_EXTXMEDIASEQUENCE = "#EXT-X-MEDIA-SEQUENCE",*/
         TAG_EXTXKEY = "#EXT-X-KEY",
-        /*TAG_EXTXPROGRAMDATETIME = "#EXT-X-PROGRAM_DATE_TIME",
+        TAG_EXTXPROGRAMDATETIME = "#EXT-X-PROGRAM-DATE-TIME",
+        /*TAG_EXTXALLOWCACHE = "#EXT-X-ALLOW-CACHE",*/
         TAG_EXTXDISCONTINUITY = "#EXT-X-DISCONTINUITY",
-        TAG_EXTXALLOWCACHE = "#EXT-X-ALLOW-CACHE",*/
+        TAG_EXTXDISCONTINUITYSEQUENCE = "#EXT-X-DISCONTINUITY-SEQUENCE",
         TAG_EXTINF = "#EXTINF",
+        TAG_EXTXBYTERANGE = "#EXT-X-BYTERANGE",
+        TAG_EXTXMAP = "#EXT-X-MAP",
         TAG_EXTXVERSION = "#EXT-X-VERSION",
         TAG_EXTXTARGETDURATION = "#EXT-X-TARGETDURATION",
-        //TAG_EXTXMEDIA = "#EXT-X-MEDIA",
+        TAG_EXTXMEDIA = "#EXT-X-MEDIA",
         TAG_EXTXMEDIASEQUENCE = "#EXT-X-MEDIA-SEQUENCE",
         TAG_EXTXSTREAMINF = "#EXT-X-STREAM-INF",
+        TAG_EXTXIFRAMESTREAMINF = "#EXT-X-I-FRAME-STREAM-INF",
         TAG_EXTXENDLIST = "#EXT-X-ENDLIST",
+        TAG_EXTXSTART = "#EXT-X-START",
         ATTR_BANDWIDTH = "BANDWIDTH",
         ATTR_PROGRAMID = "PROGRAM-ID",
         ATTR_AUDIO = "AUDIO",
@@ -35,14 +40,36 @@ Hls.dependencies.HlsParser = function() {
         ATTR_CODECS = "CODECS",
         ATTR_METHOD = "METHOD",
         ATTR_IV = "IV",
+        ATTR_KEYFORMAT = "KEYFORMAT",
         ATTR_URI = "URI",
-        /*ATTR_TYPE = "TYPE",
+        ATTR_TYPE = "TYPE",
         ATTR_GROUPID = "GROUP-ID",
         ATTR_NAME = "NAME",
         ATTR_DEFAULT = "DEFAULT",
         ATTR_AUTOSELECT = "AUTOSELECT",
         ATTR_LANGUAGE = "LANGUAGE",
-        VAL_YES = "YES";*/
+        ATTR_FORCED = "FORCED",
+        ATTR_CHARACTERISTICS = "CHARACTERISTICS",
+        ATTR_BYTERANGE = "BYTERANGE",
+        ATTR_TIMEOFFSET = "TIME-OFFSET",
+        VAL_YES = "YES",
+        VAL_AUDIO = "AUDIO",
+        VAL_SUBTITLES = "SUBTITLES",
+        VAL_METHOD_NONE = "NONE",
+        SCHEME_ID_URI_ROLE = "urn:mpeg:dash:role:2011",
+        // Media characteristics mapped to DASH accessibility roles
+        CHARACTERISTICS_ACCESSIBILITY = {
+            "public.accessibility.describes-video": "description",
+            "public.accessibility.transcribes-spoken-dialog": "caption",
+            "public.easy-to-read": "easyreader"
+        },
+        // Video and subtitles codecs types, any other codec is considered as an audio codec (mp4a, ac-3, ec-3...)
+        VIDEO_CODECS = ["avc1", "avc3", "hvc1", "hev1", "dvh1", "dvhe", "mp4v", "vp08", "vp09", "av01"],
+        SUBTITLES_CODECS = ["wvtt", "stpp"],
+        KEYFORMAT_IDENTITY = "identity",
+        KEYFORMAT_WIDEVINE = "urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed",
+        KEYFORMAT_PLAYREADY = "com.microsoft.playready",
+        SCHEME_ID_URI_PLAYREADY = "urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95",
         DEFAULT_RETRY_ATTEMPTS = 2,
         DEFAULT_RETRY_INTERVAL = 500,
         retryAttempts = DEFAULT_RETRY_ATTEMPTS,
@@ -62,16 +89,6 @@ Hls.dependencies.HlsParser = function() {
         return oData;
     };
 
-    /*var _getAttrValue = function(data, attrKey) {
-        // remove attrKey + '='
-        var value = data.substring(data.indexOf(attrKey)+attrKey.length+1);
-        // remove quottes
-        if (value.charAt(0) == '"') {
-            value = value.substring(1,value.length-1);
-        }
-        return value;
-    };*/
-
     var _containsTag = function(data, tag) {
         return (data.indexOf(tag) > -1);
     };
@@ -85,6 +102,31 @@ Hls.dependencies.HlsParser = function() {
         return data.substring(data.indexOf(':') + 1).split(',');
     };
 
+    // Parse attribute list of a tag (ATTR1=VALUE1,ATTR2="VALUE,2",...)
+    // Quoted string values may contain ',' characters, quotes are removed
+    var _getTagAttributes = function(data) {
+        var attributes = {},
+            regex = /([A-Z0-9\-]+)=("[^"]*"|[^,]*)/g,
+            match;
+
+        data = data.substring(data.indexOf(':') + 1).trim();
+        match = regex.exec(data);
+        while (match !== null) {
+            attributes[match[1]] = match[2].replace(/"/g, '');
+            match = regex.exec(data);
+        }
+
+        return attributes;
+    };
+
+    // Preferred start point (#EXT-X-START), as an offset in seconds from the beginning of the playlist,
+    // or from the end of the playlist if negative
+    var _parseExtXStart = function(data) {
+        var timeOffset = parseFloat(_getTagAttributes(data)[ATTR_TIMEOFFSET]);
+
+        return isNaN(timeOffset) ? null : timeOffset;
+    };
+
     var _isAbsoluteURI = function(uri) {
         return (uri.indexOf("http://") === 0) ||
             (uri.indexOf("https://") === 0);
@@ -137,10 +179,10 @@ Hls.dependencies.HlsParser = function() {
 
                         // > HLD v3
                     case ATTR_AUDIO:
-                        stream.audioId = value;
+                        stream.audioId = value.replace(/"/g, '');
                         break;
                     case ATTR_SUBTITLES:
-                        stream.subtitlesId = value;
+                        stream.subtitlesId = value.replace(/"/g, '');
                         break;
 
                     default:
@@ -164,69 +206,195 @@ Hls.dependencies.HlsParser = function() {
             //mediaParams = _getTagValue(extInf[0], TAG_EXTINF).split(',');
             mediaParams = _getTagParams(extInf[0]);
 
-        media.duration = parseInt(mediaParams[0], 10);
+        media.duration = parseFloat(mediaParams[0]);
         media.title = mediaParams[1];
         media.uri = extInf[1];
 
         return media;
     };
 
+    // Parse byte range value (#EXT-X-BYTERANGE tag or BYTERANGE attribute)
+    //  <n>[@<o>]
+    // If offset is not present, the sub-range begins at the next byte following the previous sub-range
+    var _parseByteRange = function(byteRange, previousEnd) {
+        var params = byteRange.split('@'),
+            length = parseInt(params[0], 10),
+            start = (params.length > 1) ? parseInt(params[1], 10) : previousEnd;
+
+        return {
+            start: start,
+            end: start + length - 1
+        };
+    };
+
     // Parse #EXT-X-KEY tag
-    //  #EXT-X-KEY:<method>,<uri>[,<iv>]
-    //  <url>
+    //  #EXT-X-KEY:METHOD=<method>[,URI=<uri>][,IV=<iv>][,KEYFORMAT=<keyformat>]
     var _parseExtXKey = function(extXKey) {
-        var decryptionInfo = {},
-            params = _getTagParams(extXKey),
-            i,
-            name,
-            value;
+        var attributes = _getTagAttributes(extXKey),
+            decryptionInfo = {
+                method: attributes[ATTR_METHOD],
+                uri: attributes[ATTR_URI],
+                keyFormat: attributes[ATTR_KEYFORMAT] || KEYFORMAT_IDENTITY
+            },
+            iv,
+            i;
+
+        // IV is a 128-bit hexadecimal-integer
+        if (attributes[ATTR_IV]) {
+            iv = attributes[ATTR_IV].replace(/^0x/i, '');
+            while (iv.length < 32) {
+                iv = "0" + iv;
+            }
+            decryptionInfo.iv = new Uint8Array(16);
+            for (i = 0; i < 16; i++) {
+                decryptionInfo.iv[i] = parseInt(iv.substr(i * 2, 2), 16);
+            }
+        }
 
-        for (i = 0; i < params.length; i++) {
-            name = params[i].trim().split('=')[0];
-            value = params[i].trim().split('=')[1];
+        return decryptionInfo;
+    };
 
-            switch (name) {
-                case ATTR_METHOD:
-                    decryptionInfo.method = value;
-                    break;
-                case ATTR_URI:
-                    decryptionInfo.uri = value.replace(/"/g, '');
-                    break;
-                case ATTR_IV:
-                    decryptionInfo.iv = parseInt(value, 16);
-                    break;
-                default:
-                    break;
+    // Returns the ContentProtection element corresponding to a #EXT-X-KEY tag for Widevine or PlayReady key systems,
+    // in which the URI is a data URI containing the base64 encoded PSSH box or PlayReady Object
+    var _getContentProtection = function(decryptionInfo) {
+        var data = decryptionInfo.uri ? decryptionInfo.uri.substring(decryptionInfo.uri.indexOf(',') + 1) : "";
 
-            }
+        if ((decryptionInfo.uri === undefined) || (decryptionInfo.uri.indexOf("data:") !== 0)) {
+            return null;
         }
 
-        return decryptionInfo;
+        switch (decryptionInfo.keyFormat) {
+            case KEYFORMAT_WIDEVINE:
+                return {
+                    schemeIdUri: KEYFORMAT_WIDEVINE,
+                    pssh: {
+                        __text: data
+                    }
+                };
+            case KEYFORMAT_PLAYREADY:
+                return {
+                    schemeIdUri: SCHEME_ID_URI_PLAYREADY,
+                    pro: {
+                        __text: data
+                    }
+                };
+            default:
+                return null;
+        }
+    };
+
+    // Parse #EXT-X-MAP tag
+    //  #EXT-X-MAP:URI=<uri>[,BYTERANGE=<n>@<o>]
+    var _parseExtXMap = function(extXMap) {
+        var attributes = _getTagAttributes(extXMap),
+            map = {
+                uri: attributes[ATTR_URI]
+            },
+            byteRange;
+
+        if (attributes[ATTR_BYTERANGE]) {
+            byteRange = _parseByteRange(attributes[ATTR_BYTERANGE], 0);
+            map.range = byteRange.start + "-" + byteRange.end;
+        }
+
+        return map;
     };
 
-    /* > HLS v3
+    // Parse #EXT-X-MEDIA tag
+    //  #EXT-X-MEDIA:TYPE=<type>,GROUP-ID=<group>,NAME=<name>[,LANGUAGE=<lang>][,DEFAULT=YES|NO][,AUTOSELECT=YES|NO][,FORCED=YES|NO]
+    //  [,CHARACTERISTICS=<characteristics>][,URI=<uri>]
     var _parseMediaInf = function(mediaLine) {
-        var mediaObj = {};
-        var infos = mediaLine.split(',');
-        for (var i = infos.length - 1; i >= 0; i--) {
-            if(infos[i].indexOf(ATTR_TYPE)>-1) {
-                mediaObj.type = _getAttrValue(infos[i],ATTR_TYPE);
-            } else if(infos[i].indexOf(ATTR_GROUPID)>-1) {
-                mediaObj.groupId = _getAttrValue(infos[i],ATTR_GROUPID);
-            } else if(infos[i].indexOf(ATTR_NAME)>-1) {
-                mediaObj.name = _getAttrValue(infos[i],ATTR_NAME);
-            } else if(infos[i].indexOf(ATTR_DEFAULT)>-1) {
-                mediaObj.default = _getAttrValue(infos[i],ATTR_DEFAULT) == VAL_YES ? true : false;
-            } else if(infos[i].indexOf(ATTR_AUTOSELECT)>-1) {
-                mediaObj.autoSelect = _getAttrValue(infos[i],ATTR_AUTOSELECT) == VAL_YES ? true : false;
-            } else if(infos[i].indexOf(ATTR_LANGUAGE)>-1) {
-                mediaObj.language = _getAttrValue(infos[i],ATTR_LANGUAGE);
-            } else if(infos[i].indexOf(ATTR_URI)>-1) {
-                mediaObj.uri = _getAttrValue(infos[i],ATTR_URI);
-            }
-        }
-        return mediaObj;
-    };*/
+        var attributes = _getTagAttributes(mediaLine);
+
+        return {
+            type: attributes[ATTR_TYPE],
+            groupId: attributes[ATTR_GROUPID],
+            name: attributes[ATTR_NAME],
+            language: attributes[ATTR_LANGUAGE] || "und",
+            isDefault: attributes[ATTR_DEFAULT] === VAL_YES,
+            autoSelect: attributes[ATTR_AUTOSELECT] === VAL_YES,
+            forced: attributes[ATTR_FORCED] === VAL_YES,
+            characteristics: attributes[ATTR_CHARACTERISTICS] ? attributes[ATTR_CHARACTERISTICS].split(",") : [],
+            uri: attributes[ATTR_URI]
+        };
+    };
+
+    // Sets the Role and Accessibility descriptors of the adaptation set, as in DASH, from the rendition attributes
+    var _setMediaDescriptors = function(adaptationSet, media) {
+        var roles = [],
+            accessibility = [],
+            i;
+
+        if (media.isDefault) {
+            roles.push({schemeIdUri: SCHEME_ID_URI_ROLE, value: "main"});
+        }
+
+        if (media.forced) {
+            roles.push({schemeIdUri: SCHEME_ID_URI_ROLE, value: "forced-subtitle"});
+        }
+
+        for (i = 0; i < media.characteristics.length; i += 1) {
+            if (CHARACTERISTICS_ACCESSIBILITY.hasOwnProperty(media.characteristics[i])) {
+                accessibility.push({schemeIdUri: SCHEME_ID_URI_ROLE, value: CHARACTERISTICS_ACCESSIBILITY[media.characteristics[i]]});
+            }
+        }
+
+        if (roles.length > 0) {
+            adaptationSet.Role = roles;
+            adaptationSet.Role_asArray = roles;
+        }
+
+        if (accessibility.length > 0) {
+            adaptationSet.Accessibility = accessibility;
+            adaptationSet.Accessibility_asArray = accessibility;
+        }
+
+        return adaptationSet;
+    };
+
+    var _getMediaRenditions = function(data, type, groupId) {
+        var medias = [],
+            media,
+            i;
+
+        for (i = 0; i < data.length; i += 1) {
+            if (data[i].indexOf(TAG_EXTXMEDIA + ":") === 0) {
+                media = _parseMediaInf(data[i]);
+                if ((media.type === type) && (media.groupId === groupId)) {
+                    medias.push(media);
+                }
+            }
+        }
+
+        return medias;
+    };
+
+    // Split CODECS attribute value into video and audio codecs
+    var _splitCodecs = function(codecs) {
+        var list = codecs.split(','),
+            result = {
+                video: [],
+                audio: []
+            },
+            codec,
+            type,
+            i;
+
+        for (i = 0; i < list.length; i += 1) {
+            codec = list[i].trim();
+            type = codec.split('.')[0].toLowerCase();
+            if (codec.length === 0 || SUBTITLES_CODECS.indexOf(type) !== -1) {
+                continue;
+            }
+            if (VIDEO_CODECS.indexOf(type) !== -1) {
+                result.video.push(codec);
+            } else {
+                result.audio.push(codec);
+            }
+        }
+
+        return result;
+    };
 
     var _getVariantStreams = function(data) {
         var streamsArray = [],
@@ -241,6 +409,30 @@ Hls.dependencies.HlsParser = function() {
         return streamsArray;
     };
 
+    // Parse #EXT-X-I-FRAME-STREAM-INF tags (I-frame only variant streams), with attributes as for #EXT-X-STREAM-INF
+    // and the I-frame playlist URI provided in URI attribute
+    var _getIFrameStreams = function(data) {
+        var streams = [],
+            attributes,
+            i;
+
+        for (i = 0; i < data.length; i += 1) {
+            if (data[i].indexOf(TAG_EXTXIFRAMESTREAMINF + ":") === 0) {
+                attributes = _getTagAttributes(data[i]);
+                if (attributes[ATTR_URI]) {
+                    streams.push({
+                        bandwidth: parseInt(attributes[ATTR_BANDWIDTH], 10) || 0,
+                        resolution: attributes[ATTR_RESOLUTION] || "0x0",
+                        codecs: attributes[ATTR_CODECS] || "",
+                        uri: attributes[ATTR_URI]
+                    });
+                }
+            }
+        }
+
+        return streams;
+    };
+
     var _parsePlaylist = function(data, representation) {
         var deferred = Q.defer(),
             segmentList,
@@ -250,9 +442,20 @@ Hls.dependencies.HlsParser = function() {
             version,
             decryptionInfo = null,
             decryptionKeysDefer = [],
+            keyInfo,
+            contentProtection,
+            contentProtections = [],
             duration = 0,
             segmentIndex = 0,
+            discontinuitySequence = 0,
+            discontinuity = false,
+            programDateTime = null,
+            extInf = null,
+            byteRange = null,
+            byteRangeEnd = 0,
+            map = null,
             media,
+            keyError = null,
             i,
             self = this;
 
@@ -308,12 +511,62 @@ Hls.dependencies.HlsParser = function() {
                 segmentList.duration = parseInt(_getTagValue(data[i], TAG_EXTXTARGETDURATION), 10);
             } else if (_containsTag(data[i], TAG_EXTXMEDIASEQUENCE)) {
                 segmentList.startNumber = parseInt(_getTagValue(data[i], TAG_EXTXMEDIASEQUENCE), 10);
+            } else if (_containsTag(data[i], TAG_EXTXDISCONTINUITYSEQUENCE)) {
+                discontinuitySequence = parseInt(_getTagValue(data[i], TAG_EXTXDISCONTINUITYSEQUENCE), 10);
+            } else if (_containsTag(data[i], TAG_EXTXDISCONTINUITY)) {
+                // Timestamps and/or encoding parameters change at next segment
+                discontinuitySequence++;
+                discontinuity = true;
+            } else if (_containsTag(data[i], TAG_EXTXPROGRAMDATETIME)) {
+                // Absolute date and time of the first sample of next segment
+                programDateTime = new Date(_getTagValue(data[i], TAG_EXTXPROGRAMDATETIME));
+                if (isNaN(programDateTime.getTime())) {
+                    this.debug.warn("[HlsParser] Invalid program date time: " + data[i]);
+                    programDateTime = null;
+                }
             } else if (_containsTag(data[i], TAG_EXTXKEY)) {
-                decryptionInfo = _parseExtXKey(data[i]);
-                decryptionInfo.uri = _isAbsoluteURI(decryptionInfo.uri) ? decryptionInfo.uri : (segmentList.BaseURL + decryptionInfo.uri);
-                decryptionKeysDefer.push(_loadDecryptionKey.call(this, decryptionInfo));
+                keyInfo = _parseExtXKey(data[i]);
+                if (keyInfo.method === VAL_METHOD_NONE) {
+                    decryptionInfo = null;
+                } else if (keyInfo.keyFormat === KEYFORMAT_IDENTITY) {
+                    // AES-128 or SAMPLE-AES with clear key => load the key
+                    decryptionInfo = keyInfo;
+                    decryptionInfo.uri = _isAbsoluteURI(decryptionInfo.uri) ? decryptionInfo.uri : (segmentList.BaseURL + decryptionInfo.uri);
+                    decryptionKeysDefer.push(_loadDecryptionKey.call(this, decryptionInfo));
+                } else {
+                    // DRM key system => segments are decrypted by the CDM (ProtectionController), with initData from URI
+                    contentProtection = _getContentProtection(keyInfo);
+                    if (contentProtection === null) {
+                        // Segments can not be decrypted, then do not play them as clear media
+                        keyError = {
+                            name: MediaPlayer.dependencies.ErrorHandler.prototype.HLS_ENCRYPTION_UNSUPPORTED,
+                            message: "Unsupported key format: " + keyInfo.keyFormat,
+                            data: {
+                                url: representation.url,
+                                keyFormat: keyInfo.keyFormat
+                            }
+                        };
+                    } else if (!contentProtections.some(function(cp) {
+                            return cp.schemeIdUri === contentProtection.schemeIdUri;
+                        })) {
+                        contentProtections.push(contentProtection);
+                    }
+                }
+            } else if (_containsTag(data[i], TAG_EXTXMAP)) {
+                // Segments are fragmented MP4 segments, initialized by the media initialization section
+                if (map === null) {
+                    map = _parseExtXMap(data[i]);
+                    map.uri = _isAbsoluteURI(map.uri) ? map.uri : (segmentList.BaseURL + map.uri);
+                }
+            } else if (_containsTag(data[i], TAG_EXTXBYTERANGE)) {
+                // Segment is a sub-range of the resource identified by next URI
+                byteRange = _parseByteRange(_getTagValue(data[i], TAG_EXTXBYTERANGE), byteRangeEnd);
+                byteRangeEnd = byteRange.end + 1;
             } else if (_containsTag(data[i], TAG_EXTINF)) {
-                media = _parseExtInf([data[i], data[i + 1]]);
+                // Segment is created once its URI is reached (other tags such as #EXT-X-BYTERANGE may be in between)
+                extInf = data[i];
+            } else if ((extInf !== null) && (data[i].indexOf('#') !== 0)) {
+                media = _parseExtInf([extInf, data[i].trim()]);
                 segment = {
                     name: "SegmentURL",
                     isRoot: false,
@@ -322,38 +575,73 @@ Hls.dependencies.HlsParser = function() {
                     // children: [],
                     media: _isAbsoluteURI(media.uri) ? media.uri : (segmentList.BaseURL + media.uri),
                     sequenceNumber: segmentList.startNumber + segmentIndex,
+                    discontinuitySequence: discontinuitySequence,
+                    discontinuity: discontinuity,
+                    programDateTime: programDateTime,
                     time: (segments.length === 0) ? 0 : segments[segments.length - 1].time + segments[segments.length - 1].duration,
                     duration: media.duration
                 };
 
+                if (byteRange !== null) {
+                    segment.mediaRange = byteRange.start + "-" + byteRange.end;
+                }
+
                 if (decryptionInfo !== null) {
                     segment.decryptionInfo = decryptionInfo;
-                    if (segment.decryptionInfo.iv === undefined) {
-                        segment.decryptionInfo.iv = segment.sequenceNumber;
-                    }
                 }
 
                 segments.push(segment);
                 duration += media.duration;
+                discontinuity = false;
+                extInf = null;
+                byteRange = null;
+
+                // Program date time of next segments are deduced from segments durations (if not signaled)
+                if (programDateTime !== null) {
+                    programDateTime = new Date(programDateTime.getTime() + (media.duration * 1000));
+                }
 
                 segmentIndex++;
 
+            } else if (_containsTag(data[i], TAG_EXTXSTART)) {
+                representation.startOffset = _parseExtXStart(data[i]);
             } else if (_containsTag(data[i], TAG_EXTXENDLIST)) {
                 // "static" playlist => set representation duration
                 representation.duration = duration;
             }
         }
 
-        // Set initialization segment info
-        initialization = {
-            name: "Initialization",
-            sourceURL: representation.SegmentList.SegmentURL_asArray[0].media
-        };
+        // Set initialization segment info:
+        // - fragmented MP4 segments: media initialization section (#EXT-X-MAP)
+        // - MPEG-2 TS segments: first segment, from which initialization segment is generated
+        representation.isFragmentedMP4 = (map !== null);
+
+        if (contentProtections.length > 0) {
+            representation.ContentProtection_asArray = contentProtections;
+        }
+        if (map !== null) {
+            initialization = {
+                name: "Initialization",
+                sourceURL: map.uri,
+                range: map.range
+            };
+        } else {
+            initialization = {
+                name: "Initialization",
+                sourceURL: representation.SegmentList.SegmentURL_asArray[0].media,
+                range: representation.SegmentList.SegmentURL_asArray[0].mediaRange
+            };
+        }
         representation.SegmentList.Initialization = initialization;
 
         // PATCH Live = VOD
         //representation.duration = duration;
 
+        if (keyError !== null) {
+            deferred.reject(keyError);
+            return deferred.promise;
+        }
+
         // Wait for all decryption keys to be downlaoded
         Q.all(decryptionKeysDefer).then(
             function () {
@@ -432,13 +720,23 @@ Hls.dependencies.HlsParser = function() {
             //i,
             //valid,
             //initialization,
-            request = new MediaPlayer.vo.SegmentRequest(),
+            audioAdaptationSet = null,
+            codecsDefers = [],
             //_manifest = this.manifestModel.getValue(),
             self = this,
+            i,
             manifestDuration,
             mpdLoadedTime;
 
 
+        // Get alternate audio rendition for which playlist has been loaded (if any)
+        for (i = 1; i < period.AdaptationSet_asArray.length; i++) {
+            if ((period.AdaptationSet_asArray[i].contentType === "audio") && period.AdaptationSet_asArray[i].Representation_asArray[0].SegmentList) {
+                audioAdaptationSet = period.AdaptationSet_asArray[i];
+                break;
+            }
+        }
+
         period.start = 0; //segmentTimes[adaptationSet.Representation_asArray[0].SegmentList.startNumber];
 
         // Copy duration from first representation's duration
@@ -452,6 +750,11 @@ Hls.dependencies.HlsParser = function() {
         // Set manifest type, "static" vs "dynamic"
         manifest.type = (representation.duration === Infinity) ? "dynamic" : "static";
 
+        // Set start point (#EXT-X-START)
+        if ((representation.startOffset !== undefined) && (representation.startOffset !== null)) {
+            manifest.startOffset = representation.startOffset;
+        }
+
         manifestDuration = representation.SegmentList.duration * representation.SegmentList.SegmentURL_asArray.length;
 
         // Dynamic use case
@@ -529,16 +832,58 @@ Hls.dependencies.HlsParser = function() {
             }
         }*/
 
+        // Set content protection (DRM key systems signaled in #EXT-X-KEY) at adaptation set level
+        if (representation.ContentProtection_asArray) {
+            adaptationSet.ContentProtection_asArray = representation.ContentProtection_asArray;
+        }
+        if ((audioAdaptationSet !== null) && audioAdaptationSet.Representation_asArray[0].ContentProtection_asArray) {
+            for (i = 0; i < period.AdaptationSet_asArray.length; i++) {
+                if (period.AdaptationSet_asArray[i].contentType === "audio") {
+                    period.AdaptationSet_asArray[i].ContentProtection_asArray = audioAdaptationSet.Representation_asArray[0].ContentProtection_asArray;
+                }
+            }
+        }
+
         // Download initialization data (PSI, IDR...) of 1st representation to obtain codec information
         representation = adaptationSet.Representation_asArray[quality];
+        codecsDefers.push(_getCodecs.call(self, representation, "video", (audioAdaptationSet !== null) ? ["video"] : null));
+
+        // Same for alternate audio renditions, assuming all renditions share the same codec
+        if (audioAdaptationSet !== null && audioAdaptationSet.Representation_asArray[0].codecs === "") {
+            codecsDefers.push(_getCodecs.call(self, audioAdaptationSet.Representation_asArray[0], "audio", ["audio"]).then(
+                function() {
+                    var codecs = audioAdaptationSet.Representation_asArray[0].codecs,
+                        i;
+
+                    for (i = 0; i < period.AdaptationSet_asArray.length; i++) {
+                        if (period.AdaptationSet_asArray[i].contentType === "audio") {
+                            period.AdaptationSet_asArray[i].Representation_asArray[0].codecs = codecs;
+                        }
+                    }
+                }
+            ));
+        }
+
+        Q.all(codecsDefers).then(function() {
+            deferred.resolve();
+        });
+
+        return deferred.promise;
+    };
+
+    var _getCodecs = function(representation, streamType, trackTypes) {
+        var deferred = Q.defer(),
+            request = new MediaPlayer.vo.SegmentRequest(),
+            self = this;
+
         request.type = "Initialization Segment";
         request.url = representation.SegmentList.Initialization.sourceURL;
-        //request.range = "0-18799";
+        request.range = representation.SegmentList.Initialization.range;
 
         var onLoaded = function(representation, response) {
 
             // Parse initialization data to obtain codec information
-            var tracks = this.hlsDemux.getTracks(new Uint8Array(response.data)),
+            var tracks = this.hlsDemux.getTracks(new Uint8Array(response.data), streamType, trackTypes),
                 i = 0;
 
             representation.codecs = "";
@@ -557,7 +902,11 @@ Hls.dependencies.HlsParser = function() {
             deferred.resolve();
         };
 
-        if (representation.codecs === "") {
+        if ((representation.codecs === "") && representation.isFragmentedMP4) {
+            // Codecs can not be obtained from MPEG-2 TS demultiplexing
+            self.debug.warn("[HlsParser] Missing CODECS attribute for fragmented MP4 stream");
+            deferred.resolve();
+        } else if (representation.codecs === "") {
             self.debug.log("[HlsParser]", "Load initialization segment: " + request.url);
             self.fragmentLoader.load(request).then(onLoaded.bind(self, representation), onError.bind(self));
         } else {
@@ -567,6 +916,74 @@ Hls.dependencies.HlsParser = function() {
         return deferred.promise;
     };
 
+    // Load the data required to initialize I-frames demultiplexing, i.e. PSI (PAT/PMT) and codec information.
+    // I-frame playlist media resources either begin with the PSI or locate them with #EXT-X-MAP,
+    // codec information is obtained from the first I-frame
+    var _loadIFramesInitData = function(representation) {
+        var segment = representation.SegmentList.SegmentURL_asArray[0],
+            initialization = representation.SegmentList.Initialization,
+            requests = [],
+            request,
+            self = this;
+
+        if (representation.isFragmentedMP4) {
+            request = new MediaPlayer.vo.SegmentRequest();
+            request.type = "Initialization Segment";
+            request.url = initialization.sourceURL;
+            request.range = initialization.range;
+            requests.push(request);
+        }
+
+        request = new MediaPlayer.vo.SegmentRequest();
+        request.type = "Initialization Segment";
+        request.url = segment.media;
+        request.range = segment.mediaRange;
+        if (!representation.isFragmentedMP4 && segment.mediaRange) {
+            request.range = "0-" + segment.mediaRange.split('-')[1];
+        }
+        requests.push(request);
+
+        this.debug.log("[HlsParser]", "Load I-frames initialization data: " + segment.media);
+
+        return Q.all(requests.map(function(request) {
+            return self.fragmentLoader.load(request);
+        })).then(function(responses) {
+            var length = 0,
+                data,
+                i;
+
+            for (i = 0; i < responses.length; i += 1) {
+                length += responses[i].data.byteLength;
+            }
+            data = new Uint8Array(length);
+            length = 0;
+            for (i = 0; i < responses.length; i += 1) {
+                data.set(new Uint8Array(responses[i].data), length);
+                length += responses[i].data.byteLength;
+            }
+
+            representation.initData = data;
+        });
+    };
+
+    // Load (or reload in case of live stream) the I-frame playlist, and the I-frames initialization data
+    var loadIFramePlaylist = function(representation) {
+        var self = this;
+
+        return updatePlaylist.call(this, representation).then(function() {
+            if (representation.SegmentList.SegmentURL_asArray.length === 0) {
+                return Q.reject({
+                    name: MediaPlayer.dependencies.ErrorHandler.prototype.MANIFEST_ERR_PARSE,
+                    message: "Empty I-frame playlist",
+                    data: {
+                        url: representation.url
+                    }
+                });
+            }
+            return representation.initData ? null : _loadIFramesInitData.call(self, representation);
+        });
+    };
+
     var parseBaseUrl = function(url) {
         var base = null;
 
@@ -580,8 +997,26 @@ Hls.dependencies.HlsParser = function() {
         return base;
     };
 
+    // A reloaded playlist has changed if its window has moved (media sequence), if new segments have been
+    // appended or if it has been ended (#EXT-X-ENDLIST)
+    var _isPlaylistChanged = function(previousSegmentList, previousDuration, representation) {
+        var segmentList = representation.SegmentList;
+
+        if (!previousSegmentList) {
+            return true;
+        }
+
+        return (segmentList.startNumber !== previousSegmentList.startNumber) ||
+            (segmentList.SegmentURL_asArray.length !== previousSegmentList.SegmentURL_asArray.length) ||
+            (representation.duration !== previousDuration);
+    };
+
+    // Load (or reload) a variant stream playlist, the returned promise is resolved with a boolean
+    // indicating whether the playlist has changed since previous loading
     var updatePlaylist = function(representation) {
         var deferred = Q.defer(),
+            previousSegmentList = representation.SegmentList,
+            previousDuration = representation.duration,
             self = this;
 
         this.debug.log("[HlsParser]", "Load playlist manifest: " + representation.url);
@@ -591,7 +1026,7 @@ Hls.dependencies.HlsParser = function() {
             function (request) {
                 _parsePlaylist.call(self, request.response, representation).then(
                     function () {
-                        deferred.resolve();
+                        deferred.resolve(_isPlaylistChanged(previousSegmentList, previousDuration, representation));
                     },
                     function (error) {
                         deferred.reject(error);
@@ -627,6 +1062,13 @@ Hls.dependencies.HlsParser = function() {
             representationId = 0,
             streams = [],
             stream,
+            iFrameStreams,
+            mainStream = null,
+            medias = [],
+            audioCodecs,
+            audioAdaptationSets = [],
+            textAdaptationSets = [],
+            playlistsLoaded,
             result,
             //requestsToDo = [],
             self = this,
@@ -650,6 +1092,14 @@ Hls.dependencies.HlsParser = function() {
         mpd.profiles = "urn:mpeg:dash:profile:isoff-live:2011";
         mpd.type = "static"; // Updated in postProcess()
 
+        // Start point signaled in master playlist (may be overridden by the variant stream playlist, see postProcess())
+        for (i = 1; i < data.length; i++) {
+            if (_containsTag(data[i], TAG_EXTXSTART)) {
+                mpd.startOffset = _parseExtXStart(data[i]);
+                break;
+            }
+        }
+
         // PERIOD
         period = {};
         period.name = "Period";
@@ -689,6 +1139,11 @@ Hls.dependencies.HlsParser = function() {
             maxWidth: 0,
             maxHeight: 0,
             BaseURL: period.BaseURL,
+            // Timed metadata (ID3 tags) carried in variant streams are signaled as inband events
+            InbandEventStream_asArray: [{
+                schemeIdUri: MediaPlayer.dependencies.EventController.prototype.ID3_SCHEME_ID_URI,
+                value: ""
+            }],
             Representation: representations,
             Representation_asArray: representations
         };
@@ -716,6 +1171,9 @@ Hls.dependencies.HlsParser = function() {
                 representations.push(representation);
                 representationId++;
                 //requestsToDo.push({"url": representation.url, "parent": representation});
+                if (mainStream === null) {
+                    mainStream = stream;
+                }
             }
         }
 
@@ -727,54 +1185,135 @@ Hls.dependencies.HlsParser = function() {
 
         adaptationsSets.push(adaptationSet);
 
-        // alternative renditions of the same content (alternative audio tarcks or subtitles) #EXT-X-MEDIA
-        // HLS > v3
-        /*if(medias) {
-            for (var j = medias.length - 1; j >= 0; j--) {
-                var mediaAdaptationSet = {
-                    name: "AdaptationSet",
-                    isRoot: false,
-                    isArray: true,
-                    //parent: period,
-                    // children: [],
-                    id: medias[j].name,
-                    lang: medias[j].language,
-                    contentType: medias[j].type.toLowerCase(),
-                    mimeType: "video/MP2T",
-                    maxWidth: "",//FIXME
-                    maxHeight: "",//FIXME
-                    groupId: medias[j].groupId,
-                    default: medias[j].default,
-                    autoSelect: medias[j].autoSelect,
-                    BaseURL: period.BaseURL
-                };
-                var mediaRepresentation = {
-                    name: "mediaRepresentation",
-                    isRoot: false,
-                    isArray: true,
-                    //parent: mediaAdaptationSet,
-                    // children: [],
-                    id: 0,
-                    bandwidth: "",
-                    width: "",
-                    height: "",
-                    codecs: "",
-                    BaseURL: mediaAdaptationSet.BaseURL,
-                    url: medias[j].uri.indexOf("http://") !== 1 ? medias[j].uri : (mediaAdaptationSet.BaseURL + medias[j].uri)
-                };
+        // I-frame only variant streams, used for trick mode (the playlist is loaded once trick mode is enabled)
+        iFrameStreams = _getIFrameStreams(data);
+        if (iFrameStreams.length > 0) {
+            // Trick mode uses the lowest quality, then keep the lowest bandwidth I-frame stream
+            iFrameStreams.sort(function(a, b) {
+                return a.bandwidth - b.bandwidth;
+            });
+            stream = iFrameStreams[0];
+            adaptationSet.iFrameRepresentation = {
+                name: "Representation",
+                isRoot: false,
+                isArray: false,
+                id: "iframe",
+                mimeType: "video/mp4",
+                codecs: stream.codecs,
+                bandwidth: stream.bandwidth,
+                width: parseInt(stream.resolution.split('x')[0], 10),
+                height: parseInt(stream.resolution.split('x')[1], 10),
+                url: _isAbsoluteURI(stream.uri) ? stream.uri : (adaptationSet.BaseURL + stream.uri)
+            };
+            adaptationSet.iFrameRepresentation.BaseURL = parseBaseUrl(adaptationSet.iFrameRepresentation.url);
+        }
 
-                requestsToDo.push({"url": mediaRepresentation.url, "parent": mediaRepresentation});
+        // Alternative audio renditions (#EXT-X-MEDIA:TYPE=AUDIO) of the audio group referenced by the variant streams
+        if (mainStream !== null && mainStream.audioId) {
+            medias = _getMediaRenditions(data, VAL_AUDIO, mainStream.audioId);
+        }
 
-                mediaAdaptationSet.Representation = mediaRepresentation;
-                mediaAdaptationSet.Representation_asArray = [mediaRepresentation];
-                adaptationsSet.push(mediaAdaptationSet);
+        // Set default rendition as the first one
+        for (i = 0; i < medias.length; i += 1) {
+            if (medias[i].isDefault) {
+                medias.unshift(medias.splice(i, 1)[0]);
+                break;
             }
-        }*/
+        }
+
+        audioCodecs = _splitCodecs(mainStream !== null ? mainStream.codecs : "").audio.join(',');
+
+        for (i = 0; i < medias.length; i += 1) {
+            representation = {
+                name: "Representation",
+                isRoot: false,
+                isArray: true,
+                id: representationId.toString(),
+                mimeType: "audio/mp4",
+                codecs: audioCodecs,
+                bandwidth: 0,
+                // Rendition with no URI is muxed in the variant streams, then use the lowest variant stream
+                url: medias[i].uri ? (_isAbsoluteURI(medias[i].uri) ? medias[i].uri : (period.BaseURL + medias[i].uri)) : representations[0].url
+            };
+            representation.BaseURL = parseBaseUrl(representation.url);
+            representationId++;
+
+            audioAdaptationSets.push(_setMediaDescriptors({
+                name: "AdaptationSet",
+                isRoot: false,
+                isArray: true,
+                id: medias[i].name,
+                lang: medias[i].language,
+                contentType: "audio",
+                mimeType: "audio/mp4",
+                BaseURL: period.BaseURL,
+                Representation: [representation],
+                Representation_asArray: [representation]
+            }, medias[i]));
+        }
+
+        if (audioAdaptationSets.length > 0) {
+            // Audio is provided by the audio renditions, then remove audio codecs from variant streams
+            for (i = 0; i < representations.length; i += 1) {
+                representations[i].codecs = _splitCodecs(representations[i].codecs).video.join(',');
+            }
+            adaptationsSets.push.apply(adaptationsSets, audioAdaptationSets);
+        }
+
+        // Subtitles renditions (#EXT-X-MEDIA:TYPE=SUBTITLES), as segmented WebVTT playlists
+        medias = (mainStream !== null && mainStream.subtitlesId) ? _getMediaRenditions(data, VAL_SUBTITLES, mainStream.subtitlesId) : [];
+
+        for (i = 0; i < medias.length; i += 1) {
+            if (!medias[i].uri) {
+                continue;
+            }
+            representation = {
+                name: "Representation",
+                isRoot: false,
+                isArray: true,
+                id: representationId.toString(),
+                mimeType: "text/vtt",
+                codecs: "",
+                bandwidth: 0,
+                url: _isAbsoluteURI(medias[i].uri) ? medias[i].uri : (period.BaseURL + medias[i].uri)
+            };
+            representation.BaseURL = parseBaseUrl(representation.url);
+            representationId++;
+
+            textAdaptationSets.push(_setMediaDescriptors({
+                name: "AdaptationSet",
+                isRoot: false,
+                isArray: true,
+                id: medias[i].name,
+                lang: medias[i].language,
+                contentType: "text",
+                mimeType: "text/vtt",
+                BaseURL: period.BaseURL,
+                Representation: [representation],
+                Representation_asArray: [representation]
+            }, medias[i]));
+        }
+        adaptationsSets.push.apply(adaptationsSets, textAdaptationSets);
 
         // Get representation (variant stream) playlist
         result = this.abrController.getPlaybackQuality("video", adaptationSet);
         representation = adaptationSet.Representation_asArray[result.quality];
-        updatePlaylist.call(this, representation).then(
+        playlistsLoaded = updatePlaylist.call(this, representation).then(
+            function() {
+                // Get default audio rendition playlist
+                return (audioAdaptationSets.length > 0) ? updatePlaylist.call(self, audioAdaptationSets[0].Representation_asArray[0]) : null;
+            }
+        );
+
+        // Get subtitles playlists now, since text representations are not considered as uninitialized
+        // (and then their playlist is not downloaded) when switching subtitles track
+        textAdaptationSets.forEach(function(textAdaptationSet) {
+            playlistsLoaded = playlistsLoaded.then(function() {
+                return updatePlaylist.call(self, textAdaptationSet.Representation_asArray[0]);
+            });
+        });
+
+        playlistsLoaded.then(
             function() {
                 postProcess.call(self, mpd, result.quality).then(function() {
                     deferred.resolve(mpd);
@@ -825,6 +1364,8 @@ Hls.dependencies.HlsParser = function() {
 
         updatePlaylist: updatePlaylist,
 
+        loadIFramePlaylist: loadIFramePlaylist,
+
         abort: abort
     };
 };
@@ -16,7 +16,11 @@
 Mss.dependencies.MssFragmentController = function() {
     "use strict";
 
-    var processTfrf = function(request, tfrf, tfdt, adaptation) {
+    var DEFAULT_MANIFEST_REFRESH_THRESHOLD = 3,
+        // Number of consecutive live fragments received without tfrf box
+        tfrfMissingCount = 0,
+
+        processTfrf = function(request, tfrf, tfdt, adaptation) {
             var manifest = this.manifestModel.getValue(),
                 segmentsUpdated = false,
                 // Get adaptation's segment timeline (always a SegmentTimeline in Smooth Streaming use case)
@@ -30,6 +34,8 @@ Mss.dependencies.MssFragmentController = function() {
                 j = 0,
                 segmentId = -1,
                 availabilityStartTime = null,
+                dvrInfos,
+                dvrInfo,
                 range;
 
             // Go through tfrf entries
@@ -74,34 +80,39 @@ Mss.dependencies.MssFragmentController = function() {
                 }
             }
 
-            //
+            // Remove segments that have fallen outside the DVR window
+            // (a DVRWindowLength equal to 0 means infinite DVR window, see MssParser)
             if (manifest.timeShiftBufferDepth && manifest.timeShiftBufferDepth > 0) {
                 if (segmentsUpdated) {
-                    // Get timestamp of the last segment
+                    // Get end time of the last segment
                     segment = segments[segments.length - 1];
-                    t = segment.t;
+                    t = segment.t + segment.d;
 
                     // Determine the segments' availability start time
-                    availabilityStartTime = t - (manifest.timeShiftBufferDepth * 10000000);
+                    availabilityStartTime = t - (manifest.timeShiftBufferDepth * adaptation.SegmentTemplate.timescale);
 
-                    // Remove segments prior to availability start time
-                    segment = segments[0];
-                    while (segment.t < availabilityStartTime) {
-                        this.debug.log("[MssFragmentController] Remove segment  - t = " + (segment.t / 10000000.0));
+                    // Remove segments prior to availability start time (keeping at least the last segment)
+                    while (segments.length > 1 && (segments[0].t + segments[0].d) <= availabilityStartTime) {
+                        this.debug.log("[MssFragmentController] Remove segment  - t = " + (segments[0].t / adaptation.SegmentTemplate.timescale));
                         segments.splice(0, 1);
-                        segment = segments[0];
                     }
                 }
 
                 // Update DVR window range
+                // => set range start to start time of first segment in DVR window
                 // => set range end to end time of current segment
                 range = {
                     start: segments[0].t / adaptation.SegmentTemplate.timescale,
                     end: (tfdt.baseMediaDecodeTime / adaptation.SegmentTemplate.timescale) + request.duration
                 };
-                var dvrInfos = this.metricsModel.getMetricsFor(adaptation.type).DVRInfo;
-                if (dvrInfos && dvrInfos.length > 0 && range.end > dvrInfos[dvrInfos.length - 1].range.end) {
-                    this.metricsModel.addDVRInfo(adaptation.type, new Date(), range);
+                dvrInfos = this.metricsModel.getMetricsFor(adaptation.type).DVRInfo;
+                if (dvrInfos && dvrInfos.length > 0) {
+                    dvrInfo = dvrInfos[dvrInfos.length - 1];
+                    // Range end shall not go backward (i.e. when playing back in DVR window)
+                    range.end = Math.max(range.end, dvrInfo.range.end);
+                    if (range.start !== dvrInfo.range.start || range.end !== dvrInfo.range.end) {
+                        this.metricsModel.addDVRInfo(adaptation.type, new Date(), range);
+                    }
                 }
             }
 
@@ -223,6 +234,35 @@ Mss.dependencies.MssFragmentController = function() {
             }
         },
 
+        // Some encoders or CDN caches strip tfrf boxes from live fragments. In that case new segments can only be
+        // discovered by refreshing the manifest (see ManifestUpdater and MssParser)
+        checkManifestRefresh = function(request, tfrfFound) {
+            var manifest = this.manifestModel.getValue(),
+                threshold = this.config.getParam("MssFragmentController.ManifestRefreshThreshold", "number", DEFAULT_MANIFEST_REFRESH_THRESHOLD);
+
+            if (!manifest || manifest.type !== "dynamic" || request.streamType === "text") {
+                return;
+            }
+
+            if (tfrfFound) {
+                tfrfMissingCount = 0;
+                if (manifest.hasOwnProperty("minimumUpdatePeriod")) {
+                    // tfrf boxes are back, manifest refresh will stop after next update
+                    this.debug.info("[MssFragmentController] tfrf boxes detected, disable manifest refresh");
+                    delete manifest.minimumUpdatePeriod;
+                }
+                return;
+            }
+
+            tfrfMissingCount += 1;
+
+            if (threshold > 0 && tfrfMissingCount >= threshold && !manifest.hasOwnProperty("minimumUpdatePeriod")) {
+                this.debug.info("[MssFragmentController] No tfrf box in last " + tfrfMissingCount + " fragments, enable manifest refresh");
+                manifest.minimumUpdatePeriod = request.duration;
+                this.manifestUpdater.start();
+            }
+        },
+
         convertFragment = function(data, request, adaptation) {
             var i = 0,
                 // Get track id corresponding to adaptation set
@@ -265,7 +305,16 @@ Mss.dependencies.MssFragmentController = function() {
             // requires continuous stream to enable playback
             sampleDuration = trun.samples_table[0].sample_duration !== undefined ? trun.samples_table[0].sample_duration : tfhd.default_sample_duration;
             fragmentDuration = request.duration * request.timescale;
-            if (trun.samples_table.length === 1 && sampleDuration < fragmentDuration) {
+            if (request.streamType === "text") {
+                // Text fragments: set samples duration in trun box, since TextTTMLXMLMP4SourceBuffer
+                // determines the time range of the fragment from the trun box
+                if (!(trun.flags & 0x000100)) {
+                    for (i = 0; i < trun.samples_table.length; i += 1) {
+                        trun.samples_table[i].sample_duration = (tfhd.flags & 0x000008) ? tfhd.default_sample_duration : Math.round(fragmentDuration / trun.samples_table.length);
+                    }
+                    trun.flags |= 0x000100;
+                }
+            } else if (trun.samples_table.length === 1 && sampleDuration < fragmentDuration) {
                 duplicateSample(fragment, fragmentDuration);
             }
 
@@ -296,6 +345,7 @@ Mss.dependencies.MssFragmentController = function() {
                     traf.removeBoxByType("tfrf");
                 }
             }
+            checkManifestRefresh.call(this, request, tfrf.length !== 0);
 
             // If protected content in PIFF1.1 format (sepiff box = Sample Encryption PIFF)
             // => convert sepiff box it into a senc box
@@ -372,6 +422,8 @@ Mss.dependencies.MssFragmentController = function() {
     rslt.manifestModel = undefined;
     rslt.manifestExt = undefined;
     rslt.metricsModel = undefined;
+    rslt.manifestUpdater = undefined;
+    rslt.config = undefined;
 
     rslt.process = function(bytes, request, representations) {
         var result = null,
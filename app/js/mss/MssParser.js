@@ -38,6 +38,14 @@ Mss.dependencies.MssParser = function() {
             "audio": "audio/mp4",
             "text": "application/ttml+xml+mp4"
         },
+        // Text StreamIndex subtypes of subtitles tracks (other subtypes, such as SCMD, CHAP or DATA, are not rendered)
+        SUBTITLES_SUBTYPES = ["CAPT", "SUBT", "DESC"],
+        // Text StreamIndex subtypes mapped to DASH roles
+        roleMap = {
+            "CAPT": "caption",
+            "SUBT": "subtitle",
+            "DESC": "description"
+        },
         xmlDoc = null,
         baseURL = null,
 
@@ -78,6 +86,8 @@ Mss.dependencies.MssParser = function() {
                 segments,
                 qualityLevels = null,
                 range,
+                role,
+                subType,
                 i;
 
             adaptationSet.id = this.domParser.getAttributeValue(streamIndex, "Name");
@@ -85,6 +95,20 @@ Mss.dependencies.MssParser = function() {
             adaptationSet.contentType = this.domParser.getAttributeValue(streamIndex, "Type");
             adaptationSet.mimeType = mimeTypeMap[adaptationSet.contentType];
             adaptationSet.subType = this.domParser.getAttributeValue(streamIndex, "Subtype");
+            // Subtype values are compared case-insensitively
+            subType = adaptationSet.subType ? adaptationSet.subType.toUpperCase() : null;
+            if (adaptationSet.contentType === "text" && subType && SUBTITLES_SUBTYPES.indexOf(subType) === -1) {
+                this.debug.warn("[MssParser] Text stream subtype not supported: " + adaptationSet.subType);
+                return null;
+            }
+            if (adaptationSet.contentType === "text" && subType && roleMap.hasOwnProperty(subType)) {
+                role = {
+                    schemeIdUri: "urn:mpeg:dash:role:2011",
+                    value: roleMap[subType]
+                };
+                adaptationSet.Role = role;
+                adaptationSet.Role_asArray = [role];
+            }
             adaptationSet.maxWidth = this.domParser.getAttributeValue(streamIndex, "MaxWidth");
             adaptationSet.maxHeight = this.domParser.getAttributeValue(streamIndex, "MaxHeight");
             adaptationSet.BaseURL = baseURL;
@@ -174,6 +198,9 @@ Mss.dependencies.MssParser = function() {
                 representation.codecs = getAACCodec.call(this, qualityLevel, fourCCValue);
                 representation.audioSamplingRate = parseInt(this.domParser.getAttributeValue(qualityLevel, "SamplingRate"), 10);
                 representation.audioChannels = parseInt(this.domParser.getAttributeValue(qualityLevel, "Channels"), 10);
+            } else if (fourCCValue.toUpperCase() === "TTML" || fourCCValue.toUpperCase() === "DFXP") {
+                // TTML documents in ISOBMFF samples
+                representation.codecs = "stpp";
             }
 
             representation.codecPrivateData = "" + this.domParser.getAttributeValue(qualityLevel, "CodecPrivateData");
@@ -540,6 +567,61 @@ Mss.dependencies.MssParser = function() {
             return mpd;
         },
 
+        // In case of live streams manifest refresh (when fragments do not contain tfrf boxes, see MssFragmentController),
+        // merge the new segments into the current manifest's segment timelines
+        mergeManifest = function(manifest) {
+            var previousManifest = this.manifestModel.getValue(),
+                adaptations,
+                previousAdaptations,
+                segments,
+                newSegments,
+                segment,
+                availabilityStartTime,
+                i,
+                j;
+
+            if (!previousManifest || previousManifest.name !== 'MSS' || previousManifest.type !== "dynamic" || previousManifest.BaseURL !== manifest.BaseURL) {
+                return;
+            }
+
+            adaptations = manifest.Period_asArray[0].AdaptationSet_asArray;
+            previousAdaptations = previousManifest.Period_asArray[0].AdaptationSet_asArray;
+
+            for (i = 0; i < adaptations.length; i += 1) {
+                if (!previousAdaptations[i] || previousAdaptations[i].id !== adaptations[i].id || previousAdaptations[i].contentType !== adaptations[i].contentType) {
+                    continue;
+                }
+
+                segments = previousAdaptations[i].SegmentTemplate.SegmentTimeline.S_asArray;
+                newSegments = adaptations[i].SegmentTemplate.SegmentTimeline.S_asArray;
+
+                // Append segments that are not yet in the current timeline
+                for (j = 0; j < newSegments.length; j += 1) {
+                    if (newSegments[j].t > segments[segments.length - 1].t) {
+                        this.debug.log("[MssParser] Add new segment - t = " + (newSegments[j].t / TIME_SCALE_100_NANOSECOND_UNIT));
+                        segments.push(newSegments[j]);
+                    }
+                }
+
+                // Remove segments that have fallen outside the DVR window
+                if (manifest.timeShiftBufferDepth && manifest.timeShiftBufferDepth > 0) {
+                    segment = segments[segments.length - 1];
+                    availabilityStartTime = segment.t + segment.d - (manifest.timeShiftBufferDepth * TIME_SCALE_100_NANOSECOND_UNIT);
+                    while (segments.length > 1 && (segments[0].t + segments[0].d) <= availabilityStartTime) {
+                        segments.splice(0, 1);
+                    }
+                }
+
+                adaptations[i].SegmentTemplate.SegmentTimeline.S = segments;
+                adaptations[i].SegmentTemplate.SegmentTimeline.S_asArray = segments;
+            }
+
+            // Keep on refreshing manifest
+            if (previousManifest.hasOwnProperty("minimumUpdatePeriod")) {
+                manifest.minimumUpdatePeriod = previousManifest.minimumUpdatePeriod;
+            }
+        },
+
         internalParse = function(data, baseUrl) {
             this.debug.info("[MssParser]", "Doing parse.");
 
@@ -560,6 +642,9 @@ Mss.dependencies.MssParser = function() {
 
             // Convert MSS manifest into DASH manifest
             manifest = processManifest.call(this, start);
+            if (manifest.type === "dynamic") {
+                mergeManifest.call(this, manifest);
+            }
             mss2dash = new Date();
             //this.debug.log("mpd: " + JSON.stringify(manifest, null, '\t'));
 
@@ -574,6 +659,7 @@ Mss.dependencies.MssParser = function() {
         errHandler: undefined,
         domParser: undefined,
         metricsModel: undefined,
+        manifestModel: undefined,
 
         parse: internalParse
     };
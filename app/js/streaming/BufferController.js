@@ -36,6 +36,8 @@ MediaPlayer.dependencies.BufferController = function() {
         isBufferingCompleted = false,
         deferredRejectedDataAppend = null,
         periodInfo = null,
+        // Periods buffered consecutively in the same buffer (seamless period switching, see Stream.addPeriod())
+        periods = null,
         fragmentsToLoad = 0,
         fragmentModel = null,
         bufferLevel = 0,
@@ -49,12 +51,14 @@ MediaPlayer.dependencies.BufferController = function() {
         minBufferTime,
         minBufferTimeAtStartup,
         liveDelay,
+        lowLatencyMode = false,
         bufferTimeout,
         bufferStateTimeout,
         trickModeEnabled = false,
         trickModePreviousQuality = 0,
         trickModePreviousAutoSwitch = true,
         trickModeForward = false,
+        trickModePreviousData = null,
 
         playListMetrics = null,
         playListTraceMetrics = null,
@@ -82,6 +86,18 @@ MediaPlayer.dependencies.BufferController = function() {
 
         // HLS chunk sequence number
         currentSequenceNumber = -1,
+        // HLS chunk end program date time (if signaled)
+        currentProgramDateTime = null,
+
+        // HLS live playlist refresh
+        PLAYLIST_STALLED_TARGET_DURATIONS = 3,
+        PLAYLIST_REFRESH_MAX_TARGET_DURATIONS = 2,
+        playlistRefreshTimeout = null,
+        playlistLastChangeTime = null,
+        playlistUnchangedCount = 0,
+        playlistFailureCount = 0,
+        playlistStalled = false,
+        waitingForPlaylist = false,
 
         segmentDuration = NaN,
 
@@ -211,6 +227,13 @@ MediaPlayer.dependencies.BufferController = function() {
             // Wait for current buffering process to be completed before restarting
             Q.when(deferredFragmentBuffered ? deferredFragmentBuffered.promise : true).then(
                 function() {
+                    var period = getPeriodForTime(time);
+
+                    // Seamless period switching: buffer the period that contains the seek time
+                    if (period !== periodInfo) {
+                        switchToPeriod.call(self, period);
+                    }
+
                     //self.debug.log("[BufferController]["+type+"] SEEK: deferredFragmentBuffered = "+deferredFragmentBuffered+" Call start!");
                     doStart.call(self);
                 }
@@ -242,6 +265,12 @@ MediaPlayer.dependencies.BufferController = function() {
             clearTimeout(reloadTimeout);
             reloadTimeout = null;
 
+            // Stop playlist refresh
+            clearTimeout(playlistRefreshTimeout);
+            playlistRefreshTimeout = null;
+            waitingForPlaylist = false;
+            playlistLastChangeTime = null;
+
             // Stop buffering process and cancel loaded request
             clearPlayListTraceMetrics(new Date(), MediaPlayer.vo.metrics.PlayList.Trace.USER_REQUEST_STOP_REASON);
 
@@ -253,6 +282,87 @@ MediaPlayer.dependencies.BufferController = function() {
             return availableRepresentations[quality];
         },
 
+        getPeriodIndex = function(id) {
+            var i;
+
+            if (periods) {
+                for (i = 0; i < periods.length; i += 1) {
+                    if (periods[i].id === id) {
+                        return i;
+                    }
+                }
+            }
+
+            return -1;
+        },
+
+        getPeriodForTime = function(time) {
+            var i;
+
+            if (periods) {
+                for (i = periods.length - 1; i >= 0; i -= 1) {
+                    if (time >= periods[i].start) {
+                        return periods[i];
+                    }
+                }
+            }
+
+            return periodInfo;
+        },
+
+        // Returns the data (adaptation) of a period that corresponds to the current track
+        getDataForPeriod = function(period) {
+            var manifest = this.manifestModel.getValue(),
+                videoData;
+
+            switch (type) {
+                case "video":
+                    videoData = this.manifestExt.getSpecificVideoData(manifest, period.index, (trickModePreviousData || data).id);
+                    // In trick mode, go on with the trick mode AdaptationSet of the period (if any)
+                    if (trickModePreviousData !== null) {
+                        return this.manifestExt.getTrickModeData(manifest, period.index, videoData) || videoData;
+                    }
+                    return videoData;
+                case "audio":
+                    return this.manifestExt.getSpecificAudioData(manifest, period.index, data.lang, this.manifestExt.getTrackRole(data));
+                case "text":
+                    return this.manifestExt.getSpecificTextData(manifest, period.index, data.lang, this.manifestExt.getTrackRole(data));
+                default:
+                    return null;
+            }
+        },
+
+        switchToPeriod = function(period) {
+            var newData = getDataForPeriod.call(this, period);
+
+            if (newData === null) {
+                this.debug.log("[BufferController][" + type + "] No data in period " + period.id);
+                return false;
+            }
+
+            this.debug.info("[BufferController][" + type + "] Switch to period " + period.id + " (start = " + period.start + ")");
+
+            data = newData;
+            periodInfo = period;
+            dataChanged = true;
+
+            // Initialization segments and representations are specific to each period
+            initializationData = [];
+            currentDownloadQuality = -1;
+
+            return true;
+        },
+
+        switchToNextPeriod = function() {
+            var index = getPeriodIndex(periodInfo.id);
+
+            if ((index === -1) || (index === (periods.length - 1))) {
+                return false;
+            }
+
+            return switchToPeriod.call(this, periods[index + 1]);
+        },
+
         onBytesLoadingStart = function(request) {
             this.debug.info("[BufferController][" + type + "] Load request ", (request.url !== null) ? request.url : request.quality);
         },
@@ -262,6 +372,7 @@ MediaPlayer.dependencies.BufferController = function() {
             // Store current segment sequence number for next segment request (HLS use case)
             if (request.sequenceNumber !== undefined) {
                 currentSequenceNumber = request.sequenceNumber;
+                currentProgramDateTime = request.programDateTime ? new Date(request.programDateTime.getTime() + (request.duration * 1000)) : null;
             }
 
             if (this.fragmentController.isInitializationRequest(request)) {
@@ -280,7 +391,7 @@ MediaPlayer.dependencies.BufferController = function() {
             self.debug.log("[BufferController][" + type + "] Initialization loaded ", quality);
 
             try {
-                data = self.fragmentController.process(initData);
+                data = self.fragmentController.process(initData, request);
                 if (data) {
                     // Cache the initialization data to use it next time the quality has changed
                     initializationData[quality] = data;
@@ -309,13 +420,120 @@ MediaPlayer.dependencies.BufferController = function() {
             }
         },
 
-        onMediaLoaded = function(request, response) {
+        // Processes and appends media segment data (or CMAF chunk in case of low latency chunked transfer).
+        // Returns null if no data to append
+        bufferMediaData = function(request, bytes) {
             var self = this,
                 eventStreamAdaption = this.manifestExt.getEventStreamForAdaptationSet(self.getData()),
                 eventStreamRepresentation = this.manifestExt.getEventStreamForRepresentation(self.getData(), _currentRepresentation),
+                representation = getRepresentationForQuality.call(self, request.quality),
+                timestampOffset,
                 events,
                 data;
 
+            data = self.fragmentController.process(bytes, request, availableRepresentations);
+            if (!data) {
+                return null;
+            }
+
+            if (eventStreamAdaption.length > 0 || eventStreamRepresentation.length > 0) {
+                events = handleInbandEvents.call(self, data, request, eventStreamAdaption, eventStreamRepresentation);
+                self.eventController.addInbandEvents(events);
+            }
+
+            self.debug.info("[BufferController][" + type + "] Buffer " + (request.lowLatency ? "chunk" : "segment") + " from url ", request.url);
+
+            /*if (trickModeEnabled) {
+                    var filename = type + "_" + request.index + "_" + request.quality + ".mp4",
+                        blob = new Blob([data], {
+                            type: 'data/mp4'
+                        });
+
+                    if (navigator.msSaveBlob) { // For IE10+ and edge
+                        navigator.msSaveBlob(blob, filename);
+                    }
+                }*/
+
+            //console.saveBinArray(data, request.url.substring(request.url.lastIndexOf('/') + 1));
+            data = deleteInbandEvents.call(self, data);
+
+            // Check if we need to override the current buffered segments (in case of language switch for example)
+            return Q.when(overrideBuffer ? removeBuffer.call(self) : true).then(
+                function() {
+                    /*if (overrideBuffer) {
+                        debugBufferRange.call(self);
+                    }*/
+                    overrideBuffer = false;
+
+                    // HLS subtitles segments (WebVTT) do not convey their time range, then set it as the text buffer append window
+                    if ((type === "text") && (self.manifestModel.getValue().name === "M3U")) {
+                        buffer.appendWindowStart = request.startTime;
+                        buffer.appendWindowEnd = request.startTime + request.duration;
+                    } else {
+                        // Map media times onto the presentation timeline (multi-period, see TimelineConverter.calcMSETimeOffset())
+                        timestampOffset = (representation && representation.MSETimeOffset) || 0;
+                        // If firefox, set buffer timestampOffset since timestamping (MSE buffer range and <video> currentTime) is based on CTS (and not DTS like in other browsers)
+                        if (isFirefox) {
+                            timestampOffset -= getSegmentTimestampOffset(data) / request.timescale;
+                        }
+                        if (buffer.timestampOffset !== timestampOffset) {
+                            buffer.timestampOffset = timestampOffset;
+                        }
+                    }
+
+                    return appendToBuffer.call(self, data, request.quality, request.index);
+                }
+            );
+        },
+
+        // Low latency chunked transfer: chunks of a segment are appended sequentially as soon as they are received
+        bufferMediaChunk = function(request, bytes) {
+            var self = this;
+
+            request.chunksBuffered = Q.when(request.chunksBuffered).then(function() {
+                return bufferMediaData.call(self, request, bytes);
+            });
+
+            return request.chunksBuffered;
+        },
+
+        // Signals the end of buffering process and reports the error, once per segment
+        // (the low latency chunks buffering chain may be rejected for both chunk and segment events)
+        onMediaBufferingError = function(request, e) {
+            if (request.bufferingFailed) {
+                return;
+            }
+            request.bufferingFailed = true;
+
+            signalSegmentBuffered.call(this);
+            if (e.name) {
+                this.errHandler.sendError(e.name, e.message, e.data);
+            } else {
+                this.errHandler.sendError(MediaPlayer.dependencies.ErrorHandler.prototype.INTERNAL_ERROR, "Internal error while processing media segment", e.message);
+            }
+        },
+
+        onFragmentChunkLoaded = function(evt) {
+            var self = this,
+                request = evt.data.request;
+
+            if (!isRunning()) {
+                return;
+            }
+
+            // Handle chunk buffering failure, since segment loading may fail afterwards (see onMediaLoaded())
+            bufferMediaChunk.call(self, request, evt.data.data).then(null, function(e) {
+                onMediaBufferingError.call(self, request, e);
+            });
+        },
+
+        onMediaLoaded = function(request, response) {
+            var self = this,
+                buffered,
+                onError = function(e) {
+                    onMediaBufferingError.call(self, request, e);
+                };
+
             segmentDuration = request.duration;
 
             if (!isRunning()) {
@@ -336,59 +554,30 @@ MediaPlayer.dependencies.BufferController = function() {
             }
 
             try {
-                data = self.fragmentController.process(response.data, request, availableRepresentations);
-                if (data) {
-                    if (eventStreamAdaption.length > 0 || eventStreamRepresentation.length > 0) {
-                        events = handleInbandEvents.call(self, data, request, eventStreamAdaption, eventStreamRepresentation);
-                        self.eventController.addInbandEvents(events);
-                    }
-
-                    self.debug.info("[BufferController][" + type + "] Buffer segment from url ", request.url);
-
-                    /*if (trickModeEnabled) {
-                            var filename = type + "_" + request.index + "_" + request.quality + ".mp4",
-                                blob = new Blob([data], {
-                                    type: 'data/mp4'
-                                });
-
-                            if (navigator.msSaveBlob) { // For IE10+ and edge
-                                navigator.msSaveBlob(blob, filename);
-                            }
-                        }*/
-
-                    //console.saveBinArray(data, request.url.substring(request.url.lastIndexOf('/') + 1));
-                    data = deleteInbandEvents.call(self, data);
+                if (request.chunksBuffered) {
+                    // Low latency chunked transfer: complete chunks have already been buffered, then buffer remaining bytes (if any)
+                    buffered = (response.data && response.data.byteLength > 0) ? bufferMediaChunk.call(self, request, response.data) : request.chunksBuffered;
+                } else {
+                    buffered = bufferMediaData.call(self, request, response.data);
+                }
 
-                    // Check if we need to override the current buffered segments (in case of language switch for example)
-                    Q.when(overrideBuffer ? removeBuffer.call(self) : true).then(
+                if (buffered) {
+                    buffered.then(
                         function() {
-                            /*if (overrideBuffer) {
-                                debugBufferRange.call(self);
-                            }*/
-                            overrideBuffer = false;
-
-                            // If firefox, set buffer timestampOffset since timestamping (MSE buffer range and <video> currentTime) is based on CTS (and not DTS like in other browsers)
-                            if (isFirefox) {
-                                buffer.timestampOffset = -(getSegmentTimestampOffset(data) / request.timescale);
+                            // Check if a new quality is being appended,
+                            // then add a metric to enable MediaPlayer to detect playback quality changes
+                            if (currentBufferedQuality !== request.quality) {
+                                self.debug.log("[BufferController][" + type + "] Buffered quality changed: " + request.quality);
+                                self.metricsModel.addBufferedSwitch(type, request.startTime, _currentRepresentation.id, request.quality);
+                                currentBufferedQuality = request.quality;
                             }
 
-                            appendToBuffer.call(self, data, request.quality, request.index).then(
-                                function() {
-                                    // Check if a new quality is being appended,
-                                    // then add a metric to enable MediaPlayer to detect playback quality changes
-                                    if (currentBufferedQuality !== request.quality) {
-                                        self.debug.log("[BufferController][" + type + "] Buffered quality changed: " + request.quality);
-                                        self.metricsModel.addBufferedSwitch(type, request.startTime, _currentRepresentation.id, request.quality);
-                                        currentBufferedQuality = request.quality;
-                                    }
-
-                                    // Signal end of buffering process
-                                    signalSegmentBuffered.call(self);
-                                    // Check buffer level
-                                    checkIfSufficientBuffer.call(self);
-                                }
-                            );
-                        }
+                            // Signal end of buffering process
+                            signalSegmentBuffered.call(self);
+                            // Check buffer level
+                            checkIfSufficientBuffer.call(self);
+                        },
+                        onError
                     );
                 } else {
                     self.debug.error("[BufferController][" + type + "] Error with segment data, no bytes to push");
@@ -398,12 +587,7 @@ MediaPlayer.dependencies.BufferController = function() {
                     checkIfSufficientBuffer.call(self);
                 }
             } catch (e) {
-                signalSegmentBuffered.call(self);
-                if (e.name) {
-                    self.errHandler.sendError(e.name, e.message, e.data);
-                } else {
-                    self.errHandler.sendError(MediaPlayer.dependencies.ErrorHandler.prototype.INTERNAL_ERROR, "Internal error while processing media segment", e.message);
-                }
+                onError(e);
             }
         },
 
@@ -551,6 +735,11 @@ MediaPlayer.dependencies.BufferController = function() {
                         j = i + 12; //fullbox header is 12 bytes, thats why we start at 12
 
                     while (j < size + i) {
+                        /* == ID3 message data (binary) spans until the end of the box == */
+                        if (arrIndex === 6 && eventBox[0] === MediaPlayer.dependencies.EventController.prototype.ID3_SCHEME_ID_URI) {
+                            eventBox[arrIndex] = data.subarray(j, size + i);
+                            break;
+                        }
                         /* == string terminates with 0, this indicates end of attribute == */
                         if (arrIndex === 0 || arrIndex === 1 || arrIndex === 6) {
                             if (data[j] !== 0) {
@@ -693,6 +882,9 @@ MediaPlayer.dependencies.BufferController = function() {
         removeBuffer = function(start, end) {
             var self = this,
                 deferred = Q.defer(),
+                lastPeriod = (periods && periods.length > 1) ? periods[periods.length - 1] : null,
+                // The buffer may contain several periods (seamless period switching)
+                duration = lastPeriod ? (lastPeriod.start + lastPeriod.duration) : periodInfo.duration,
                 removeStart,
                 removeEnd;
 
@@ -718,7 +910,7 @@ MediaPlayer.dependencies.BufferController = function() {
             }
 
             // Wait for buffer update completed
-            self.sourceBufferExt.remove(buffer, removeStart, removeEnd, periodInfo.duration, mediaSource, appendSync).then(
+            self.sourceBufferExt.remove(buffer, removeStart, removeEnd, duration, mediaSource, appendSync).then(
                 function() {
                     // Remove all requests from the list of the executed requests
                     self.fragmentController.removeExecutedRequestsBeforeTime(fragmentModel, removeEnd + 1); // +1 for rounding issues
@@ -796,6 +988,13 @@ MediaPlayer.dependencies.BufferController = function() {
         signalStreamComplete = function( /*request*/ ) {
             var self = this;
 
+            // Seamless period switching: go on buffering next period
+            if (switchToNextPeriod.call(self)) {
+                signalSegmentBuffered.call(self);
+                checkIfSufficientBuffer.call(self);
+                return;
+            }
+
             self.debug.log("[BufferController][" + type + "] Stream is complete.");
 
             isBufferingCompleted = true;
@@ -857,10 +1056,15 @@ MediaPlayer.dependencies.BufferController = function() {
                 segmentTime = range ? range.end : time;
             }
 
+            // In case of seamless period switching, start buffering from the beginning of the period
+            if (periods && periods.length > 1) {
+                segmentTime = Math.max(segmentTime, periodInfo.start);
+            }
+
             // currentSequenceNumber used in HLS
             if ((currentSequenceNumber !== -1) && !seeking) {
                 self.debug.log("[BufferController][" + type + "] loadNextFragment for sequence number: " + currentSequenceNumber);
-                self.indexHandler.getNextSegmentRequestFromSN(_currentRepresentation, currentSequenceNumber).then(onFragmentRequest.bind(self));
+                self.indexHandler.getNextSegmentRequestFromSN(_currentRepresentation, currentSequenceNumber, currentProgramDateTime).then(onFragmentRequest.bind(self));
             } else {
                 self.debug.log("[BufferController][" + type + "] loadNextFragment for time: " + segmentTime);
                 self.indexHandler.getSegmentRequestForTime(_currentRepresentation, segmentTime).then(onFragmentRequest.bind(self), function (){
@@ -889,8 +1093,15 @@ MediaPlayer.dependencies.BufferController = function() {
                 // If we have already loaded the given fragment ask for the next one. Otherwise prepare it to get loaded
                 if (self.fragmentController.isFragmentLoadedOrPending(self, request)) {
                     self.debug.log("[BufferController][" + type + "] new fragment request => already loaded or pending " + request.url);
-                    self.indexHandler.getNextSegmentRequest(_currentRepresentation).then(onFragmentRequest.bind(self));
+                    if (request.sequenceNumber !== undefined) {
+                        // HLS use case, segments are identified by their sequence number
+                        self.indexHandler.getNextSegmentRequestFromSN(_currentRepresentation, request.sequenceNumber).then(onFragmentRequest.bind(self));
+                    } else {
+                        self.indexHandler.getNextSegmentRequest(_currentRepresentation).then(onFragmentRequest.bind(self));
+                    }
                 } else {
+                    // Low latency: load segments being produced with chunked transfer (see FragmentLoader)
+                    request.lowLatency = lowLatencyMode && isDynamic && (_currentRepresentation.availabilityTimeComplete === false);
                     // Download the segment
                     self.fragmentController.prepareFragmentForLoading(self, request, onBytesLoadingStart, onBytesLoaded, onBytesError, null /*signalStreamComplete*/ );
                     sendRequest.call(self);
@@ -900,19 +1111,16 @@ MediaPlayer.dependencies.BufferController = function() {
                 self.debug.log("[BufferController][" + type + "] loadNextFragment failed");
                 signalSegmentBuffered.call(self);
 
-                // If live HLS, then try to refresh playlist
+                // If live HLS, then wait for next segment to be available in playlist
                 if (isDynamic) {
-                    if (manifest.name === "M3U") {
-                        updatePlayListForRepresentation.call(self, currentDownloadQuality).then(
-                            function() {
-                                _currentRepresentation = getRepresentationForQuality.call(self, currentDownloadQuality);
-                                updateCheckBufferTimeout.call(self, 0);
-                            }, function(err) {
-                                if (err) {
-                                    self.errHandler.sendError(err.name, err.message, err.data);
-                                }
-                            }
-                        );
+                    // Live multi-period: go on buffering next period if any
+                    if (switchToNextPeriod.call(self)) {
+                        checkIfSufficientBuffer.call(self);
+                    } else if (manifest.name === "M3U") {
+                        waitingForPlaylist = true;
+                        if (playlistRefreshTimeout === null) {
+                            refreshPlaylist.call(self);
+                        }
                     }
                 } else {
                     // For VOD streams, signal end of stream
@@ -1052,6 +1260,7 @@ MediaPlayer.dependencies.BufferController = function() {
                 manifest = self.manifestModel.getValue(),
                 loadInit = false,
                 quality,
+                representationSwitch = trackChanged,
                 playlistUpdated = null,
                 abrResult;
 
@@ -1074,37 +1283,33 @@ MediaPlayer.dependencies.BufferController = function() {
 
             quality = abrResult.quality;
 
-            // Get corresponding representation
-            _currentRepresentation = getRepresentationForQuality.call(self, quality);
-
             // Quality changed?
             if (quality !== currentDownloadQuality) {
-                self.debug.log("[BufferController][" + type + "] currentDownloadQuality changed : " + quality);
-                currentDownloadQuality = quality;
                 // Load initialization segment
                 loadInit = true;
+                representationSwitch = true;
+            }
 
-                clearPlayListTraceMetrics(new Date(), MediaPlayer.vo.metrics.PlayList.Trace.REPRESENTATION_SWITCH_STOP_REASON);
-                self.debug.log("[BufferController][" + type + "] Send RepresentationSwitch with quality = " + quality);
-                self.metricsModel.addRepresentationSwitch(type, now, currentVideoTime, _currentRepresentation.id, quality);
-
-                // HLS use case => download playlist for new representation
-                if ((manifest.name === "M3U") && (isDynamic || availableRepresentations[quality].initialization === null)) {
-                    playlistUpdated = Q.defer();
-                    updatePlayListForRepresentation.call(self, quality).then(
-                        function() {
-                            _currentRepresentation = getRepresentationForQuality.call(self, quality);
-                            playlistUpdated.resolve();
-                        },
-                        function(err) {
-                            playlistUpdated.reject(err);
-                        }
-                    );
-                }
+            // HLS use case => download playlist for new representation (quality or track changed)
+            // before switching to it, so that next segment is retrieved from an up-to-date playlist
+            if (representationSwitch && (manifest.name === "M3U") && (isDynamic || availableRepresentations[quality].initialization === null)) {
+                playlistUpdated = updatePlayListForRepresentation.call(self, quality);
             }
 
-            Q.when(playlistUpdated ? playlistUpdated.promise : true).then(
+            Q.when(playlistUpdated ? playlistUpdated : true).then(
                 function() {
+                    // Get corresponding representation
+                    _currentRepresentation = getRepresentationForQuality.call(self, quality);
+
+                    if (quality !== currentDownloadQuality) {
+                        self.debug.log("[BufferController][" + type + "] currentDownloadQuality changed : " + quality);
+                        currentDownloadQuality = quality;
+
+                        clearPlayListTraceMetrics(new Date(), MediaPlayer.vo.metrics.PlayList.Trace.REPRESENTATION_SWITCH_STOP_REASON);
+                        self.debug.log("[BufferController][" + type + "] Send RepresentationSwitch with quality = " + quality);
+                        self.metricsModel.addRepresentationSwitch(type, now, currentVideoTime, _currentRepresentation.id, quality);
+                    }
+
                     if (loadInit === true) {
                         // Load initialization segment request
                         loadInitialization.call(self, quality).then(
@@ -1153,11 +1358,18 @@ MediaPlayer.dependencies.BufferController = function() {
                 return deferred.promise;
             }
 
+            // Next refresh is scheduled once playlist is loaded
+            clearTimeout(playlistRefreshTimeout);
+            playlistRefreshTimeout = null;
+
             idx = this.manifestExt.getDataIndex(data, manifest, periodInfo.index);
             representation = manifest.Period_asArray[periodInfo.index].AdaptationSet_asArray[idx].Representation_asArray[repIndex];
             self.parser.hlsParser.updatePlaylist(representation).then(
-                function() {
+                function(changed) {
                     availableRepresentations = updateRepresentations.call(self, data, periodInfo);
+                    if (isDynamic) {
+                        onPlaylistUpdated.call(self, representation, changed);
+                    }
                     deferred.resolve();
                 },
                 function(err) {
@@ -1168,6 +1380,172 @@ MediaPlayer.dependencies.BufferController = function() {
             return deferred.promise;
         },
 
+        // HLS live: the playlist is reloaded every target duration, or every half target duration if it has not changed
+        // (see HLS specification, section 6.3.4). While the playlist remains unchanged, the reload delay is doubled
+        // up to PLAYLIST_REFRESH_MAX_TARGET_DURATIONS target durations
+        onPlaylistUpdated = function(representation, changed) {
+            var targetDuration = representation.SegmentList.duration,
+                now = new Date();
+
+            if (changed || (playlistLastChangeTime === null)) {
+                if (playlistStalled) {
+                    this.debug.info("[BufferController][" + type + "] Playlist is updated again");
+                }
+                playlistLastChangeTime = now;
+                playlistUnchangedCount = 0;
+                playlistStalled = false;
+            } else {
+                playlistUnchangedCount += 1;
+            }
+
+            if ((playlistUnchangedCount > 0) && !playlistStalled && ((now.getTime() - playlistLastChangeTime.getTime()) > (PLAYLIST_STALLED_TARGET_DURATIONS * targetDuration * 1000))) {
+                // Live origin seems to be stalled, keep on refreshing playlist in case it recovers
+                playlistStalled = true;
+                this.errHandler.sendWarning(MediaPlayer.dependencies.ErrorHandler.prototype.HLS_PLAYLIST_STALLED, "Live playlist has not been updated for " + ((now.getTime() - playlistLastChangeTime.getTime()) / 1000) + "s", {
+                    url: representation.url
+                });
+            }
+
+            if (!isRunning.call(this)) {
+                return;
+            }
+
+            // Resume buffering if waiting for new segments
+            if (waitingForPlaylist && changed) {
+                waitingForPlaylist = false;
+                updateCheckBufferTimeout.call(this, 0);
+            }
+
+            // No more refresh once playlist has been ended (#EXT-X-ENDLIST)
+            if (representation.duration !== Infinity) {
+                return;
+            }
+
+            schedulePlaylistRefresh.call(this, getPlaylistRefreshDelay(targetDuration, playlistUnchangedCount));
+        },
+
+        getPlaylistRefreshDelay = function(targetDuration, count) {
+            if (count === 0) {
+                return targetDuration;
+            }
+            return Math.min((targetDuration / 2) * Math.pow(2, count - 1), PLAYLIST_REFRESH_MAX_TARGET_DURATIONS * targetDuration);
+        },
+
+        schedulePlaylistRefresh = function(delay) {
+            var self = this;
+
+            clearTimeout(playlistRefreshTimeout);
+            playlistRefreshTimeout = setTimeout(function() {
+                playlistRefreshTimeout = null;
+                refreshPlaylist.call(self);
+            }, (delay * 1000));
+        },
+
+        refreshPlaylist = function() {
+            var self = this;
+
+            updatePlayListForRepresentation.call(self, currentDownloadQuality).then(
+                function() {
+                    playlistFailureCount = 0;
+                    _currentRepresentation = getRepresentationForQuality.call(self, currentDownloadQuality);
+                }, function(err) {
+                    var representation,
+                        targetDuration;
+
+                    if (!err || !isRunning.call(self)) {
+                        return;
+                    }
+
+                    representation = getRepresentationForQuality.call(self, currentDownloadQuality);
+                    targetDuration = representation.SegmentList.duration;
+
+                    // Raise an error only once reload has failed with the maximum reload delay
+                    playlistFailureCount += 1;
+                    if ((playlistFailureCount > 1) &&
+                        (getPlaylistRefreshDelay(targetDuration, playlistFailureCount - 1) >= (PLAYLIST_REFRESH_MAX_TARGET_DURATIONS * targetDuration))) {
+                        self.errHandler.sendError(err.name, err.message, err.data);
+                        return;
+                    }
+
+                    // Otherwise consider the playlist as unchanged, in order to keep on refreshing it
+                    // with the same backoff and to detect stalled playlist
+                    self.debug.warn("[BufferController][" + type + "] Failed to refresh playlist (" + playlistFailureCount + "): " + err.message);
+                    onPlaylistUpdated.call(self, representation, false);
+                }
+            );
+        },
+
+        // HLS: I-frame playlist (if any) is loaded when enabling trick mode (for MPEG-2 TS streams only),
+        // if loading fails then trick mode falls back to full media segments
+        loadIFramePlaylist = function() {
+            var self = this,
+                manifest = self.manifestModel.getValue();
+
+            if ((manifest.name !== "M3U") || !data.iFrameRepresentation || data.Representation_asArray[0].isFragmentedMP4) {
+                return Q.when(null);
+            }
+
+            return self.parser.hlsParser.loadIFramePlaylist(data.iFrameRepresentation).then(null,
+                function(err) {
+                    self.debug.warn("[BufferController][" + type + "] Failed to load I-frame playlist" + (err ? (": " + err.message) : ""));
+                    data.iFrameRepresentation.initData = null;
+                }
+            );
+        },
+
+        // DASH: switch to the trick mode AdaptationSet (if any) when enabling trick mode,
+        // and back to the previous AdaptationSet when disabling trick mode
+        switchTrickModeData = function(enabled) {
+            var manifest = this.manifestModel.getValue(),
+                newData = null;
+
+            if (type !== "video") {
+                return;
+            }
+
+            if (enabled) {
+                newData = this.manifestExt.getTrickModeData(manifest, periodInfo.index, data);
+                if (newData === null) {
+                    return;
+                }
+                trickModePreviousData = data;
+            } else {
+                if (trickModePreviousData === null) {
+                    return;
+                }
+                newData = this.manifestExt.getDataForId(trickModePreviousData.id, manifest, periodInfo.index);
+                trickModePreviousData = null;
+                if (newData === null) {
+                    newData = getDataForPeriod.call(this, periodInfo);
+                }
+            }
+
+            this.debug.info("[BufferController][" + type + "] Switch to " + (enabled ? "trick mode " : "") + "adaptation " + newData.id);
+
+            data = newData;
+            dataChanged = true;
+
+            // Initialization segment and representations differ from previous AdaptationSet
+            initializationData = [];
+            currentDownloadQuality = -1;
+            this.fragmentController.clearExecutedRequests(fragmentModel);
+        },
+
+        // Changes the SourceBuffer codec when switching to a track with a different codec (for example from AVC to HEVC)
+        changeBufferCodec = function(codec) {
+            if (!buffer || typeof buffer.changeType !== "function") {
+                this.debug.warn("[BufferController][" + type + "] SourceBuffer codec cannot be changed to " + codec);
+                return;
+            }
+
+            this.debug.info("[BufferController][" + type + "] Change SourceBuffer codec to " + codec);
+            try {
+                buffer.changeType(codec);
+            } catch (e) {
+                this.debug.error("[BufferController][" + type + "] Failed to change SourceBuffer codec: " + e.message);
+            }
+        },
+
         updateRepresentations = function(data, periodInfo) {
             var manifest = this.manifestModel.getValue(),
                 idx,
@@ -1202,6 +1580,10 @@ MediaPlayer.dependencies.BufferController = function() {
                 // Signal to override current buffering segments to switch as soon as possible to new track
                 overrideBuffer = true;
 
+                // Sequence numbers of new track may differ (HLS use case), then get next segment from current time
+                currentSequenceNumber = -1;
+                currentProgramDateTime = null;
+
                 // For xml subtitles file, reset cues since there is no media segment
                 if (type === 'text') {
                     buffer.UpdateLang(data.id, data.lang);
@@ -1221,8 +1603,8 @@ MediaPlayer.dependencies.BufferController = function() {
                 i,
                 rules;
 
-            // Check only if not at lowest quality
-            if (this.abrController.isMinQuality(type, data, currentQuality)) {
+            // Check only if not at lowest quality, and if segment is not received at the pace of the encoder (low latency chunked transfer)
+            if (this.abrController.isMinQuality(type, data, currentQuality) || evt.data.request.lowLatency) {
                 return;
             }
 
@@ -1276,6 +1658,7 @@ MediaPlayer.dependencies.BufferController = function() {
                 appendSync = true;
             }
             this[MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_LOADING_PROGRESS] = onFragmentLoadProgress;
+            this[MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_CHUNK_LOADED] = onFragmentChunkLoaded;
 
             isDynamic = this.manifestExt.getIsDynamic(manifest);
             this.setMediaSource(source);
@@ -1286,6 +1669,7 @@ MediaPlayer.dependencies.BufferController = function() {
             minBufferTime = this.config.getParamFor(type, "BufferController.minBufferTime", "number", -1);
             minBufferTimeAtStartup = this.config.getParamFor(type, "BufferController.minBufferTimeForPlaying", "number", 0);
             liveDelay = this.config.getParamFor(type, "BufferController.liveDelay", "number", -1);
+            lowLatencyMode = this.config.getParamFor(type, "BufferController.lowLatencyMode", "boolean", false);
 
             this.updateData(newData, newPeriodInfo);
 
@@ -1332,7 +1716,7 @@ MediaPlayer.dependencies.BufferController = function() {
                                 function() {
                                     getLiveEdgeTime.call(self).then(
                                         function(time) {
-                                            self.system.notify("startTimeFound", time);
+                                            self.system.notify("startTimeFound", time, _currentRepresentation.segmentAvailabilityRange);
                                         }
                                     );
                                 }
@@ -1343,7 +1727,7 @@ MediaPlayer.dependencies.BufferController = function() {
                                     if (time < _currentRepresentation.segmentAvailabilityRange.start) {
                                         time = _currentRepresentation.segmentAvailabilityRange.start;
                                     }
-                                    self.system.notify("startTimeFound", time);
+                                    self.system.notify("startTimeFound", time, _currentRepresentation.segmentAvailabilityRange);
                                 }
                             );
                         }
@@ -1373,6 +1757,26 @@ MediaPlayer.dependencies.BufferController = function() {
             return periodInfo;
         },
 
+        /**
+         * Sets the periods to be buffered consecutively in the same buffer (seamless period switching).
+         * @param {Array} value - the list of periods
+         */
+        setPeriods: function(value) {
+            var index,
+                newData;
+
+            periods = value;
+
+            // Update current period info (manifest refresh)
+            index = getPeriodIndex(periodInfo.id);
+            if ((index !== -1) && (periods[index] !== periodInfo)) {
+                newData = getDataForPeriod.call(this, periods[index]);
+                if (newData !== null) {
+                    this.updateData(newData, periods[index]);
+                }
+            }
+        },
+
         getVideoModel: function() {
             return this.videoModel;
         },
@@ -1390,6 +1794,7 @@ MediaPlayer.dependencies.BufferController = function() {
                 this.fragmentController = value;
                 fragmentModel = this.fragmentController.attachBufferController(this);
                 fragmentModel.fragmentLoader.subscribe(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_LOADING_PROGRESS, this);
+                fragmentModel.fragmentLoader.subscribe(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_CHUNK_LOADED, this);
                 fragmentModel.setType(type);
             }
         },
@@ -1403,12 +1808,20 @@ MediaPlayer.dependencies.BufferController = function() {
         },
 
         updateData: function(newData, newPeriodInfo) {
+            var codec;
 
             this.debug.log("[BufferController][" + type + "] Update data");
 
             // Check if track has changed (in case of language switch for example)
             trackChanged = (data === null) ? false : ((data.id !==  newData.id) || (data.lang !==  newData.lang) || (data.subType !==  newData.subType));
 
+            if (trackChanged && (type === "video" || type === "audio")) {
+                codec = this.manifestExt.getCodec(newData);
+                if (codec !== null && codec !== this.manifestExt.getCodec(data)) {
+                    changeBufferCodec.call(this, codec);
+                }
+            }
+
             // Set the new data
             data = newData;
             periodInfo = newPeriodInfo;
@@ -1456,6 +1869,10 @@ MediaPlayer.dependencies.BufferController = function() {
             buffer = value;
         },
 
+        getBufferLevel: function() {
+            return bufferLevel;
+        },
+
         getMinBufferTime: function() {
             return minBufferTime;
         },
@@ -1468,6 +1885,49 @@ MediaPlayer.dependencies.BufferController = function() {
             return liveDelay;
         },
 
+        // Returns the program date time corresponding to the given media time, according to
+        // the program date time of the loaded segment (HLS), or null if not available
+        getProgramDateTime: function(time) {
+            var request = this.fragmentController.getExecutedRequestForTime(fragmentModel, time);
+
+            if (!request || !request.programDateTime) {
+                return null;
+            }
+
+            return new Date(request.programDateTime.getTime() + ((time - request.startTime) * 1000));
+        },
+
+        // Returns the media time corresponding to the given program date time, according to the program
+        // date time of the segment that contains it (HLS), or NaN if no available segment contains it
+        getTimeForProgramDateTime: function(date) {
+            var segmentList,
+                segment,
+                offset,
+                i;
+
+            if (!data || !_currentRepresentation) {
+                return NaN;
+            }
+
+            segmentList = data.Representation_asArray[_currentRepresentation.index].SegmentList;
+            if (!segmentList) {
+                return NaN;
+            }
+
+            for (i = 0; i < segmentList.SegmentURL_asArray.length; i++) {
+                segment = segmentList.SegmentURL_asArray[i];
+                if (segment.programDateTime) {
+                    offset = (date.getTime() - segment.programDateTime.getTime()) / 1000;
+                    if (offset >= 0 && offset < segment.duration) {
+                        // Segment start time as in DashHandler (index based segments)
+                        return _currentRepresentation.adaptation.period.start + (i * _currentRepresentation.segmentDuration) + offset;
+                    }
+                }
+            }
+
+            return NaN;
+        },
+
         setMediaSource: function(value) {
             mediaSource = value;
         },
@@ -1604,6 +2064,7 @@ MediaPlayer.dependencies.BufferController = function() {
 
                     if (fragmentModel) {
                         fragmentModel.fragmentLoader.unsubscribe(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_LOADING_PROGRESS, self.abrController);
+                        fragmentModel.fragmentLoader.unsubscribe(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_CHUNK_LOADED, self);
                         self.fragmentController.abortRequestsForModel(fragmentModel);
                         self.fragmentController.detachBufferController(fragmentModel);
                         fragmentModel = null;
@@ -1615,6 +2076,10 @@ MediaPlayer.dependencies.BufferController = function() {
                     isQuotaExceeded = false;
                     rejectedBytes = null;
                     appendingRejectedData = false;
+                    playlistLastChangeTime = null;
+                    playlistUnchangedCount = 0;
+                    playlistFailureCount = 0;
+                    playlistStalled = false;
 
                     if (trickModeEnabled) {
                         // Restore ABR quality and auto switch state
@@ -1661,12 +2126,16 @@ MediaPlayer.dependencies.BufferController = function() {
                 trickModePreviousAutoSwitch = this.abrController.getAutoSwitchFor(type);
                 this.abrController.setAutoSwitchFor(type, false);
                 this.abrController.setQualityFor(type, 0);
-                deferred.resolve();
+                switchTrickModeData.call(this, true);
+                loadIFramePlaylist.call(this).then(function() {
+                    deferred.resolve();
+                });
             } else {
                 // Trick mode disabled
                 // => restore ABR quality and auto switch state
                 this.abrController.setAutoSwitchFor(type, trickModePreviousAutoSwitch);
                 this.abrController.setQualityFor(type, trickModePreviousQuality);
+                switchTrickModeData.call(this, false);
                 removeBuffer.call(this).then(function() {
                     deferred.resolve();
                 });
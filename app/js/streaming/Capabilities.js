@@ -55,7 +55,18 @@ MediaPlayer.utils.Capabilities.prototype = {
             throw "element must be of type HTMLMediaElement.";
         }
 
-        var canPlay = element.canPlayType(codec);
-        return (canPlay === "probably" || canPlay === "maybe");
+        var canPlay = element.canPlayType(codec),
+            mediaSource = window.MediaSource || window.WebKitMediaSource;
+
+        if (canPlay !== "probably" && canPlay !== "maybe") {
+            return false;
+        }
+
+        // Check also that the codec can be played through MSE
+        if (mediaSource && typeof mediaSource.isTypeSupported === "function") {
+            return mediaSource.isTypeSupported(codec);
+        }
+
+        return true;
     }
 };
\ No newline at end of file
@@ -24,6 +24,7 @@ MediaPlayer.utils.Config = function () {
             "BufferController.minBufferTimeForPlaying": -1,
             "BufferController.minBufferTime": -1,
             "BufferController.liveDelay": -1,
+            "BufferController.lowLatencyMode": false,
             // ABR parameters
             "ABR.minBandwidth": -1,
             "ABR.maxBandwidth": -1,
@@ -41,12 +42,20 @@ MediaPlayer.utils.Config = function () {
             "ABR.keepBandwidthCondition": true,
             "ABR.droppedFramesMinRatio": -1,
             "ABR.droppedFramesMaxRatio": -1,
+            // Live catch-up parameters
+            "LiveCatchUp.targetLatency": -1,
+            "LiveCatchUp.maxDrift": -1,
+            "LiveCatchUp.minPlaybackRate": -1,
+            "LiveCatchUp.maxPlaybackRate": -1,
             // Manifest loader parameters
             "ManifestLoader.RetryAttempts": -1,
             "ManifestLoader.RetryInterval": -1,
             // Fragment loader parameters
             "FragmentLoader.RetryAttempts": -1,
             "FragmentLoader.RetryInterval": -1,
+            "FragmentLoader.Timeout": -1,
+            // Smooth Streaming parameters
+            "MssFragmentController.ManifestRefreshThreshold": -1,
             // Video parameters
             "video": {
             },
@@ -45,6 +45,7 @@ MediaPlayer.di.Context = function () {
             this.system.mapSingleton('debugController', MediaPlayer.utils.DebugController);
             this.system.mapClass('domParser', MediaPlayer.utils.DOMParser);
             this.system.mapSingleton('eventBus', MediaPlayer.utils.EventBus);
+            this.system.mapSingleton('id3Parser', MediaPlayer.utils.ID3Parser);
             this.system.mapSingleton('textTrackExtensions', MediaPlayer.utils.TextTrackExtensions);
             this.system.mapSingleton('tokenAuthentication', MediaPlayer.utils.TokenAuthentication);
             this.system.mapSingleton('vttParser', MediaPlayer.utils.VTTParser);
@@ -68,6 +69,7 @@ MediaPlayer.di.Context = function () {
             this.system.mapClass('fragmentInfoController', MediaPlayer.dependencies.FragmentInfoController);
             this.system.mapClass('fragmentLoader', MediaPlayer.dependencies.FragmentLoader);
             this.system.mapClass('fragmentModel', MediaPlayer.dependencies.FragmentModel);
+            this.system.mapClass('liveCatchUpController', MediaPlayer.dependencies.LiveCatchUpController);
             this.system.mapClass('manifestLoader', MediaPlayer.dependencies.ManifestLoader);
             this.system.mapSingleton('manifestUpdater', MediaPlayer.dependencies.ManifestUpdater);
             this.system.mapSingleton('mediaSourceExt', MediaPlayer.dependencies.MediaSourceExtensions);
@@ -78,6 +80,7 @@ MediaPlayer.di.Context = function () {
             this.system.mapClass('textController', MediaPlayer.dependencies.TextController);
             this.system.mapSingleton('textSourceBuffer', MediaPlayer.dependencies.TextSourceBuffer);
             this.system.mapSingleton('textTTMLXMLMP4SourceBuffer', MediaPlayer.dependencies.TextTTMLXMLMP4SourceBuffer);
+            this.system.mapSingleton('timeSyncController', MediaPlayer.dependencies.TimeSyncController);
             this.system.mapSingleton('videoExt', MediaPlayer.dependencies.VideoModelExtensions);
 
             // MediaPlayer.dependencies.protection.*
@@ -103,6 +106,7 @@ MediaPlayer.di.Context = function () {
             this.system.mapClass('limitSwitchesRule', MediaPlayer.rules.LimitSwitchesRule);
 
             // Dash.dependencies.*
+            this.system.mapSingleton('baseURLController', Dash.dependencies.BaseURLController);
             this.system.mapClass('baseURLExt', Dash.dependencies.BaseURLExtensions);
             this.system.mapClass('fragmentExt', Dash.dependencies.FragmentExtensions);
             this.system.mapClass('indexHandler', Dash.dependencies.DashHandler);
@@ -110,6 +114,7 @@ MediaPlayer.di.Context = function () {
             //this.system.mapSingleton('metricsExt', Dash.dependencies.DashMetricsExtensions);
             this.system.mapSingleton('metricsExt', MediaPlayer.dependencies.MetricsExtensions);
             this.system.mapSingleton('timelineConverter', Dash.dependencies.TimelineConverter);
+            this.system.mapSingleton('xlinkController', Dash.dependencies.XlinkController);
 
             this.system.mapSingleton('parser', MediaPlayer.dependencies.Parser);
             this.system.mapClass('dashParser', Dash.dependencies.DashParser);
@@ -110,6 +110,8 @@ MediaPlayer.dependencies.EventController = function() {
                             }
                             if (curr.eventStream.schemeIdUri === MPD_RELOAD_SCHEME && curr.eventStream.value === MPD_RELOAD_VALUE) {
                                 refreshManifest.call(this);
+                            } else if (curr.eventStream.schemeIdUri === MediaPlayer.dependencies.EventController.prototype.ID3_SCHEME_ID_URI) {
+                                notifyTimedMetadata.call(this, curr);
                             }
                             events.splice(j, 1);
                         }
@@ -142,6 +144,24 @@ MediaPlayer.dependencies.EventController = function() {
 
         },
 
+        // Notify the application of timed metadata (ID3 tags, as inserted in HLS streams), with ID3 tags being parsed into frames
+        notifyTimedMetadata = function(event) {
+            var data = {
+                    schemeIdUri: event.eventStream.schemeIdUri,
+                    value: event.eventStream.value,
+                    id: event.id,
+                    presentationTime: event.presentationTime / event.eventStream.timescale,
+                    duration: event.duration / event.eventStream.timescale,
+                    messageData: event.messageData,
+                    frames: (event.messageData instanceof Uint8Array) ? this.id3Parser.parse(event.messageData) : []
+                };
+
+            this.eventBus.dispatchEvent({
+                type: "timedMetadata",
+                data: data
+            });
+        },
+
         refreshManifest = function() {
             var self = this,
                 manifest = self.manifestModel.getValue(),
@@ -163,6 +183,8 @@ MediaPlayer.dependencies.EventController = function() {
         manifestLoader: undefined,
         debug: undefined,
         system: undefined,
+        eventBus: undefined,
+        id3Parser: undefined,
         videoModel: undefined,
         addInlineEvents: addInlineEvents,
         addInbandEvents: addInbandEvents,
@@ -174,5 +196,6 @@ MediaPlayer.dependencies.EventController = function() {
 };
 
 MediaPlayer.dependencies.EventController.prototype = {
-    constructor: MediaPlayer.dependencies.EventController
+    constructor: MediaPlayer.dependencies.EventController,
+    ID3_SCHEME_ID_URI: "https://aomedia.org/emsg/ID3"
 };
\ No newline at end of file
@@ -16,8 +16,10 @@ MediaPlayer.dependencies.FragmentLoader = function() {
 
     var DEFAULT_RETRY_ATTEMPTS = 2,
         DEFAULT_RETRY_INTERVAL = 500,
+        DEFAULT_TIMEOUT = 0,
         retryAttempts = DEFAULT_RETRY_ATTEMPTS,
         retryInterval = DEFAULT_RETRY_INTERVAL,
+        timeout = DEFAULT_TIMEOUT,
         retryCount = 0,
         xhrs = [],
         type,
@@ -83,6 +85,7 @@ MediaPlayer.dependencies.FragmentLoader = function() {
 
             req.open("GET", self.tokenAuthentication.addTokenAsQueryArg(request.url), true);
             req.responseType = "arraybuffer";
+            req.timeout = timeout;
             req = self.tokenAuthentication.setTokenInRequestHeader(req);
 
             if (request.range) {
@@ -228,10 +231,294 @@ MediaPlayer.dependencies.FragmentLoader = function() {
             return deferred.promise;
         },
 
+        // Low latency chunked transfer is supported if response body can be read as a stream
+        _isChunkedLoadingSupported = function() {
+            return (typeof fetch === "function") && (typeof ReadableStream === "function");
+        },
+
+        // Returns the length of the complete CMAF chunks (i.e. ended by a complete 'mdat' box) at the beginning of the given bytes
+        _getCompleteChunksLength = function(bytes) {
+            var offset = 0,
+                length = 0,
+                size,
+                boxType;
+
+            while ((offset + 8) <= bytes.length) {
+                size = ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+                boxType = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+
+                if (size === 1) {
+                    // 64-bit largesize
+                    if ((offset + 16) > bytes.length) {
+                        break;
+                    }
+                    size = (((bytes[offset + 8] << 24) >>> 0) + (bytes[offset + 9] << 16) + (bytes[offset + 10] << 8) + bytes[offset + 11]) * 4294967296 +
+                           ((bytes[offset + 12] << 24) >>> 0) + (bytes[offset + 13] << 16) + (bytes[offset + 14] << 8) + bytes[offset + 15];
+                }
+
+                // Box extending to the end of the segment (size = 0) or incomplete box
+                if ((size < 8) || ((offset + size) > bytes.length)) {
+                    break;
+                }
+
+                offset += size;
+                if (boxType === "mdat") {
+                    length = offset;
+                }
+            }
+
+            return length;
+        },
+
+        // Low latency: load the segment with fetch and read the response body as a stream,
+        // each complete CMAF chunk being notified as soon as it is received.
+        // Throughput is estimated on the chunks download time only, since idle times between chunks depend on the encoder.
+        // On retry (or BaseURL failover), the chunks already notified by the previous attempt(s) are skipped (see request.chunksLength).
+        // Since the segment is received at the pace of the encoder, the timeout (if any) applies to the time without receiving any data
+        _loadRequestChunked = function(request) {
+            var deferred = Q.defer(),
+                abortController = (typeof window.AbortController === "function") ? new window.AbortController() : null,
+                headers = {},
+                reader = null,
+                bytes = new Uint8Array(0),
+                bytesLoaded = 0,
+                bytesToSkip = request.chunksLength || 0,
+                chunkStartDate = null,
+                chunkBytesLength = 0,
+                chunkDownloadTime = 0,
+                httpRequestMetrics = null,
+                lastTraceTime = null,
+                timeoutTimer = null,
+                self = this,
+
+                cancel = function() {
+                    if (abortController) {
+                        abortController.abort();
+                    } else if (reader) {
+                        reader.cancel();
+                    }
+                },
+
+                loader = {
+                    responseURL: request.url,
+                    status: 0,
+                    aborted: false,
+                    timedOut: false,
+                    abort: function() {
+                        loader.aborted = true;
+                        cancel();
+                    }
+                },
+
+                startTimeout = function() {
+                    if (timeout <= 0) {
+                        return;
+                    }
+                    clearTimeout(timeoutTimer);
+                    timeoutTimer = setTimeout(function() {
+                        self.debug.log("[FragmentLoader]["+type+"] Timeout (chunked): " + request.url);
+                        // Request is not considered as aborted, so that it can be retried (or failed over)
+                        loader.timedOut = true;
+                        cancel();
+                        onError();
+                    }, timeout);
+                },
+
+                onEnd = function() {
+                    clearTimeout(timeoutTimer);
+                    if (xhrs.indexOf(loader) !== -1) {
+                        xhrs.splice(xhrs.indexOf(loader), 1);
+                    }
+                },
+
+                onError = function() {
+                    onEnd();
+                    httpRequestMetrics.responsecode = loader.status;
+                    deferred.reject(loader);
+                },
+
+                onLoaded = function() {
+                    var currentTime = new Date(),
+                        latency,
+                        download;
+
+                    onEnd();
+
+                    if (!request.firstByteDate) {
+                        request.firstByteDate = request.requestStartDate;
+                    }
+                    request.requestEndDate = currentTime;
+
+                    latency = (request.firstByteDate.getTime() - request.requestStartDate.getTime());
+                    download = (request.requestEndDate.getTime() - request.firstByteDate.getTime());
+
+                    self.debug.log("[FragmentLoader]["+type+"] Loaded (chunked): " + request.url + " (" + loader.status + ", " + latency + "ms, " + download + "ms, chunks: " + chunkDownloadTime + "ms)");
+
+                    httpRequestMetrics.tresponse = request.firstByteDate;
+                    httpRequestMetrics.tfinish = request.requestEndDate;
+                    httpRequestMetrics.responsecode = loader.status;
+                    httpRequestMetrics.bytesLength = bytesLoaded;
+                    httpRequestMetrics.chunkBytesLength = chunkBytesLength;
+                    httpRequestMetrics.chunkDownloadTime = chunkDownloadTime;
+
+                    self.metricsModel.appendHttpTrace(
+                        httpRequestMetrics,
+                        currentTime,
+                        currentTime.getTime() - lastTraceTime.getTime(), [bytesLoaded]);
+
+                    lastTraceTime = currentTime;
+
+                    // Remaining bytes (if any) that do not make up a complete chunk
+                    deferred.resolve({
+                        data: (bytes.length > 0) ? bytes.buffer : null,
+                        request: request
+                    });
+                },
+
+                onChunkReceived = function(value) {
+                    var currentTime = new Date(),
+                        received = new Uint8Array(bytes.length + value.length),
+                        skipped,
+                        length,
+                        chunk;
+
+                    startTimeout();
+
+                    if (!request.firstByteDate) {
+                        request.firstByteDate = currentTime;
+                        httpRequestMetrics.tresponse = currentTime;
+                    }
+
+                    if (chunkStartDate === null) {
+                        chunkStartDate = currentTime;
+                    }
+
+                    bytesLoaded += value.length;
+                    request.bytesLoaded = bytesLoaded;
+
+                    // Skip the bytes of the chunks already notified by a previous attempt
+                    if (bytesToSkip > 0) {
+                        skipped = Math.min(bytesToSkip, value.length);
+                        bytesToSkip -= skipped;
+                        value = value.subarray(skipped);
+                        received = new Uint8Array(bytes.length + value.length);
+                    }
+
+                    received.set(bytes);
+                    received.set(value, bytes.length);
+                    bytes = received;
+
+                    length = _getCompleteChunksLength(bytes);
+                    if (length > 0) {
+                        chunk = bytes.slice(0, length);
+                        bytes = bytes.slice(length);
+
+                        // Chunks received within a single read cannot be timed, then they are not taken into account in throughput estimation
+                        if (currentTime.getTime() > chunkStartDate.getTime()) {
+                            chunkBytesLength += length;
+                            chunkDownloadTime += currentTime.getTime() - chunkStartDate.getTime();
+                        }
+                        chunkStartDate = (bytes.length > 0) ? currentTime : null;
+                        request.chunksLength = (request.chunksLength || 0) + length;
+
+                        self.notify(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_CHUNK_LOADED, {
+                            request: request,
+                            data: chunk.buffer
+                        });
+                    }
+
+                    self.metricsModel.appendHttpTrace(
+                        httpRequestMetrics,
+                        currentTime,
+                        currentTime.getTime() - lastTraceTime.getTime(), [bytesLoaded]);
+
+                    lastTraceTime = currentTime;
+
+                    self.notify(MediaPlayer.dependencies.FragmentLoader.eventList.ENAME_LOADING_PROGRESS, {
+                        request: request,
+                        httpRequestMetrics: httpRequestMetrics,
+                        lastTraceTime: lastTraceTime
+                    });
+                },
+
+                read = function() {
+                    reader.read().then(function(result) {
+                        if (loader.aborted || loader.timedOut) {
+                            onError();
+                            return;
+                        }
+                        if (result.done) {
+                            onLoaded();
+                            return;
+                        }
+                        onChunkReceived(result.value);
+                        read();
+                    }, onError);
+                };
+
+            xhrs.push(loader);
+            request.requestStartDate = new Date();
+
+            httpRequestMetrics = self.metricsModel.addHttpRequest(
+                request.streamType,
+                null,
+                request.type,
+                request.url,
+                null,
+                request.range,
+                request.requestStartDate,
+                null,
+                null,
+                null,
+                null,
+                request.duration,
+                request.startTime,
+                request.quality);
+
+            self.metricsModel.appendHttpTrace(
+                httpRequestMetrics,
+                request.requestStartDate,
+                request.requestStartDate.getTime() - request.requestStartDate.getTime(), [0]);
+
+            lastTraceTime = request.requestStartDate;
+
+            // Collect request headers (see TokenAuthentication.setTokenInRequestHeader())
+            self.tokenAuthentication.setTokenInRequestHeader({
+                setRequestHeader: function(name, value) {
+                    headers[name] = value;
+                }
+            });
+
+            if (request.range) {
+                headers.Range = 'bytes='+request.range;
+            }
+
+            self.debug.log("[FragmentLoader]["+type+"] Load (chunked): " + request.url);
+
+            startTimeout();
+
+            fetch(self.tokenAuthentication.addTokenAsQueryArg(request.url), {
+                method: "GET",
+                headers: headers,
+                signal: abortController ? abortController.signal : undefined
+            }).then(function(response) {
+                loader.status = response.status;
+                if (!response.ok || loader.aborted || loader.timedOut) {
+                    onError();
+                    return;
+                }
+                reader = response.body.getReader();
+                read();
+            }, onError);
+
+            return deferred.promise;
+        },
+
         _load = function (request, deferred) {
-            var self = this;
+            var self = this,
+                loadRequest = (request.lowLatency && _isChunkedLoadingSupported()) ? _loadRequestChunked : _loadRequest;
 
-            _loadRequest.call(self, request).then(function(result) {
+            loadRequest.call(self, request).then(function(result) {
                     retryCount = 0;
                     deferred.resolve(result);
                 }, function(reqerror) {
@@ -244,7 +531,12 @@ MediaPlayer.dependencies.FragmentLoader = function() {
                         // No (more) retry => set status and reject
                         retryCount = 0;
                         request.status = reqerror.status;
-                        deferred.reject(request);
+                        // ORANGE: fail over to another BaseURL (if any) before rejecting
+                        if (self.baseURLController.failover(request)) {
+                            _load.call(self, request, deferred);
+                        } else {
+                            deferred.reject(request);
+                        }
                     } else {
                         // Retry
                         setTimeout(function() {
@@ -260,6 +552,7 @@ MediaPlayer.dependencies.FragmentLoader = function() {
         metricsModel: undefined,
         debug: undefined,
         tokenAuthentication: undefined,
+        baseURLController: undefined,
         config: undefined,
         notify: undefined,
         subscribe: undefined,
@@ -268,6 +561,7 @@ MediaPlayer.dependencies.FragmentLoader = function() {
         setup: function() {
             retryAttempts = this.config.getParam("FragmentLoader.RetryAttempts", "number", DEFAULT_RETRY_ATTEMPTS);
             retryInterval = this.config.getParam("FragmentLoader.RetryInterval", "number", DEFAULT_RETRY_INTERVAL);
+            timeout = this.config.getParam("FragmentLoader.Timeout", "number", DEFAULT_TIMEOUT);
         },
 
         setType: function (value) {
@@ -306,7 +600,14 @@ MediaPlayer.dependencies.FragmentLoader = function() {
             _checkForExistence.call(this, req);
 
             return req.deferred.promise;
-        }
+        },
+
+        /**
+         * Returns the length of the complete CMAF chunks (i.e. ended by a complete 'mdat' box) at the beginning of the given bytes.
+         * @param {Uint8Array} bytes - the bytes received so far
+         * @return {number} the length of the complete chunks, 0 if no chunk is complete
+         */
+        getCompleteChunksLength: _getCompleteChunksLength
     };
 };
 
@@ -315,5 +616,6 @@ MediaPlayer.dependencies.FragmentLoader.prototype = {
 };
 
 MediaPlayer.dependencies.FragmentLoader.eventList = {
-    ENAME_LOADING_PROGRESS: "loadingProgress"
+    ENAME_LOADING_PROGRESS: "loadingProgress",
+    ENAME_CHUNK_LOADED: "chunkLoaded"
 };
\ No newline at end of file
@@ -0,0 +1,227 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+MediaPlayer.utils.ID3Parser = function() {
+    "use strict";
+
+    var TEXT_ENCODING_ISO_8859_1 = 0,
+        TEXT_ENCODING_UTF_16 = 1,
+        TEXT_ENCODING_UTF_16BE = 2,
+
+        // ID3v2.4 sizes are coded as synchsafe integers (7 bits per byte)
+        readSynchsafeInteger = function(data, offset) {
+            return ((data[offset] & 0x7F) << 21) | ((data[offset + 1] & 0x7F) << 14) | ((data[offset + 2] & 0x7F) << 7) | (data[offset + 3] & 0x7F);
+        },
+
+        readUint32 = function(data, offset) {
+            return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+        },
+
+        // Returns the index of the string terminator (1 null byte, or 2 null bytes for UTF-16 strings), or end of data if not terminated
+        getStringEnd = function(data, offset, encoding) {
+            var i = offset;
+
+            if (encoding === TEXT_ENCODING_UTF_16 || encoding === TEXT_ENCODING_UTF_16BE) {
+                while ((i + 1) < data.length && (data[i] !== 0 || data[i + 1] !== 0)) {
+                    i += 2;
+                }
+                return Math.min(i, data.length);
+            }
+
+            while (i < data.length && data[i] !== 0) {
+                i++;
+            }
+            return i;
+        },
+
+        decodeUTF8 = function(data) {
+            var str = "",
+                i = 0,
+                c;
+
+            while (i < data.length) {
+                c = data[i++];
+                if (c >= 0xF0 && (i + 2) < data.length) {
+                    // 4 bytes sequence => code point outside the BMP, encoded as UTF-16 surrogate pair
+                    c = ((c & 0x07) << 18) | ((data[i++] & 0x3F) << 12) | ((data[i++] & 0x3F) << 6) | (data[i++] & 0x3F);
+                    c -= 0x10000;
+                    str += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+                    continue;
+                } else if (c >= 0xE0 && (i + 1) < data.length) {
+                    c = ((c & 0x0F) << 12) | ((data[i++] & 0x3F) << 6) | (data[i++] & 0x3F);
+                } else if (c >= 0xC0 && i < data.length) {
+                    c = ((c & 0x1F) << 6) | (data[i++] & 0x3F);
+                }
+                str += String.fromCharCode(c);
+            }
+
+            return str;
+        },
+
+        decodeUTF16 = function(data, littleEndian) {
+            var str = "",
+                i;
+
+            for (i = 0; (i + 1) < data.length; i += 2) {
+                str += String.fromCharCode(littleEndian ? (data[i + 1] << 8) | data[i] : (data[i] << 8) | data[i + 1]);
+            }
+
+            return str;
+        },
+
+        decodeString = function(data, encoding) {
+            var str = "",
+                i;
+
+            switch (encoding) {
+                case TEXT_ENCODING_ISO_8859_1:
+                    for (i = 0; i < data.length; i++) {
+                        str += String.fromCharCode(data[i]);
+                    }
+                    return str;
+                case TEXT_ENCODING_UTF_16:
+                    // Byte order mark
+                    if (data.length >= 2 && data[0] === 0xFF && data[1] === 0xFE) {
+                        return decodeUTF16(data.subarray(2), true);
+                    }
+                    if (data.length >= 2 && data[0] === 0xFE && data[1] === 0xFF) {
+                        return decodeUTF16(data.subarray(2), false);
+                    }
+                    return decodeUTF16(data, false);
+                case TEXT_ENCODING_UTF_16BE:
+                    return decodeUTF16(data, false);
+                default:
+                    return decodeUTF8(data);
+            }
+        },
+
+        // Reads a terminated string and returns its value and the offset of the following field
+        readString = function(data, offset, encoding) {
+            var end = getStringEnd(data, offset, encoding),
+                terminatorLength = (encoding === TEXT_ENCODING_UTF_16 || encoding === TEXT_ENCODING_UTF_16BE) ? 2 : 1;
+
+            return {
+                value: decodeString(data.subarray(offset, end), encoding),
+                next: Math.min(end + terminatorLength, data.length)
+            };
+        },
+
+        parseFrame = function(id, data) {
+            var frame = {
+                    id: id
+                },
+                encoding,
+                field;
+
+            if (id === "TXXX" || id === "WXXX") {
+                // User defined text/URL: encoding, description, value (URL is always ISO-8859-1)
+                encoding = data[0];
+                field = readString(data, 1, encoding);
+                frame.description = field.value;
+                frame.value = readString(data, field.next, (id === "WXXX") ? TEXT_ENCODING_ISO_8859_1 : encoding).value;
+            } else if (id.charAt(0) === "T") {
+                // Text information frames: encoding, value
+                frame.value = readString(data, 1, data[0]).value;
+            } else if (id.charAt(0) === "W") {
+                // URL link frames
+                frame.value = readString(data, 0, TEXT_ENCODING_ISO_8859_1).value;
+            } else if (id === "PRIV") {
+                // Private frame: owner identifier, binary data
+                field = readString(data, 0, TEXT_ENCODING_ISO_8859_1);
+                frame.owner = field.value;
+                frame.data = data.subarray(field.next);
+            } else if (id === "GEOB") {
+                // General encapsulated object: encoding, MIME type, filename, description, binary data
+                encoding = data[0];
+                field = readString(data, 1, TEXT_ENCODING_ISO_8859_1);
+                frame.mimeType = field.value;
+                field = readString(data, field.next, encoding);
+                frame.filename = field.value;
+                field = readString(data, field.next, encoding);
+                frame.description = field.value;
+                frame.data = data.subarray(field.next);
+            } else {
+                frame.data = data;
+            }
+
+            return frame;
+        },
+
+        // Parses the frames of the ID3 tag starting at offset, returns the offset of the end of the tag
+        parseTag = function(data, offset, frames) {
+            var version = data[offset + 3],
+                flags = data[offset + 5],
+                end = offset + 10 + readSynchsafeInteger(data, offset + 6),
+                i = offset + 10,
+                id,
+                size;
+
+            end = Math.min(end, data.length);
+
+            // Skip extended header
+            if (flags & 0x40) {
+                i += (version === 4) ? readSynchsafeInteger(data, i) : (readUint32(data, i) + 4);
+            }
+
+            while ((i + 10) <= end) {
+                // Padding
+                if (data[i] === 0) {
+                    break;
+                }
+
+                id = String.fromCharCode(data[i], data[i + 1], data[i + 2], data[i + 3]);
+                size = (version === 4) ? readSynchsafeInteger(data, i + 4) : readUint32(data, i + 4);
+                i += 10;
+
+                if ((i + size) > end) {
+                    this.debug.warn("[ID3Parser] Invalid frame size (" + id + ")");
+                    break;
+                }
+
+                frames.push(parseFrame.call(this, id, data.subarray(i, i + size)));
+                i += size;
+            }
+
+            return end;
+        };
+
+    return {
+        debug: undefined,
+
+        /**
+         * Parses ID3v2 tag(s) and returns the list of frames, each frame being described by its identifier ('id')
+         * and decoded fields: 'value' (and 'description') for text and URL frames, 'owner' and 'data' for PRIV frames,
+         * 'mimeType', 'filename', 'description' and 'data' for GEOB frames, and raw 'data' for other frames.
+         * @param {Uint8Array} data - the ID3 tag(s)
+         * @return {Array} the ID3 frames
+         */
+        parse: function(data) {
+            var frames = [],
+                i = 0;
+
+            // Tags may be concatenated (ID3v2 header: 'ID3', version, revision, flags, size)
+            while ((i + 10) <= data.length && data[i] === 0x49 && data[i + 1] === 0x44 && data[i + 2] === 0x33) {
+                // ID3v2.2 (3-character frame identifiers) is not supported
+                if (data[i + 3] < 3) {
+                    this.debug.warn("[ID3Parser] Unsupported ID3 version 2." + data[i + 3]);
+                    break;
+                }
+                i = parseTag.call(this, data, i, frames);
+            }
+
+            return frames;
+        }
+    };
+};
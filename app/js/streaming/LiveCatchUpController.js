@@ -0,0 +1,243 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+MediaPlayer.dependencies.LiveCatchUpController = function() {
+    "use strict";
+
+    var DEFAULT_MAX_DRIFT = 5,
+        DEFAULT_MIN_PLAYBACK_RATE = 0.95,
+        DEFAULT_MAX_PLAYBACK_RATE = 1.05,
+        // Latency drift (in seconds) under which playback rate is not adjusted
+        DRIFT_TOLERANCE = 0.2,
+        // Playback rate adjustment per second of drift
+        RATE_FACTOR = 0.05,
+        // Minimum buffer level (in seconds) to speed up playback
+        MIN_BUFFER_LEVEL = 0.5,
+
+        targetLatency = -1,
+        maxDrift = DEFAULT_MAX_DRIFT,
+        minPlaybackRate = DEFAULT_MIN_PLAYBACK_RATE,
+        maxPlaybackRate = DEFAULT_MAX_PLAYBACK_RATE,
+        bufferController = null,
+        timeupdateListener = null,
+        seekingListener = null,
+        playListener = null,
+        // Catch-up applies as long as playback follows the live edge, i.e. until the user pauses or seeks back in the DVR window
+        followingLive = true,
+        catchUpSeekTime = NaN,
+        // Last segments availability range end, and wall clock time at which it has been updated
+        lastRangeEnd = NaN,
+        lastRangeEndTime = NaN,
+
+        setPlaybackRate = function(rate) {
+            if (rate !== this.videoModel.getPlaybackRate()) {
+                this.videoModel.setPlaybackRate(rate);
+            }
+        },
+
+        // Returns the live edge time, as computed from the wall clock since segments availability range
+        // is updated only when the segments list is refreshed
+        getLiveEdge = function(representation) {
+            var period = representation.adaptation.period,
+                now = new Date().getTime(),
+                rangeEnd = representation.segmentAvailabilityRange.end;
+
+            // DASH: presentation time of the current (server synchronized) wall clock time
+            if (period.mpd.manifest.name !== 'MSS' && period.mpd.manifest.name !== 'M3U') {
+                return this.timelineConverter.calcPresentationTimeFromWallTime(new Date(now + (period.mpd.clientServerTimeShift * 1000)), period);
+            }
+
+            // MSS and HLS: media timeline is not mapped onto wall clock,
+            // then extrapolate the live edge from the last segments availability range update
+            if (rangeEnd !== lastRangeEnd) {
+                lastRangeEnd = rangeEnd;
+                lastRangeEndTime = now;
+            }
+
+            return rangeEnd + ((now - lastRangeEndTime) / 1000);
+        },
+
+        // Returns the drift (in seconds) of the latency from the target latency
+        getDrift = function() {
+            var representation = bufferController.getCurrentRepresentation();
+
+            if (!representation || !representation.segmentAvailabilityRange) {
+                return NaN;
+            }
+
+            return getLiveEdge.call(this, representation) - this.videoModel.getCurrentTime() - targetLatency;
+        },
+
+        computePlaybackRate = function(drift, bufferLevel) {
+            var rate;
+
+            if (Math.abs(drift) < DRIFT_TOLERANCE) {
+                return 1;
+            }
+
+            rate = Math.min(Math.max(1 + (drift * RATE_FACTOR), minPlaybackRate), maxPlaybackRate);
+            rate = Math.round(rate * 100) / 100;
+
+            // Speed up only if the buffer can sustain it
+            if ((rate > 1) && (bufferLevel < MIN_BUFFER_LEVEL)) {
+                rate = 1;
+            }
+
+            return rate;
+        },
+
+        isCloseToLiveEdge = function() {
+            var drift = getDrift.call(this);
+
+            return isNaN(drift) || (drift <= maxDrift);
+        },
+
+        onSeeking = function() {
+            // Ignore seeks to live edge triggered by catch-up
+            if (Math.abs(this.videoModel.getCurrentTime() - catchUpSeekTime) < 0.1) {
+                catchUpSeekTime = NaN;
+                return;
+            }
+
+            followingLive = isCloseToLiveEdge.call(this);
+        },
+
+        onPlay = function() {
+            followingLive = isCloseToLiveEdge.call(this);
+        },
+
+        onTimeupdate = function() {
+            var representation,
+                drift,
+                rate;
+
+            // Do not interfere with pause, seek, stall and trick mode states
+            if (this.videoModel.isPaused() || this.videoModel.isSeeking() || this.videoModel.isStalled()) {
+                return;
+            }
+
+            representation = bufferController.getCurrentRepresentation();
+            drift = getDrift.call(this);
+            if (isNaN(drift)) {
+                return;
+            }
+
+            if (!followingLive) {
+                // Resume catch-up once playback is back close to the live edge
+                if (drift > maxDrift) {
+                    return;
+                }
+                followingLive = true;
+            }
+
+            // Too far from target latency, seek back to the live edge
+            if (drift > maxDrift) {
+                this.debug.info("[LiveCatchUpController] Latency = " + (drift + targetLatency).toFixed(3) + "s, seek to live edge");
+                setPlaybackRate.call(this, 1);
+                catchUpSeekTime = Math.max(getLiveEdge.call(this, representation) - targetLatency, representation.segmentAvailabilityRange.start);
+                this.videoModel.setCurrentTime(catchUpSeekTime);
+                return;
+            }
+
+            rate = computePlaybackRate(drift, bufferController.getBufferLevel());
+
+            if (rate !== this.videoModel.getPlaybackRate()) {
+                this.debug.info("[LiveCatchUpController] Latency = " + (drift + targetLatency).toFixed(3) + "s (target = " + targetLatency + "s), playback rate = " + rate);
+            }
+
+            setPlaybackRate.call(this, rate);
+        };
+
+    return {
+        debug: undefined,
+        videoModel: undefined,
+        timelineConverter: undefined,
+        config: undefined,
+
+        setup: function() {
+            targetLatency = this.config.getParam("LiveCatchUp.targetLatency", "number", -1);
+            maxDrift = this.config.getParam("LiveCatchUp.maxDrift", "number", DEFAULT_MAX_DRIFT);
+            minPlaybackRate = this.config.getParam("LiveCatchUp.minPlaybackRate", "number", DEFAULT_MIN_PLAYBACK_RATE);
+            maxPlaybackRate = this.config.getParam("LiveCatchUp.maxPlaybackRate", "number", DEFAULT_MAX_PLAYBACK_RATE);
+        },
+
+        /**
+         * Indicates if live catch-up is enabled, i.e. if a target latency is configured.
+         * @return {boolean} true if live catch-up is enabled
+         */
+        isEnabled: function() {
+            return targetLatency > 0;
+        },
+
+        /**
+         * Returns the playback rate to apply to catch up the target latency.
+         * @param {number} drift - the drift (in seconds) of the latency from the target latency
+         * @param {number} bufferLevel - the current buffer level (in seconds)
+         * @return {number} the playback rate
+         */
+        computePlaybackRate: computePlaybackRate,
+
+        /**
+         * Starts adjusting the playback rate to keep the latency close to the target latency.
+         * @param {object} controller - the (video) BufferController providing the live edge and the buffer level
+         */
+        start: function(controller) {
+            if (!this.isEnabled() || timeupdateListener !== null) {
+                return;
+            }
+
+            this.debug.info("[LiveCatchUpController] Start (target latency = " + targetLatency + "s, max drift = " + maxDrift + "s)");
+
+            bufferController = controller;
+            followingLive = true;
+            catchUpSeekTime = NaN;
+            lastRangeEnd = NaN;
+            lastRangeEndTime = NaN;
+            timeupdateListener = onTimeupdate.bind(this);
+            seekingListener = onSeeking.bind(this);
+            playListener = onPlay.bind(this);
+            this.videoModel.listen("timeupdate", timeupdateListener);
+            this.videoModel.listen("seeking", seekingListener);
+            this.videoModel.listen("play", playListener);
+        },
+
+        /**
+         * Stops adjusting the playback rate, and restores normal playback rate.
+         */
+        stop: function() {
+            if (timeupdateListener === null) {
+                return;
+            }
+
+            this.debug.info("[LiveCatchUpController] Stop");
+
+            this.videoModel.unlisten("timeupdate", timeupdateListener);
+            this.videoModel.unlisten("seeking", seekingListener);
+            this.videoModel.unlisten("play", playListener);
+            timeupdateListener = null;
+            seekingListener = null;
+            playListener = null;
+            bufferController = null;
+
+            if (!this.videoModel.isStalled()) {
+                setPlaybackRate.call(this, 1);
+            }
+        }
+    };
+};
+
+MediaPlayer.dependencies.LiveCatchUpController.prototype = {
+    constructor: MediaPlayer.dependencies.LiveCatchUpController
+};
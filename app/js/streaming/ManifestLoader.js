@@ -101,6 +101,11 @@ MediaPlayer.dependencies.ManifestLoader = function() {
                         null);
 
                     self.parser.parse(_getDecodedResponseText(request.responseText), baseUrl).then(
+                        function(manifest) {
+                            // Resolve remote elements (XLink) to be resolved at manifest loading
+                            return self.xlinkController.resolveOnLoad(manifest);
+                        }
+                    ).then(
                         function(manifest) {
                             if (manifest) {
                                 manifest.mpdUrl = url;
@@ -165,6 +170,7 @@ MediaPlayer.dependencies.ManifestLoader = function() {
     return {
         debug: undefined,
         parser: undefined,
+        xlinkController: undefined,
         config: undefined,
         metricsModel: undefined,
         tokenAuthentication: undefined,
@@ -38,6 +38,8 @@ MediaPlayer = function () {
         warning = null,
         defaultAudioLang = 'und',
         defaultSubtitleLang = 'und',
+        defaultAudioRole = 'main',
+        defaultSubtitleRole = 'main',
         subtitlesEnabled = false,
         initialQuality = {
             video: -1,
@@ -94,6 +96,8 @@ MediaPlayer = function () {
 
         streamController.setDefaultAudioLang(defaultAudioLang);
         streamController.setDefaultSubtitleLang(defaultSubtitleLang);
+        streamController.setDefaultAudioRole(defaultAudioRole);
+        streamController.setDefaultSubtitleRole(defaultSubtitleRole);
         streamController.enableSubtitles(subtitlesEnabled);
         // TODO restart here !!!
         streamController.load(source);
@@ -305,6 +309,8 @@ MediaPlayer = function () {
             return null;
         }
         switch (_type) {
+            case MediaPlayer.TRACKS_TYPE.VIDEO:
+                return streamController.getVideoTracks();
             case MediaPlayer.TRACKS_TYPE.AUDIO:
                 return streamController.getAudioTracks();
             case MediaPlayer.TRACKS_TYPE.TEXT:
@@ -318,6 +324,8 @@ MediaPlayer = function () {
             return null;
         }
         switch (_type) {
+            case MediaPlayer.TRACKS_TYPE.VIDEO:
+                return streamController.getSelectedVideoTrack();
             case MediaPlayer.TRACKS_TYPE.AUDIO:
                 return streamController.getSelectedAudioTrack();
             case MediaPlayer.TRACKS_TYPE.TEXT:
@@ -331,6 +339,9 @@ MediaPlayer = function () {
             return null;
         }
         switch (_type) {
+            case MediaPlayer.TRACKS_TYPE.VIDEO:
+                streamController.setVideoTrack(_track);
+                break;
             case MediaPlayer.TRACKS_TYPE.AUDIO:
                 streamController.setAudioTrack(_track);
                 break;
@@ -341,8 +352,25 @@ MediaPlayer = function () {
         return null;
     };
 
-    var _isSameTrack = function (track1, track2) {
-        return (track1.id === track2.id) && (track1.lang === track2.lang) && (track1.subType === track2.subType);
+    var _getTrack = function (_track) {
+        return {
+            id: _track.id,
+            lang: _track.lang,
+            subType: _track.subType,
+            roles: this.manifestExt.getRoles(_track),
+            accessibility: this.manifestExt.getAccessibility(_track)
+        };
+    };
+
+    var _isSameList = function (list1, list2) {
+        return list1.join(' ') === list2.join(' ');
+    };
+
+    // Roles and accessibility are compared only if provided, to distinguish tracks in the same language
+    var _isSameTrack = function (_track, track) {
+        return (_track.id === track.id) && (_track.lang === track.lang) && (_track.subType === track.subType) &&
+            (!track.roles || _isSameList(this.manifestExt.getRoles(_track), track.roles)) &&
+            (!track.accessibility || _isSameList(this.manifestExt.getAccessibility(_track), track.accessibility));
     };
 
     // parse the arguments of load function to make an object
@@ -386,6 +414,7 @@ MediaPlayer = function () {
         debug: undefined,
         eventBus: undefined,
         metricsExt: undefined,
+        manifestExt: undefined,
         abrController: undefined,
         metricsModel: undefined,
         errHandler: undefined,
@@ -755,11 +784,67 @@ MediaPlayer = function () {
         getDefaultSubtitleLang: function () {
             return defaultSubtitleLang;
         },
+
+        /**
+         * Sets the default audio role. Among the audio tracks of the default language, the track having this role
+         * (in its Role or Accessibility descriptors, for example 'main', 'description', 'commentary' or 'enhanced-audio-intelligibility')
+         * is selected. Otherwise, the first track with no specific purpose (audio description, commentary...) is selected.
+         * @method setDefaultAudioRole
+         * @access public
+         * @memberof MediaPlayer#
+         * @param {string} role - the default audio role (default value = 'main')
+         */
+        setDefaultAudioRole: function (role) {
+            if (typeof role !== 'string') {
+                throw new Error('MediaPlayer.setDefaultAudioRole(): Invalid Arguments');
+            }
+            defaultAudioRole = role;
+        },
+
+        /**
+         * Gets the default audio role.
+         * @method getDefaultAudioRole
+         * @access public
+         * @memberof MediaPlayer#
+         * @return {string} role - the default audio role
+         */
+        getDefaultAudioRole: function () {
+            return defaultAudioRole;
+        },
+
+        /**
+         * Sets the default subtitle role. Among the subtitle tracks of the default language, the track having this role
+         * (in its Role or Accessibility descriptors, for example 'main', 'subtitle', 'caption' or 'forced-subtitle')
+         * is selected. Otherwise, the first track with no specific purpose (captions, forced subtitles...) is selected.
+         * @method setDefaultSubtitleRole
+         * @access public
+         * @memberof MediaPlayer#
+         * @param {string} role - the default subtitle role (default value = 'main')
+         */
+        setDefaultSubtitleRole: function (role) {
+            if (typeof role !== 'string') {
+                throw new Error('MediaPlayer.setDefaultSubtitleRole(): Invalid Arguments');
+            }
+            defaultSubtitleRole = role;
+        },
+
+        /**
+         * Gets the default subtitle role.
+         * @method getDefaultSubtitleRole
+         * @access public
+         * @memberof MediaPlayer#
+         * @return {string} role - the default subtitle role
+         */
+        getDefaultSubtitleRole: function () {
+            return defaultSubtitleRole;
+        },
 //#endregion
 
 //#region PLAYBACK
         /**
          * Load/open a video stream.
+         * The start time can also be signaled in the manifest url, as a media fragment ('#t=[npt:]<time>' or '#t=posix:<time>' for live streams),
+         * or in the manifest (HLS '#EXT-X-START' tag). The start time provided in stream properties takes precedence.
          * @method load
          * @access public
          * @memberof MediaPlayer#
@@ -767,7 +852,8 @@ MediaPlayer = function () {
             <pre>
             {
                 url : "[manifest url]",
-                startTime : [start time in seconds (optionnal)]
+                startTime : [start time in seconds (optionnal), from the beginning of the stream (or of the DVR window for live streams),
+                             or from the end of the stream (live edge for live streams) if negative]
                 protData : {
                     // one entry for each key system ('com.microsoft.playready' or 'com.widevine.alpha')
                     "[key_system_name]": {
@@ -907,6 +993,77 @@ MediaPlayer = function () {
             }
         },
 
+        /**
+         * Seeks the media to the given program date time (absolute date and time of the media, as signaled
+         * in HLS playlists with #EXT-X-PROGRAM-DATE-TIME tags).
+         * @method seekToDate
+         * @access public
+         * @memberof MediaPlayer#
+         * @param {Date} date - the program date time to seek to
+         */
+        seekToDate: function (date) {
+            var time,
+                range;
+
+            _isPlayerInitialized();
+
+            if (!(date instanceof Date) || isNaN(date.getTime())) {
+                throw new Error('MediaPlayer.seekToDate(): Invalid Arguments');
+            }
+
+            // Get media time from the segment which program date time range contains the date
+            // (program date time may jump at discontinuities)
+            time = streamController.getTimeForProgramDateTime(date);
+            if (isNaN(time)) {
+                throw new Error('MediaPlayer.seekToDate(): date outside available time range');
+            }
+
+            if (this.isLive()) {
+                range = this.getDVRWindowRange();
+                if (range === null || time < range.start || time > range.end) {
+                    throw new Error('MediaPlayer.seekToDate(): date outside DVR window');
+                }
+            }
+
+            this.seek(time);
+        },
+
+        /**
+         * Seeks (in case of live streams) to the start of the current program, or to the start of the DVR window
+         * if the program start is not provided or is no more available in the DVR window.
+         * A safety margin of one segment duration is kept past the DVR window start, since the first segment
+         * may be removed from the DVR window before being downloaded.
+         * @method startOver
+         * @access public
+         * @memberof MediaPlayer#
+         * @param {number} [programStartTime] - the current program start time in seconds (see getDVRWindowRange())
+         */
+        startOver: function (programStartTime) {
+            var range,
+                margin,
+                time;
+
+            _isPlayerInitialized();
+
+            if (programStartTime !== undefined && typeof programStartTime !== 'number') {
+                throw new Error('MediaPlayer.startOver(): Invalid Arguments');
+            }
+
+            range = this.getDVRWindowRange();
+            if (range === null) {
+                throw new Error('MediaPlayer.startOver(): impossible for non-live or non-DVR stream');
+            }
+
+            margin = streamController.getSegmentDuration();
+            time = Math.min(range.start + (isNaN(margin) ? 0 : margin), range.end);
+            if (programStartTime !== undefined && programStartTime > time && programStartTime <= range.end) {
+                time = programStartTime;
+            }
+
+            this.debug.info("[MediaPlayer] Start over at time " + time + " (DVR window = [" + range.start + ", " + range.end + "])");
+            this.seek(time);
+        },
+
         /**
          * Pauses the media playback.
          * @method pause
@@ -1022,6 +1179,19 @@ MediaPlayer = function () {
             }
         },
 
+        /**
+         * Returns the program date time (absolute date and time) corresponding to the current playback position,
+         * as signaled in HLS playlists with #EXT-X-PROGRAM-DATE-TIME tags.
+         * @method getProgramDateTime
+         * @access public
+         * @memberof MediaPlayer#
+         * @return {Date} the current program date time, or null if not available
+         */
+        getProgramDateTime: function () {
+            _isPlayerInitialized();
+            return streamController.getProgramDateTime(videoModel.getCurrentTime());
+        },
+
         /**
          * Return the available DVR window range in case of live streams.
          * @method isLive
@@ -1180,7 +1350,7 @@ MediaPlayer = function () {
 
             _isPlayerInitialized();
 
-            if (!type || (type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
+            if (!type || (type !== MediaPlayer.TRACKS_TYPE.VIDEO && type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
                 throw new Error('MediaPlayer Invalid Argument - "type" should be defined and shoud be kind of MediaPlayer.TRACKS_TYPE');
             }
 
@@ -1192,11 +1362,7 @@ MediaPlayer = function () {
 
             var tracks = [];
             for (var i = 0; i < _tracks.length; i += 1) {
-                tracks.push({
-                    id: _tracks[i].id,
-                    lang: _tracks[i].lang,
-                    subType: _tracks[i].subType
-                });
+                tracks.push(_getTrack.call(this, _tracks[i]));
             }
 
             return tracks;
@@ -1216,7 +1382,7 @@ MediaPlayer = function () {
 
             _isPlayerInitialized();
 
-            if (!type || (type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
+            if (!type || (type !== MediaPlayer.TRACKS_TYPE.VIDEO && type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
                 throw new Error('MediaPlayer Invalid Argument - "type" should be defined and shoud be kind of MediaPlayer.TRACKS_TYPE');
             }
 
@@ -1232,13 +1398,13 @@ MediaPlayer = function () {
             }
             var selectedTrack = _getSelectedTrackFromType(type);
 
-            if (selectedTrack && _isSameTrack(selectedTrack, track)) {
+            if (selectedTrack && _isSameTrack.call(this, selectedTrack, track)) {
                 this.debug.log("[MediaPlayer] " + type + " track [" + track.id + " - " + track.lang + "] is already selected");
                 return;
             }
 
             for (var i = 0; i < _tracks.length; i += 1) {
-                if (_isSameTrack(_tracks[i], track)) {
+                if (_isSameTrack.call(this, _tracks[i], track)) {
                     _selectTrackFromType(type, _tracks[i]);
                     return;
                 }
@@ -1256,7 +1422,7 @@ MediaPlayer = function () {
         getSelectedTrack: function (type) {
             _isPlayerInitialized();
 
-            if (!type || (type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
+            if (!type || (type !== MediaPlayer.TRACKS_TYPE.VIDEO && type !== MediaPlayer.TRACKS_TYPE.AUDIO && type !== MediaPlayer.TRACKS_TYPE.TEXT)) {
                 throw new Error('MediaPlayer Invalid Argument - "type" should be defined and shoud be kind of MediaPlayer.TRACKS_TYPE');
             }
 
@@ -1266,11 +1432,7 @@ MediaPlayer = function () {
                 return null;
             }
 
-            return {
-                id: _track.id,
-                lang: _track.lang,
-                subType: _track.subType
-            };
+            return _getTrack.call(this, _track);
         },
 //#endregion
 
@@ -1582,6 +1744,26 @@ MediaPlayer.PUBLIC_EVENTS = {
      */
     'cueExit': 'hasplayer',
 
+    /**
+     * The timedMetadata event is fired when ID3 timed metadata (as inserted in HLS streams, or conveyed in DASH
+     * inband event messages with 'https://aomedia.org/emsg/ID3' scheme) reaches its presentation time.
+     *
+     * @event MediaPlayer#timedMetadata
+     * @param {object} event - the event
+     * @param {object} event.type - the event type ('timedMetadata')
+     * @param {object} event.data - the event data
+     * @param {string} event.data.schemeIdUri - the event scheme identifier ('https://aomedia.org/emsg/ID3')
+     * @param {string} event.data.value - the event value
+     * @param {number} event.data.id - the event identifier
+     * @param {number} event.data.presentationTime - the event presentation time (in seconds)
+     * @param {number} event.data.duration - the event duration (in seconds)
+     * @param {Uint8Array} event.data.messageData - the event message data (ID3 tag)
+     * @param {Array} event.data.frames - the ID3 frames, each frame being described by its identifier ('id'),
+     * and its 'value' and 'description' (text and URL frames), 'owner' and 'data' (PRIV frames),
+     * or 'mimeType', 'filename', 'description' and 'data' (GEOB frames)
+     */
+    'timedMetadata': 'hasplayer',
+
     /**
      * The manifestUrlUpdate event is fired when the URL of the manifest may have to be refreshed,
      * since the player failed to download the manifest file (URL expiration for example).
@@ -1662,13 +1844,14 @@ MediaPlayer.PUBLIC_EVENTS = {
 };
 
 /**
- * Exposes the available tracks types used to manage tracks (language) switching.
+ * Exposes the available tracks types used to manage tracks (language or video track) switching.
  * @see [getTracks]{@link MediaPlayer#getTracks}
  * @see [getSelectedTrack]{@link MediaPlayer#getSelectedTrack}
  * @see [selectTrack]{@link MediaPlayer#selectTrack}
  * @enum
  */
 MediaPlayer.TRACKS_TYPE = {
+    VIDEO: "video",
     AUDIO: "audio",
     TEXT: "text"
 };
@@ -1684,6 +1867,7 @@ MediaPlayer.TRACKS_TYPE = {
  * @property {number}   BufferController.minBufferTimeForPlaying - Minimum buffer level before playing, in seconds (default value = 0)
  * @property {number}   BufferController.minBufferTime - Minimum buffer size, in seconds (default value = 16)
  * @property {number}   BufferController.liveDelay - The delay between the live edge and playing time, in seconds (default value = minBufferTime)
+ * @property {boolean}  BufferController.lowLatencyMode - Enable (or not) low latency mode for live streams (segments are loaded and appended by chunks, while being produced) (default value = false)
  * @property {number}   ABR.minBandwidth - Minimum bandwidth to be playbacked (default value = -1)
  * @property {number}   ABR.maxBandwidth - Maximum bandwidth to be playbacked (default value = -1)
  * @property {number}   ABR.minQuality - Minimum quality index (start from 0) to be playbacked (default value = -1)
@@ -1701,6 +1885,12 @@ MediaPlayer.TRACKS_TYPE = {
  * @property {number}   ManifestLoader.RetryInterval - Interval (in milliseconds) between each retry attempts for downloading manifest file (default value = 500)
  * @property {number}   FragmentLoader.RetryAttempts - Number of retry attempts for downloading segment files when it fails (default value = 2)
  * @property {number}   FragmentLoader.RetryInterval - Interval (in milliseconds) between each retry attempts for downloading segment files (default value = 500)
+ * @property {number}   FragmentLoader.Timeout - Timeout (in milliseconds) for downloading segment files, 0 for no timeout (default value = 0)
+ * @property {number}   MssFragmentController.ManifestRefreshThreshold - Number of consecutive live fragments without tfrf box after which the Smooth Streaming manifest is periodically refreshed, 0 to disable (default value = 3)
+ * @property {number}   LiveCatchUp.targetLatency - Target latency (in seconds) for live streams, playback rate is adjusted to catch up this latency, -1 to disable (default value = -1)
+ * @property {number}   LiveCatchUp.maxDrift - Maximum drift (in seconds) from the target latency above which playback seeks back to the live edge (default value = 5)
+ * @property {number}   LiveCatchUp.minPlaybackRate - Minimum playback rate for catching up the target latency (default value = 0.95)
+ * @property {number}   LiveCatchUp.maxPlaybackRate - Maximum playback rate for catching up the target latency (default value = 1.05)
  * @property {Object}   video - Video parameters (parameters for video track)
  * @property {Object}   audio - audio parameters (parameters for audio track)
  */
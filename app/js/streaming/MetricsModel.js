@@ -183,6 +183,21 @@
             return vo;
         },
 
+        addBaseURLFailover: function (streamType, t, from, to, serviceLocation, status) {
+            var vo = new MediaPlayer.vo.metrics.BaseURLFailover();
+
+            vo.t = t;
+            vo.from = from;
+            vo.to = to;
+            vo.serviceLocation = serviceLocation;
+            vo.status = status;
+
+            this.getMetricsFor(streamType).BaseURLFailover.push(vo);
+            this.metricAdded(streamType, "BaseURLFailover", vo);
+
+            return vo;
+        },
+
         addState: function (streamType, currentState, position, reason) {
             var vo = new MediaPlayer.vo.metrics.State();
 
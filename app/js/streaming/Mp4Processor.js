@@ -385,6 +385,127 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             return avcC;
         },
 
+        createHEVCConfigurationBox = function(track) {
+            var hvcC,
+                NALArray,
+                NALBuffer,
+                naluType,
+                nalArrays = {},
+                sps,
+                i;
+
+            //Create an HEVC Configuration Box
+            hvcC = new mp4lib.boxes.HEVCConfigurationBox();
+
+            hvcC.configurationVersion = 1;
+            hvcC.lengthSizeMinusOne = 3; //indicates the length in bytes of the NALUnitLength field minus one
+            hvcC.min_spatial_segmentation_idc = 0;
+            hvcC.parallelismType = 0; // unknown
+            hvcC.avgFrameRate = 0; // unspecified
+            hvcC.constantFrameRate = 0; // unknown
+            hvcC.NAL_arrays = [];
+
+            // codecPrivateData contains VPS, SPS and PPS NAL units, separated by start codes
+            NALArray = track.codecPrivateData.split("00000001");
+            NALArray.splice(0, 1);
+
+            for (i = 0; i < NALArray.length; i += 1) {
+                NALBuffer = _hexstringtoBuffer(NALArray[i]);
+                naluType = mpegts.h265.getNaluType(NALBuffer[0]);
+
+                if (naluType === mpegts.h265.NALUTYPE_SPS) {
+                    sps = mpegts.h265.parseSPS(NALBuffer.subarray(2));
+                }
+
+                // Group NAL units by type
+                if (nalArrays[naluType] === undefined) {
+                    nalArrays[naluType] = {
+                        // 'hev1': parameter sets may also be conveyed in-band
+                        array_completeness: (getSampleEntryType(track) === "hvc1") ? 1 : 0,
+                        NAL_unit_type: naluType,
+                        NALUs: []
+                    };
+                    hvcC.NAL_arrays.push(nalArrays[naluType]);
+                }
+                nalArrays[naluType].NALUs.push({
+                    "NAL_length": NALBuffer.length,
+                    "NAL": NALBuffer
+                });
+            }
+
+            if (sps === undefined) {
+                throw {
+                    name: MediaPlayer.dependencies.ErrorHandler.prototype.MEDIA_ERR_CODEC_UNSUPPORTED,
+                    message: "Missing HEVC SPS"
+                };
+            }
+
+            hvcC.general_profile_space = sps.general_profile_space;
+            hvcC.general_tier_flag = sps.general_tier_flag;
+            hvcC.general_profile_idc = sps.general_profile_idc;
+            hvcC.general_profile_compatibility_flags = sps.general_profile_compatibility_flags;
+            hvcC.general_constraint_indicator_flags = sps.general_constraint_indicator_flags;
+            hvcC.general_level_idc = sps.general_level_idc;
+            hvcC.chromaFormat = sps.chroma_format_idc;
+            hvcC.bitDepthLumaMinus8 = sps.bit_depth_luma_minus8;
+            hvcC.bitDepthChromaMinus8 = sps.bit_depth_chroma_minus8;
+            hvcC.numTemporalLayers = sps.sps_max_sub_layers_minus1 + 1;
+            hvcC.temporalIdNested = sps.sps_temporal_id_nesting_flag;
+
+            return hvcC;
+        },
+
+        createHEVCVisualSampleEntry = function(track) {
+            var hvc1 = null;
+
+            //An HEVC visual sample entry shall contain an HEVC Configuration Box
+            if (track.contentProtection !== undefined) {
+                hvc1 = new mp4lib.boxes.EncryptedVideoBox();
+            } else if (getSampleEntryType(track) === "hev1") {
+                hvc1 = new mp4lib.boxes.HEV1VisualSampleEntryBox();
+            } else {
+                hvc1 = new mp4lib.boxes.HEVCVisualSampleEntryBox();
+            }
+
+            // = "HEVC Coding";
+            setVisualSampleEntryFields(hvc1, track, [0x0B, 0x48, 0x45, 0x56, 0x43, 0x20, 0x43, 0x6F,
+                                                     0x64, 0x69, 0x6E, 0x67, 0x00, 0x00, 0x00, 0x00,
+                                                     0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+                                                     0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+
+            //create and add HEVC Configuration Box (hvcC)
+            hvc1.boxes.push(createHEVCConfigurationBox(track));
+
+            if (track.contentProtection !== undefined) {
+                // create and add Protection Scheme Info Box
+                hvc1.boxes.push(createProtectionSchemeInfoBox(track));
+            }
+
+            return hvc1;
+        },
+
+        setVisualSampleEntryFields = function(entry, track, compressorname) {
+            entry.data_reference_index = 1; //To DO... ??
+            entry.compressorname = compressorname;
+            //is a name, for informative purposes. It is formatted in a fixed 32-byte field, with the first
+            //byte set to the number of bytes to be displayed, followed by that number of bytes of displayable data,
+            //and then padding to complete 32 bytes total (including the size byte). The field may be set to 0.
+            entry.depth = 0x0018; //takes one of the following values 0x0018 – images are in colour with no alpha.
+            entry.reserved = [0x0, 0x0, 0x0, 0x0, 0x0, 0x0]; //default value = 0
+            entry.reserved_2 = 0; //default value = 0
+            entry.reserved_3 = 0; //default value = 0
+            entry.pre_defined = 0; //unsigned int(16) pre_defined = 0;
+            entry.pre_defined_2 = [0x0, 0x0, 0x0]; //unsigned int(32)[3] pre_defined = 0;
+            entry.pre_defined_3 = 65535; //int(16) pre_defined = -1;
+            entry.frame_count = 1; //template unsigned int(16) frame_count = 1;indicates how many frames of compressed video are stored in each sample. The default is
+            //1, for one frame per sample; it may be more than 1 for multiple frames per sample
+            entry.horizresolution = 0x00480000; // 72 dpi
+            entry.vertresolution = 0x00480000; // 72 dpi
+
+            entry.height = track.height; //are the maximum visual width and height of the stream described by this sample
+            entry.width = track.width; //description, in pixels
+        },
+
         createAVCVisualSampleEntry = function(track) {
             var avc1 = null;
 
@@ -395,29 +516,11 @@ MediaPlayer.dependencies.Mp4Processor = function() {
                 avc1 = new mp4lib.boxes.AVC1VisualSampleEntryBox();
             }
 
-            avc1.data_reference_index = 1; //To DO... ??
-            avc1.compressorname = [0x0A, 0x41, 0x56, 0x43, 0x20, 0x43, 0x6F, 0x64,
-                                   0x69, 0x6E, 0x67, 0x00, 0x00, 0x00, 0x00, 0x00,
-                                   0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-                                   0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00];
             // = "AVC Coding";
-            //is a name, for informative purposes. It is formatted in a fixed 32-byte field, with the first
-            //byte set to the number of bytes to be displayed, followed by that number of bytes of displayable data,
-            //and then padding to complete 32 bytes total (including the size byte). The field may be set to 0.
-            avc1.depth = 0x0018; //takes one of the following values 0x0018 – images are in colour with no alpha.
-            avc1.reserved = [0x0, 0x0, 0x0, 0x0, 0x0, 0x0]; //default value = 0
-            avc1.reserved_2 = 0; //default value = 0
-            avc1.reserved_3 = 0; //default value = 0
-            avc1.pre_defined = 0; //unsigned int(16) pre_defined = 0;
-            avc1.pre_defined_2 = [0x0, 0x0, 0x0]; //unsigned int(32)[3] pre_defined = 0;
-            avc1.pre_defined_3 = 65535; //int(16) pre_defined = -1;
-            avc1.frame_count = 1; //template unsigned int(16) frame_count = 1;indicates how many frames of compressed video are stored in each sample. The default is
-            //1, for one frame per sample; it may be more than 1 for multiple frames per sample
-            avc1.horizresolution = 0x00480000; // 72 dpi
-            avc1.vertresolution = 0x00480000; // 72 dpi
-
-            avc1.height = track.height; //are the maximum visual width and height of the stream described by this sample
-            avc1.width = track.width; //description, in pixels
+            setVisualSampleEntryFields(avc1, track, [0x0A, 0x41, 0x56, 0x43, 0x20, 0x43, 0x6F, 0x64,
+                                                     0x69, 0x6E, 0x67, 0x00, 0x00, 0x00, 0x00, 0x00,
+                                                     0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+                                                     0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
 
             //create and add AVC Configuration Box (avcC)
             avc1.boxes.push(createAVCConfigurationBox(track));
@@ -432,7 +535,7 @@ MediaPlayer.dependencies.Mp4Processor = function() {
 
         createOriginalFormatBox = function(track) {
             var frma = new mp4lib.boxes.OriginalFormatBox();
-            frma.data_format = stringToCharCode(track.codecs.substring(0, track.codecs.indexOf('.')));
+            frma.data_format = stringToCharCode(getSampleEntryType(track));
             return frma;
         },
 
@@ -487,12 +590,22 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             return sinf;
         },
 
+        // Returns the sample entry type from codecs string (e.g. 'avc1' for 'avc1.42C01E', 'ac-3' for 'ac-3')
+        getSampleEntryType = function(track) {
+            var index = track.codecs.indexOf('.');
+
+            return (index === -1) ? track.codecs : track.codecs.substring(0, index);
+        },
+
         createVisualSampleEntry = function(track) {
-            var codec = track.codecs.substring(0, track.codecs.indexOf('.'));
+            var codec = getSampleEntryType(track);
 
             switch (codec) {
                 case "avc1":
                     return createAVCVisualSampleEntry(track);
+                case "hvc1":
+                case "hev1":
+                    return createHEVCVisualSampleEntry(track);
                 default:
                     throw {
                         name: MediaPlayer.dependencies.ErrorHandler.prototype.MEDIA_ERR_CODEC_UNSUPPORTED,
@@ -514,8 +627,14 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             return bytes;
         },
 
+        // MPEG-1 audio (MP3) is signaled with objectTypeIndication 0x6B, without DecoderSpecificInfo
+        isMPEGAudio = function(track) {
+            return (track.codecs === "mp4a.40.34") || (track.codecs === "mp4a.6B");
+        },
+
         createMPEG4AACESDescriptor = function(track) {
-            var audioSpecificConfig,
+            var isMP3 = isMPEGAudio(track),
+                audioSpecificConfig,
                 dsiLength,
                 decoderSpecificInfo,
                 dcdLength,
@@ -526,15 +645,20 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             // AudioSpecificConfig
             // defined in ISO/IEC 14496-3, subpart 1
             // => AudioSpecificConfig corresponds to hex bytes contained in "codecPrivateData" field
-            audioSpecificConfig = parseHexString(track.codecPrivateData);
-
-            // DecoderSpecificInfo
-            // defined in ISO/IEC 14496-1 (Systems), extends a BaseDescriptor
-            dsiLength = audioSpecificConfig.length;
-            decoderSpecificInfo = new Uint8Array(2 + dsiLength); // 2 = tag + size bytes
-            decoderSpecificInfo[0] = 0x05; // bit(8), tag=0x05 (DecSpecificInfoTag)
-            decoderSpecificInfo[1] = dsiLength; // bit(8), size
-            decoderSpecificInfo.set(audioSpecificConfig, 2); // AudioSpecificConfig bytes
+            // => no DecoderSpecificInfo for MP3
+            if (isMP3) {
+                decoderSpecificInfo = new Uint8Array(0);
+            } else {
+                audioSpecificConfig = parseHexString(track.codecPrivateData);
+
+                // DecoderSpecificInfo
+                // defined in ISO/IEC 14496-1 (Systems), extends a BaseDescriptor
+                dsiLength = audioSpecificConfig.length;
+                decoderSpecificInfo = new Uint8Array(2 + dsiLength); // 2 = tag + size bytes
+                decoderSpecificInfo[0] = 0x05; // bit(8), tag=0x05 (DecSpecificInfoTag)
+                decoderSpecificInfo[1] = dsiLength; // bit(8), size
+                decoderSpecificInfo.set(audioSpecificConfig, 2); // AudioSpecificConfig bytes
+            }
 
             // DecoderConfigDescriptor
             // defined in ISO/IEC 14496-1 (Systems), extends a BaseDescriptor
@@ -542,7 +666,7 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             decoderConfigDescriptor = new Uint8Array(2 + dcdLength);
             decoderConfigDescriptor[0] = 0x04; // bit(8), tag=0x04 (DecoderConfigDescrTag)
             decoderConfigDescriptor[1] = dcdLength; // bit(8), size
-            decoderConfigDescriptor[2] = 0x40; // bit(8), objectTypeIndication=0x40 (MPEG-4 AAC)
+            decoderConfigDescriptor[2] = isMP3 ? 0x6B : 0x40; // bit(8), objectTypeIndication=0x40 (MPEG-4 AAC) or 0x6B (MPEG-1 audio)
             decoderConfigDescriptor[3] = 0x05 << 2; // bit(6), streamType=0x05 (Audiostream)
             decoderConfigDescriptor[3] |= 0 << 1; // bit(1), upStream=0
             decoderConfigDescriptor[3] |= 1; // bit(1), reserved=1
@@ -584,17 +708,7 @@ MediaPlayer.dependencies.Mp4Processor = function() {
                 mp4a = new mp4lib.boxes.MP4AudioSampleEntryBox();
             }
 
-            // SampleEntry fields
-            mp4a.reserved = [0x0, 0x0, 0x0, 0x0, 0x0, 0x0];
-            mp4a.data_reference_index = 1; // ??
-
-            // AudioSampleEntry fields
-            mp4a.reserved_2 = [0x0, 0x0]; // default value = 0
-            mp4a.channelcount = track.channels; // number of channels
-            mp4a.samplesize = 16; // default value = 16
-            mp4a.pre_defined = 0; // default value = 0
-            mp4a.reserved_3 = 0; // default value = 0
-            mp4a.samplerate = track.samplingRate << 16; // sampling rate, as fixed-point 16.16 values
+            setAudioSampleEntryFields(mp4a, track);
 
             esdBox = new mp4lib.boxes.ESDBox();
             ES_Descriptor = createMPEG4AACESDescriptor(track);
@@ -615,12 +729,58 @@ MediaPlayer.dependencies.Mp4Processor = function() {
             return mp4a;
         },
 
+        // Sets SampleEntry and AudioSampleEntry fields
+        setAudioSampleEntryFields = function(entry, track) {
+            // SampleEntry fields
+            entry.reserved = [0x0, 0x0, 0x0, 0x0, 0x0, 0x0];
+            entry.data_reference_index = 1;
+
+            // AudioSampleEntry fields
+            entry.reserved_2 = [0x0, 0x0]; // default value = 0
+            entry.channelcount = track.channels; // number of channels
+            entry.samplesize = 16; // default value = 16
+            entry.pre_defined = 0; // default value = 0
+            entry.reserved_3 = 0; // default value = 0
+            entry.samplerate = track.samplingRate << 16; // sampling rate, as fixed-point 16.16 values
+        },
+
+        createAC3AudioSampleEntry = function(track) {
+            var isEC3 = (track.codecs === "ec-3"),
+                entry = null,
+                specificBox,
+                specificConfig;
+
+            if (track.contentProtection !== undefined) {
+                entry = new mp4lib.boxes.EncryptedAudioBox();
+            } else {
+                entry = isEC3 ? new mp4lib.boxes.EC3SampleEntryBox() : new mp4lib.boxes.AC3SampleEntryBox();
+            }
+
+            setAudioSampleEntryFields(entry, track);
+
+            // AC3SpecificBox/EC3SpecificBox, from payload contained in "codecPrivateData" field
+            specificBox = isEC3 ? new mp4lib.boxes.EC3SpecificBox() : new mp4lib.boxes.AC3SpecificBox();
+            specificConfig = parseHexString(track.codecPrivateData);
+            specificBox.read(specificConfig, 0, specificConfig.length);
+            entry.boxes.push(specificBox);
+
+            if (track.contentProtection !== undefined) {
+                // create and add Protection Scheme Info Box
+                entry.boxes.push(createProtectionSchemeInfoBox(track));
+            }
+
+            return entry;
+        },
+
         createAudioSampleEntry = function(track) {
-            var codec = track.codecs.substring(0, track.codecs.indexOf('.'));
+            var codec = getSampleEntryType(track);
 
             switch (codec) {
                 case "mp4a":
                     return createMP4AudioSampleEntry(track);
+                case "ac-3":
+                case "ec-3":
+                    return createAC3AudioSampleEntry(track);
                 default:
                     throw {
                         name: MediaPlayer.dependencies.ErrorHandler.prototype.MEDIA_ERR_CODEC_UNSUPPORTED,
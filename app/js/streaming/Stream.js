@@ -34,6 +34,7 @@ MediaPlayer.dependencies.Stream = function() {
         subtitlesEnabled = false,
         dvrStarted = false,
         fragmentInfoVideoController = null,
+        liveCatchUpController = null,
         fragmentInfoAudioController = null,
         fragmentInfoTextController = null,
 
@@ -61,11 +62,16 @@ MediaPlayer.dependencies.Stream = function() {
         // Audio/text languages
         defaultAudioLang = 'und',
         defaultSubtitleLang = 'und',
+        defaultAudioRole = 'main',
+        defaultSubtitleRole = 'main',
 
         periodInfo = null,
 
+        // Periods played consecutively within the same MediaSource (seamless period switching)
+        periods = [],
+
         // Initial start time
-        initialStartTime = -1,
+        initialStartTime = NaN,
 
         // Play start time (= live edge for live streams)
         playStartTime = -1,
@@ -186,6 +192,11 @@ MediaPlayer.dependencies.Stream = function() {
                         funcs.push(fragmentInfoVideoController.reset(errored));
                     }
 
+                    if (!!liveCatchUpController) {
+                        liveCatchUpController.stop();
+                        liveCatchUpController = null;
+                    }
+
                     if (!!audioController) {
                         funcs.push(audioController.reset(errored));
                     }
@@ -262,6 +273,7 @@ MediaPlayer.dependencies.Stream = function() {
             // Create and initialize BufferController
             bufferController = this.system.getObject("bufferController");
             bufferController.initialize(data.type, periodInfo, data, buffer, this.fragmentController, mediaSource, eventController);
+            bufferController.setPeriods(periods);
 
             if (data.type === 'text' && buffer.hasOwnProperty('initialize')) {
                 buffer.initialize(codec, bufferController, data);
@@ -306,6 +318,9 @@ MediaPlayer.dependencies.Stream = function() {
                     videoController = createBufferController.call(this, data, videoCodec);
                     if (this.manifestExt.getIsDynamic(manifest)) {
                         fragmentInfoVideoController = createFragmentInfoController.call(this, videoController, data);
+                        // Keep live latency close to target latency (if configured)
+                        liveCatchUpController = this.system.getObject("liveCatchUpController");
+                        liveCatchUpController.start(videoController);
                     }
                 }
             }
@@ -317,7 +332,7 @@ MediaPlayer.dependencies.Stream = function() {
             }
 
             // Initialize audio BufferController
-            data = this.manifestExt.getSpecificAudioData(manifest, periodInfo.index, defaultAudioLang);
+            data = this.manifestExt.getSpecificAudioData(manifest, periodInfo.index, defaultAudioLang, defaultAudioRole);
 
             if (data === null) {
                 this.errHandler.sendWarning(MediaPlayer.dependencies.ErrorHandler.prototype.MANIFEST_ERR_NO_AUDIO, "No audio data in manifest");
@@ -343,7 +358,7 @@ MediaPlayer.dependencies.Stream = function() {
             }
 
             // Initialize text BufferController
-            data = this.manifestExt.getSpecificTextData(manifest, periodInfo.index, defaultSubtitleLang);
+            data = this.manifestExt.getSpecificTextData(manifest, periodInfo.index, defaultSubtitleLang, defaultSubtitleRole);
 
             if (data !== null) {
                 textTrackIndex = this.manifestExt.getDataIndex(data, manifest, periodInfo.index);
@@ -361,7 +376,7 @@ MediaPlayer.dependencies.Stream = function() {
 
             // Initialize EventController
             if (eventController) {
-                eventController.addInlineEvents(this.manifestExt.getEventsForPeriod(manifest, periodInfo));
+                eventController.addInlineEvents(getInlineEvents.call(this));
             }
 
             // Initialize ProtectionController
@@ -376,9 +391,34 @@ MediaPlayer.dependencies.Stream = function() {
             return;
         },
 
+        // Duration of the periods played within the MediaSource
+        getPeriodsDuration = function() {
+            var lastPeriod = periods[periods.length - 1];
+
+            if (periods.length === 1) {
+                return periodInfo.duration;
+            }
+
+            return (lastPeriod.start + lastPeriod.duration) - periodInfo.start;
+        },
+
+        // Inline events of all the periods played within the MediaSource
+        getInlineEvents = function() {
+            var events = [],
+                i;
+
+            for (i = 0; i < periods.length; i += 1) {
+                events = events.concat(this.manifestExt.getEventsForPeriod(manifest, periods[i]));
+            }
+
+            return events;
+        },
+
         initializePlayback = function() {
-            this.debug.log("[Stream] Setting duration: " + periodInfo.duration);
-            this.mediaSourceExt.setDuration(mediaSource, periodInfo.duration);
+            var duration = getPeriodsDuration();
+
+            this.debug.log("[Stream] Setting duration: " + duration);
+            this.mediaSourceExt.setDuration(mediaSource, duration);
             initialized = true;
         },
 
@@ -628,7 +668,7 @@ MediaPlayer.dependencies.Stream = function() {
 
         onDurationchange = function() {
             var duration = this.videoModel.getDuration(),
-                streamDuration = Number(periodInfo.duration.toFixed(3));
+                streamDuration = Number(getPeriodsDuration().toFixed(3));
 
             this.debug.info("[Stream] <video> durationchange event: " + duration);
 
@@ -797,19 +837,86 @@ MediaPlayer.dependencies.Stream = function() {
             }
         },
 
+        // Get start time from a start offset in seconds, from the beginning of the available range,
+        // or from its end if negative (live edge for live streams).
+        // For static streams, an offset beyond the available range is ignored
+        getTimeFromStartOffset = function(startOffset, range) {
+            var time = (startOffset < 0) ? (range.end + startOffset) : (range.start + startOffset);
+
+            if (!this.manifestExt.getIsDynamic(manifest) && (time >= range.end)) {
+                return NaN;
+            }
+
+            return Math.min(Math.max(time, range.start), range.end);
+        },
+
+        // Get start time from the media fragment of stream url, with temporal dimension
+        // (#t=[npt:]start[,end] or #t=posix:start, see http://www.w3.org/TR/media-frags/)
+        getMediaFragmentStartTime = function(range) {
+            var t = this.uriQueryFragModel.getURIFragmentData().t,
+                time,
+                parts;
+
+            if (!t) {
+                return NaN;
+            }
+
+            t = decodeURIComponent(t).split(',')[0];
+
+            if (t.indexOf("posix:") === 0) {
+                // Wall clock time, for live streams only
+                if (!this.manifestExt.getIsDynamic(manifest)) {
+                    return NaN;
+                }
+                time = this.timelineConverter.calcPresentationTimeFromWallTime(new Date(parseFloat(t.substring(6)) * 1000), periodInfo);
+                return Math.min(Math.max(time, range.start), range.end);
+            }
+
+            // Normal play time, in seconds or [[hh:]mm:]ss[.ms] format
+            parts = t.replace("npt:", "").split(':');
+            time = 0;
+            while (parts.length > 0) {
+                time = (time * 60) + parseFloat(parts.shift());
+            }
+
+            return isNaN(time) ? NaN : getTimeFromStartOffset.call(this, time, range);
+        },
+
         // 'startTimeFound' event raised by video controller when start time has been found
         // startTime = video live edge for live streams
         // startTime = first video segment time for static streams
+        // range = video segments availability range
+        // The start time is then overloaded, in order of priority, by:
+        // - the start time provided when loading the stream
+        // - the start time signaled in stream url (media fragment)
+        // - the start offset signaled in manifest (HLS #EXT-X-START)
         // => then seek every BufferController at the found start time
-        onStartTimeFound = function(startTime) {
+        onStartTimeFound = function(startTime, range) {
+            var manifestStartOffset = this.manifestExt.getStartOffset(manifest),
+                time = NaN;
+
             this.debug.info("[Stream] Start time = " + startTime);
-            // Check if initial start time is set, then overload start time
-            if (initialStartTime !== -1 &&
-                !this.manifestExt.getIsDynamic(manifest) &&
-                initialStartTime < periodInfo.duration) {
-                this.debug.info("[Stream] Initial start time = " + initialStartTime);
-                startTime = initialStartTime;
+
+            if (range) {
+                if (!isNaN(initialStartTime)) {
+                    time = getTimeFromStartOffset.call(this, initialStartTime, range);
+                    this.debug.info("[Stream] Initial start time = " + initialStartTime + " => " + time);
+                }
+                if (isNaN(time)) {
+                    time = getMediaFragmentStartTime.call(this, range);
+                    if (!isNaN(time)) {
+                        this.debug.info("[Stream] Media fragment start time = " + time);
+                    }
+                }
+                if (isNaN(time) && !isNaN(manifestStartOffset)) {
+                    time = getTimeFromStartOffset.call(this, manifestStartOffset, range);
+                    this.debug.info("[Stream] Manifest start offset = " + manifestStartOffset + " => " + time);
+                }
+                if (!isNaN(time)) {
+                    startTime = time;
+                }
             }
+
             seek.call(this, startTime, (periodInfo.index === 0) && autoPlay);
         },
 
@@ -894,12 +1001,15 @@ MediaPlayer.dependencies.Stream = function() {
 
             manifest = this.manifestModel.getValue();
             periodInfo = updatedPeriodInfo;
+            periods[0] = periodInfo;
             this.debug.log("[Stream] Manifest updated ... set new data on buffers.");
 
-            if (videoController) {
+            // Controllers buffering a subsequent period are updated from the periods list (see addPeriod())
+            if (videoController && (videoController.getPeriodInfo().id === periodInfo.id)) {
                 videoData = videoController.getData();
 
-                if (!!videoData && videoData.hasOwnProperty("id")) {
+                // In trick mode, go on with the trick mode AdaptationSet, else with the selected video track
+                if (!!videoData && videoData.hasOwnProperty("id") && this.manifestExt.getIsTrickMode(videoData)) {
                     data = this.manifestExt.getDataForId(videoData.id, manifest, periodInfo.index);
                 } else {
                     data = this.manifestExt.getDataForIndex(videoTrackIndex, manifest, periodInfo.index);
@@ -907,19 +1017,20 @@ MediaPlayer.dependencies.Stream = function() {
                 videoController.updateData(data, periodInfo);
             }
 
-            if (audioController) {
+            if (audioController && (audioController.getPeriodInfo().id === periodInfo.id)) {
                 data = this.manifestExt.getDataForIndex(audioTrackIndex, manifest, periodInfo.index);
                 audioController.updateData(data, periodInfo);
             }
 
-            if (textController) {
+            if (textController && (textController.getPeriodInfo().id === periodInfo.id)) {
                 data = this.manifestExt.getDataForIndex(textTrackIndex, manifest, periodInfo.index);
                 textController.updateData(data, periodInfo);
             }
 
+            updateControllersPeriods.call(this);
+
             if (eventController) {
-                var events = this.manifestExt.getEventsForPeriod(manifest, periodInfo);
-                eventController.addInlineEvents(events);
+                eventController.addInlineEvents(getInlineEvents.call(this));
             }
 
             if (isReloading && videoController) {
@@ -934,6 +1045,18 @@ MediaPlayer.dependencies.Stream = function() {
             }
         },
 
+        updateControllersPeriods = function() {
+            if (videoController) {
+                videoController.setPeriods(periods);
+            }
+            if (audioController) {
+                audioController.setPeriods(periods);
+            }
+            if (textController) {
+                textController.setPeriods(periods);
+            }
+        },
+
         streamsComposed = function() {
             var time = this.videoModel.getCurrentTime();
             textController.seek(time);
@@ -999,6 +1122,7 @@ MediaPlayer.dependencies.Stream = function() {
         metricsExt: undefined,
         errHandler: undefined,
         timelineConverter: undefined,
+        uriQueryFragModel: undefined,
         scheduleWhilePaused: undefined,
         textTrackExtensions: undefined,
         // ORANGE : add metricsModel
@@ -1038,9 +1162,52 @@ MediaPlayer.dependencies.Stream = function() {
 
         load: function(manifest, periodInfoValue) {
             periodInfo = periodInfoValue;
+            periods = [periodInfo];
             doLoad.call(this, manifest);
         },
 
+        /**
+         * Adds (or updates) a period to be played after the current ones within the same MediaSource (seamless period switching).
+         * The period is buffered in the same buffers once the previous period has been entirely buffered.
+         * @param {object} periodInfoValue - the period info
+         */
+        addPeriod: function(periodInfoValue) {
+            var i;
+
+            for (i = 0; i < periods.length; i += 1) {
+                if (periods[i].id === periodInfoValue.id) {
+                    periods[i] = periodInfoValue;
+                    break;
+                }
+            }
+
+            if (i === periods.length) {
+                this.debug.info("[Stream] Add period " + periodInfoValue.id + " (start = " + periodInfoValue.start + ")");
+                periods.push(periodInfoValue);
+                if (initialized) {
+                    this.mediaSourceExt.setDuration(mediaSource, getPeriodsDuration());
+                }
+            }
+
+            if (eventController) {
+                eventController.addInlineEvents(getInlineEvents.call(this));
+            }
+
+            updateControllersPeriods.call(this);
+        },
+
+        hasPeriod: function(id) {
+            var i;
+
+            for (i = 0; i < periods.length; i += 1) {
+                if (periods[i].id === id) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
         setVideoModel: function(value) {
             this.videoModel = value;
             this.videoModel.listen("play", playListener);
@@ -1062,10 +1229,33 @@ MediaPlayer.dependencies.Stream = function() {
         },
 
         setInitialStartTime: function(startTime) {
-            var time = parseFloat(startTime);
-            if (!isNaN(time)) {
-                initialStartTime = time;
+            initialStartTime = parseFloat(startTime);
+        },
+
+        setVideoTrack: function(videoTrack) {
+            var codec;
+
+            if (!videoController) {
+                return;
+            }
+
+            codec = this.manifestExt.getCodec(videoTrack);
+            if (codec !== this.manifestExt.getCodec(videoController.getData()) && typeof videoController.getBuffer().changeType !== "function") {
+                this.debug.warn("[Stream] Video track " + videoTrack.id + " cannot be selected: SourceBuffer codec cannot be changed to " + codec);
+                return;
             }
+
+            if (fragmentInfoVideoController) {
+                fragmentInfoVideoController.stop();
+            }
+            videoTrackIndex = selectTrack.call(this, videoController, videoTrack, videoTrackIndex);
+        },
+
+        getSelectedVideoTrack: function() {
+            if (videoController) {
+                return this.manifestExt.getDataForIndex(videoTrackIndex, manifest, periodInfo.index);
+            }
+            return undefined;
         },
 
         setAudioTrack: function(audioTrack) {
@@ -1124,6 +1314,14 @@ MediaPlayer.dependencies.Stream = function() {
             defaultSubtitleLang = language;
         },
 
+        setDefaultAudioRole: function(role) {
+            defaultAudioRole = role;
+        },
+
+        setDefaultSubtitleRole: function(role) {
+            defaultSubtitleRole = role;
+        },
+
         getAutoPlay: function() {
             return autoPlay;
         },
@@ -1191,7 +1389,7 @@ MediaPlayer.dependencies.Stream = function() {
         },
 
         getDuration: function() {
-            return periodInfo.duration;
+            return getPeriodsDuration();
         },
 
         getStartTime: function() {
@@ -1224,6 +1422,27 @@ MediaPlayer.dependencies.Stream = function() {
             return videoController.getLiveDelay();
         },
 
+        getProgramDateTime: function(time) {
+            if (!videoController) {
+                return null;
+            }
+            return videoController.getProgramDateTime(time);
+        },
+
+        getTimeForProgramDateTime: function(date) {
+            if (!videoController) {
+                return NaN;
+            }
+            return videoController.getTimeForProgramDateTime(date);
+        },
+
+        getSegmentDuration: function() {
+            if (!videoController) {
+                return NaN;
+            }
+            return videoController.getSegmentDuration();
+        },
+
         startEventController: function() {
             eventController.start();
         },
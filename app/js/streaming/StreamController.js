@@ -36,14 +36,19 @@ MediaPlayer.dependencies.StreamController = function() {
         pauseListener,
         playListener,
         // ORANGE: audio language management
+        videoTracks,
         audioTracks,
         subtitleTracks,
         protectionData,
         defaultAudioLang = 'und',
         defaultSubtitleLang = 'und',
+        defaultAudioRole = 'main',
+        defaultSubtitleRole = 'main',
         subtitlesEnabled = false,
         reloadStream = false,
         deferredLoading = null,
+        // Client clock offset (in seconds), measured at stream loading
+        clientServerTimeShift = 0,
 
         /*
          * Replaces the currently displayed <video> with a new data and corresponding <video> element.
@@ -115,7 +120,7 @@ MediaPlayer.dependencies.StreamController = function() {
 
             if (remainingBufferDuration < STREAM_BUFFER_END_THRESHOLD) {
                 activeStream.getVideoModel().unlisten("progress", progressListener);
-                onStreamBufferingEnd();
+                onStreamBufferingEnd.call(this);
             }
         },
 
@@ -207,14 +212,28 @@ MediaPlayer.dependencies.StreamController = function() {
          * Handles the current stream buffering end moment to start the next stream buffering
          */
         onStreamBufferingEnd = function() {
-            var nextStream = getNextStream();
+            var self = this,
+                manifest = self.manifestModel.getValue(),
+                nextStream = getNextStream();
+
             if (nextStream) {
                 nextStream.seek(nextStream.getStartTime());
+            } else if (self.xlinkController.hasRemoteElements(manifest)) {
+                // Resolve the next remote Period (XLink) and compose its stream before starting to buffer it
+                self.xlinkController.resolveOnRequest(manifest, true).then(
+                    function() {
+                        onManifestResolved.call(self);
+                        nextStream = getNextStream();
+                        if (nextStream) {
+                            nextStream.seek(nextStream.getStartTime());
+                        }
+                    }
+                );
             }
         },
 
         getNextStream = function() {
-            var nextIndex = activeStream.getPeriodIndex() + 1;
+            var nextIndex = streams.indexOf(activeStream) + 1;
             return (nextIndex < streams.length) ? streams[nextIndex] : null;
         },
 
@@ -265,7 +284,8 @@ MediaPlayer.dependencies.StreamController = function() {
                 sIdx,
                 period,
                 mpd,
-                stream;
+                stream,
+                previousStream = null;
 
             if (!manifest) {
                 return false;
@@ -296,6 +316,8 @@ MediaPlayer.dependencies.StreamController = function() {
                 periodInfo = activeStream.getPeriodInfo();
                 mpd.isClientServerTimeSyncCompleted = periodInfo.mpd.isClientServerTimeSyncCompleted;
                 mpd.clientServerTimeShift = periodInfo.mpd.clientServerTimeShift;
+            } else {
+                mpd.clientServerTimeShift = clientServerTimeShift;
             }
 
             periods = self.manifestExt.getRegularPeriods(manifest, mpd);
@@ -311,18 +333,31 @@ MediaPlayer.dependencies.StreamController = function() {
                         stream = streams[sIdx];
                         this.debug.info("[StreamController] update stream data");
                         stream.updateData(period);
+                    } else if (streams[sIdx].hasPeriod(period.id)) {
+                        // Period played within the MediaSource of a previous period
+                        stream = streams[sIdx];
+                        stream.addPeriod(period);
                     }
                 }
+                // ORANGE: if the period has the same media types and codecs than the previous one,
+                // then play it seamlessly within the MediaSource of the previous period
+                if (!stream && previousStream && self.manifestExt.getIsSeamlessPeriodSwitch(manifest, periods[pIdx - 1].index, period.index)) {
+                    this.debug.info("[StreamController] Add period " + period.id + " to stream " + previousStream.getId());
+                    stream = previousStream;
+                    stream.addPeriod(period);
+                }
                 // If the Stream object does not exist we probably loaded the manifest the first time or it was
                 // introduced in the updated manifest, so we need to create a new Stream and perform all the initialization operations
                 if (!stream) {
                     this.debug.info("[StreamController] Create stream");
                     stream = self.system.getObject("stream");
-                    stream.setVideoModel(pIdx === 0 ? self.videoModel : createVideoModel.call(self));
+                    stream.setVideoModel(streams.length === 0 ? self.videoModel : createVideoModel.call(self));
                     stream.initProtection(protectionController);
                     stream.setAutoPlay(autoPlay);
                     stream.setDefaultAudioLang(defaultAudioLang);
                     stream.setDefaultSubtitleLang(defaultSubtitleLang);
+                    stream.setDefaultAudioRole(defaultAudioRole);
+                    stream.setDefaultSubtitleRole(defaultSubtitleRole);
                     stream.enableSubtitles(subtitlesEnabled);
                     stream.setInitialStartTime(source.startTime);
                     stream.load(manifest, period);
@@ -330,6 +365,7 @@ MediaPlayer.dependencies.StreamController = function() {
                 }
 
                 self.metricsModel.addManifestUpdatePeriodInfo(manifestUpdateInfo, period.id, period.index, period.start, period.duration);
+                previousStream = stream;
                 stream = null;
             }
 
@@ -354,6 +390,14 @@ MediaPlayer.dependencies.StreamController = function() {
             return true;
         },
 
+        updateVideoTracks = function() {
+            if (activeStream) {
+                videoTracks = this.manifestExt.getVideoDatas(this.manifestModel.getValue(), activeStream.getPeriodIndex());
+                // fire event to notify that videotracks have changed
+                this.system.notify("videoTracksUpdated");
+            }
+        },
+
         // ORANGE: create function to handle audiotracks
         updateAudioTracks = function() {
             if (activeStream) {
@@ -378,7 +422,8 @@ MediaPlayer.dependencies.StreamController = function() {
             this.refreshManifest();
         },
 
-        manifestHasUpdated = function() {
+        onManifestResolved = function() {
+            var result;
 
             // Check if stopping
             if (!running) {
@@ -389,11 +434,11 @@ MediaPlayer.dependencies.StreamController = function() {
                 return;
             }
 
-            this.debug.info("[StreamController] Manifest updated");
-
-            var result = composeStreams.call(this);
+            result = composeStreams.call(this);
 
             if (result) {
+                // Update Video Tracks List
+                updateVideoTracks.call(this);
                 // ORANGE: Update Audio Tracks List
                 updateAudioTracks.call(this);
                 // ORANGE: Update Subtitle Tracks List
@@ -407,6 +452,22 @@ MediaPlayer.dependencies.StreamController = function() {
                 deferredLoading.resolve();
                 deferredLoading = null;
             }
+        },
+
+        manifestHasUpdated = function() {
+            var manifest = this.manifestModel.getValue();
+
+            if (running) {
+                this.debug.info("[StreamController] Manifest updated");
+            }
+
+            // Resolve the remote elements (XLink) of the periods to be composed,
+            // the next remote periods are resolved once requested (see onStreamBufferingEnd())
+            if (this.xlinkController.hasRemoteElements(manifest)) {
+                this.xlinkController.resolveOnRequest(manifest, false).then(onManifestResolved.bind(this));
+            } else {
+                onManifestResolved.call(this);
+            }
         };
 
     return {
@@ -424,6 +485,10 @@ MediaPlayer.dependencies.StreamController = function() {
         metricsExt: undefined,
         videoExt: undefined,
         errHandler: undefined,
+        uriQueryFragModel: undefined,
+        timeSyncController: undefined,
+        xlinkController: undefined,
+        baseURLController: undefined,
         eventBus: undefined,
         notify: undefined,
         subscribe: undefined,
@@ -459,6 +524,25 @@ MediaPlayer.dependencies.StreamController = function() {
             this.videoModel = value;
         },
 
+        getVideoTracks: function() {
+            return videoTracks;
+        },
+
+        getSelectedVideoTrack: function() {
+
+            if (activeStream) {
+                return activeStream.getSelectedVideoTrack();
+            }
+
+            return undefined;
+        },
+
+        setVideoTrack: function(videoTrack) {
+            if (activeStream) {
+                activeStream.setVideoTrack(videoTrack);
+            }
+        },
+
         getAudioTracks: function() {
             return audioTracks;
         },
@@ -511,6 +595,27 @@ MediaPlayer.dependencies.StreamController = function() {
             return activeStream.getLiveDelay();
         },
 
+        getProgramDateTime: function(time) {
+            if (!activeStream) {
+                return null;
+            }
+            return activeStream.getProgramDateTime(time);
+        },
+
+        getTimeForProgramDateTime: function(date) {
+            if (!activeStream) {
+                return NaN;
+            }
+            return activeStream.getTimeForProgramDateTime(date);
+        },
+
+        getSegmentDuration: function() {
+            if (!activeStream) {
+                return NaN;
+            }
+            return activeStream.getSegmentDuration();
+        },
+
         load: function(newSource) {
             var self = this;
 
@@ -524,9 +629,21 @@ MediaPlayer.dependencies.StreamController = function() {
 
             reloadStream = false;
 
+            // Parse url media fragment (start time, see Stream.onStartTimeFound())
+            self.uriQueryFragModel.reset();
+            self.uriQueryFragModel.parseURI(source.url);
+
             deferredLoading = Q.defer();
             self.debug.info("[StreamController] load url: " + source.url);
             self.manifestLoader.load(source.url).then(
+                function(manifest) {
+                    // Synchronize client clock before computing live edge (UTCTiming)
+                    return self.timeSyncController.synchronize(manifest).then(function(offset) {
+                        clientServerTimeShift = offset;
+                        return manifest;
+                    });
+                }
+            ).then(
                 function(manifest) {
                     self.manifestModel.setValue(manifest);
                     //ORANGE : add Metadata metric
@@ -604,6 +721,8 @@ MediaPlayer.dependencies.StreamController = function() {
             self.manifestLoader.abort();
             self.manifestUpdater.stop();
             self.parser.reset();
+            self.xlinkController.reset();
+            self.baseURLController.reset();
 
             // Wait for current loading process (manifest download and updating) to be achieved
             Q.when(deferredLoading ? deferredLoading.promise : true).then(function () {
@@ -668,6 +787,14 @@ MediaPlayer.dependencies.StreamController = function() {
             defaultSubtitleLang = language;
         },
 
+        setDefaultAudioRole: function(role) {
+            defaultAudioRole = role;
+        },
+
+        setDefaultSubtitleRole: function(role) {
+            defaultSubtitleRole = role;
+        },
+
         enableSubtitles: function(enabled) {
             subtitlesEnabled = enabled;
             if (activeStream) {
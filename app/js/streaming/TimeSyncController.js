@@ -0,0 +1,150 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+MediaPlayer.dependencies.TimeSyncController = function() {
+    "use strict";
+
+    var SCHEME_DIRECT = "direct",
+        SCHEME_HTTP_HEAD = "http-head",
+        SCHEME_HTTP_XSDATE = "http-xsdate",
+        SCHEME_HTTP_ISO = "http-iso",
+        RETRY_ATTEMPTS = 0,
+        RETRY_INTERVAL = 0,
+
+        // xs:dateTime or ISO 8601 date, considered as UTC time if no timezone is specified
+        _parseDate = function(str) {
+            var date;
+
+            str = str.trim();
+            if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(str)) {
+                str += "Z";
+            }
+
+            date = new Date(str);
+
+            return isNaN(date.getTime()) ? null : date;
+        },
+
+        _loadServerTime = function(url, scheme) {
+            var deferred = Q.defer(),
+                xhrLoader = new MediaPlayer.dependencies.XHRLoader(),
+                serverTime;
+
+            this.debug.log("[TimeSyncController] Load server time (" + scheme + "): " + url);
+
+            xhrLoader.initialize('text', RETRY_ATTEMPTS, RETRY_INTERVAL);
+            xhrLoader.load(url, null, (scheme === SCHEME_HTTP_HEAD) ? "HEAD" : "GET").then(
+                function(request) {
+                    if (scheme === SCHEME_HTTP_HEAD) {
+                        serverTime = request.getResponseHeader("Date");
+                        serverTime = serverTime ? new Date(serverTime) : null;
+                        serverTime = (serverTime && !isNaN(serverTime.getTime())) ? serverTime : null;
+                    } else {
+                        serverTime = _parseDate(request.responseText);
+                    }
+
+                    if (serverTime === null) {
+                        deferred.reject();
+                    } else {
+                        // Server time is considered as the time at the middle of the request round trip
+                        deferred.resolve((serverTime.getTime() - ((request.startDate.getTime() + request.endDate.getTime()) / 2)) / 1000);
+                    }
+                },
+                function() {
+                    deferred.reject();
+                }
+            );
+
+            return deferred.promise;
+        },
+
+        // Returns a promise resolved with the clock offset (in seconds) measured from the given UTCTiming source
+        _getOffset = function(source, manifest) {
+            var serverTime;
+
+            switch (source.scheme) {
+                case SCHEME_DIRECT:
+                    // Server time is provided in the manifest, then compare it to the manifest download time
+                    serverTime = (source.value instanceof Date) ? source.value : _parseDate(String(source.value));
+                    if ((serverTime === null) || !manifest.mpdLoadedTime) {
+                        return Q.reject();
+                    }
+                    return Q.when((serverTime.getTime() - manifest.mpdLoadedTime.getTime()) / 1000);
+                case SCHEME_HTTP_HEAD:
+                case SCHEME_HTTP_XSDATE:
+                case SCHEME_HTTP_ISO:
+                    return _loadServerTime.call(this, source.value, source.scheme);
+                default:
+                    this.debug.log("[TimeSyncController] Unsupported UTCTiming scheme: " + source.scheme);
+                    return Q.reject();
+            }
+        },
+
+        // Try the sources in order, until the clock offset could be measured
+        _trySources = function(sources, index, manifest) {
+            var self = this;
+
+            if (index >= sources.length) {
+                return Q.reject();
+            }
+
+            return _getOffset.call(self, sources[index], manifest).then(null,
+                function() {
+                    return _trySources.call(self, sources, index + 1, manifest);
+                }
+            );
+        },
+
+        doSynchronize = function(manifest) {
+            var self = this,
+                sources;
+
+            if (!self.manifestExt.getIsDynamic(manifest)) {
+                return Q.when(0);
+            }
+
+            sources = self.manifestExt.getUTCTimingSources(manifest);
+            if (sources.length === 0) {
+                return Q.when(0);
+            }
+
+            return _trySources.call(self, sources, 0, manifest).then(
+                function(offset) {
+                    self.debug.info("[TimeSyncController] Client-server clock offset = " + offset + "s");
+                    return offset;
+                },
+                function() {
+                    self.debug.warn("[TimeSyncController] Failed to synchronize clock, client clock is used");
+                    return 0;
+                }
+            );
+        };
+
+    return {
+        debug: undefined,
+        manifestExt: undefined,
+
+        /**
+         * Measures the offset between the server clock and the client clock, from the UTCTiming sources signaled in the manifest.
+         * @param {object} manifest - the manifest
+         * @return {object} a promise resolved with the offset in seconds (0 for static streams, or if the measurement failed)
+         */
+        synchronize: doSynchronize
+    };
+};
+
+MediaPlayer.dependencies.TimeSyncController.prototype = {
+    constructor: MediaPlayer.dependencies.TimeSyncController
+};
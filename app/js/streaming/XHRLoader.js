@@ -20,6 +20,7 @@ MediaPlayer.dependencies.XHRLoader = function() {
         _url = null,
         _responseType = null,
         _range = null,
+        _method = "GET",
         _onprogress = null,
         _retryAttempts = 0,
         _retryInterval = 0,
@@ -110,7 +111,7 @@ MediaPlayer.dependencies.XHRLoader = function() {
                 // Add startDate attribute to store request start time
                 _xhr.startDate = new Date();
 
-                _xhr.open("GET", _url, true);
+                _xhr.open(_method, _url, true);
                 _xhr.send();
             } catch (e) {
                 _xhr.onerror();
@@ -126,9 +127,10 @@ MediaPlayer.dependencies.XHRLoader = function() {
             _onprogress = onprogress;
         },
 
-        load: function(url, range) {
+        load: function(url, range, method) {
             _url = url;
             _range = range;
+            _method = method || "GET";
             _retryCount = 0;
             _deferred = Q.defer();
             _load();
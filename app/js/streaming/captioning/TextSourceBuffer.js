@@ -14,36 +14,121 @@
 MediaPlayer.dependencies.TextSourceBuffer = function () {
 
     var video,
-        data,
-        mimeType;
+        label,
+        lang,
+        mimeType,
+
+        // Decodes UTF-8 subtitles data (see TextTTMLXMLMP4SourceBuffer.convertUTFToString())
+        convertUTF8ToString = function(bytes) {
+            var deferred = Q.defer(),
+                blob = new Blob([bytes], {
+                    type: "text/vtt"
+                }),
+                f = new FileReader();
+
+            f.onload = function(e) {
+                deferred.resolve(e.target.result);
+            };
+            f.onerror = function() {
+                deferred.reject("Failed to decode subtitles data");
+            };
+            f.readAsText(blob, "utf-8");
+
+            return deferred.promise;
+        },
+
+        // Simulated TimeRanges, for segmented subtitles (HLS WebVTT) only,
+        // for which segment time range is provided by the append window
+        buffered = {
+            length: 0,
+            ranges: [],
+
+            start: function(index) {
+                return this.ranges[index].start;
+            },
+
+            end: function(index) {
+                return this.ranges[index].end;
+            },
+
+            addRange: function(start, end) {
+                var i;
+
+                for (i = 0; i < this.ranges.length; i++) {
+                    if ((start <= this.ranges[i].end) && (end >= this.ranges[i].start)) {
+                        // Merge with overlapping or contiguous range
+                        this.ranges[i].start = Math.min(start, this.ranges[i].start);
+                        this.ranges[i].end = Math.max(end, this.ranges[i].end);
+                        return;
+                    }
+                }
+
+                this.ranges.push({
+                    start: start,
+                    end: end
+                });
+                this.ranges.sort(function(a, b) {
+                    return a.start - b.start;
+                });
+                this.length = this.ranges.length;
+            },
+
+            removeRange: function(start, end) {
+                var i;
+
+                for (i = this.ranges.length - 1; i >= 0; i -= 1) {
+                    if ((this.ranges[i].end <= end) && (this.ranges[i].start >= start)) {
+                        this.ranges.splice(i, 1);
+                    }
+                }
+                this.length = this.ranges.length;
+            },
+
+            reset: function() {
+                this.length = 0;
+                this.ranges = [];
+            }
+        };
 
     return {
         system:undefined,
         eventBus:undefined,
         errHandler: undefined,
+        updating: false,
+        buffered: buffered,
+        appendWindowStart: 0,
+        appendWindowEnd: Infinity,
 
         initialize: function (type, bufferController) {
+            var data = bufferController.getData();
+
             mimeType = type;
             video = bufferController.getVideoModel().getElement();
-            data = bufferController.getData();
+            label = data.Representation_asArray[0].id;
+            lang = data.lang;
+            buffered.reset();
         },
 
         append: function (bytes) {
             var self = this,
-                ccContent = String.fromCharCode.apply(null, new Uint16Array(bytes));
+                ccContent = null;
+
+            // Segmented subtitles: the append window corresponds to the segment time range
+            if (self.appendWindowEnd !== Infinity) {
+                buffered.addRange(self.appendWindowStart, self.appendWindowEnd);
+            }
 
-            self.getParser().parse(ccContent).then(
+            // HLS subtitles segments are already decoded (see HlsFragmentController)
+            Q.when((typeof bytes === "string") ? bytes : convertUTF8ToString(bytes)).then(
+                function(content) {
+                    ccContent = content;
+                    return self.getParser().parse(ccContent);
+                }
+            ).then(
                 function(result)
                 {
-                    var label = data.Representation_asArray[0].id,
-                        lang = data.lang;
-
-                    self.getTextTrackExtensions().addTextTrack(video, result, label, lang, true).then(
-                        function(/*track*/)
-                        {
-                            self.eventBus.dispatchEvent({type:"updateend"});
-                        }
-                    );
+                    self.getTextTrackExtensions().addTextTrack(video, result, label, lang, true);
+                    self.eventBus.dispatchEvent({type:"updateend"});
                 },
                 function(errMsg) {
                     self.errHandler.sendError(MediaPlayer.dependencies.ErrorHandler.prototype.CC_ERR_PARSE, errMsg, ccContent);
@@ -51,10 +136,20 @@ MediaPlayer.dependencies.TextSourceBuffer = function () {
             );
         },
 
+        remove: function (start, end) {
+            this.getTextTrackExtensions().deleteCues(video, false, start, end);
+            buffered.removeRange(start, end);
+        },
+
         abort:function() {
             this.getTextTrackExtensions().deleteCues(video);
         },
 
+        UpdateLang: function(id, language) {
+            label = id;
+            lang = language;
+        },
+
         getParser:function() {
             var parser;
 
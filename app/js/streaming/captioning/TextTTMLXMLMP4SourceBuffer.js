@@ -143,7 +143,12 @@ MediaPlayer.dependencies.TextTTMLXMLMP4SourceBuffer = function() {
                 trun,
                 fragmentStart,
                 fragmentDuration = 0,
-                encoding = 'utf-8';
+                sampleDuration,
+                sampleSize,
+                samples = [],
+                offset,
+                encoding = 'utf-8',
+                i;
 
             //no mp4, all the subtitles are in one xml file
             if (mimeType === 'application/ttml+xml') {
@@ -196,8 +201,8 @@ MediaPlayer.dependencies.TextTTMLXMLMP4SourceBuffer = function() {
                 // let's decode the data and add captions to video element
                 mdat = file.getBoxByType('mdat');
 
-                // We need to update TimeRanges.                            
-                // assume that there is a single text sample in fragment
+                // We need to update TimeRanges.
+                // Fragment may contain several samples (TTML documents)
                 traf = moof.getBoxByType('traf');
                 tfhd = traf.getBoxByType('tfhd');
                 tfdt = traf.getBoxByType('tfdt');
@@ -205,47 +210,71 @@ MediaPlayer.dependencies.TextTTMLXMLMP4SourceBuffer = function() {
 
                 fragmentStart = tfdt.baseMediaDecodeTime / self.timescale;
                 fragmentDuration = 0;
-                if (trun.flags & 0x000100) {
-                    fragmentDuration = trun.samples_table[0].sample_duration / self.timescale;
-                } else {
-                    fragmentDuration = tfhd.default_sample_duration / self.timescale;
+                offset = 0;
+                for (i = 0; i < trun.sample_count; i += 1) {
+                    sampleDuration = (trun.flags & 0x000100) ? trun.samples_table[i].sample_duration : tfhd.default_sample_duration;
+                    sampleSize = (trun.flags & 0x000200) ? trun.samples_table[i].sample_size : tfhd.default_sample_size;
+                    // If sample size is not signaled, then sample spans until the end of mdat
+                    if (!sampleSize || (i === trun.sample_count - 1)) {
+                        sampleSize = mdat.data.length - offset;
+                    }
+                    samples.push({
+                        start: fragmentStart + (fragmentDuration / self.timescale),
+                        data: mdat.data.subarray(offset, offset + sampleSize)
+                    });
+                    fragmentDuration += sampleDuration;
+                    offset += sampleSize;
                 }
+                fragmentDuration /= self.timescale;
 
                 self.buffered.addRange(fragmentStart, fragmentStart + fragmentDuration);
 
-                //detect utf-16 encoding
-                if (self.isUTF16(mdat.data)) {
-                    encoding = 'utf-16';
-                }
-                // parse data and add to cues
-                self.convertUTFToString(mdat.data, encoding)
-                    .then(function(result) {
-                        self.ttmlParser.parse(result).then(function(cues) {
-                            var i,
-                            manifest = self.manifestModel.getValue();
-
-                            if (cues) {
-                                if (manifest.name === 'MSS') {
-                                    for (i = 0; i < cues.length; i += 1) {
-                                        cues[i].start = cues[i].start + fragmentStart;
-                                        cues[i].end = cues[i].end + fragmentStart;
-                                    }
-                                }
-
-                                self.textTrackExtensions.addCues(self.track, cues);
-
-                                self.eventBus.dispatchEvent({
-                                    type: "updateend"
-                                });
-                            }
-                        }, function( /*error*/ ) {
-                            //self.debug.error("[TextTTMLXMLMP4SourceBuffer] error parsing TTML "+error);
-                        });
+                // parse each sample data and add to cues
+                Q.all(samples.map(function(sample) {
+                    return self.parseSample(sample.data, sample.start);
+                })).then(function() {
+                    // ORANGE: always signal end of append, even if fragment does not contain any cue
+                    // (i.e. empty fragments in live streams), otherwise BufferController would stall
+                    self.eventBus.dispatchEvent({
+                        type: "updateend"
                     });
+                });
             }
             return;
         },
 
+        // Parses a TTML document (sample) and adds its cues to the text track
+        parseSample: function(data, sampleStart) {
+            var self = this,
+                encoding = 'utf-8';
+
+            //detect utf-16 encoding
+            if (self.isUTF16(data)) {
+                encoding = 'utf-16';
+            }
+
+            return self.convertUTFToString(data, encoding).then(function(result) {
+                return self.ttmlParser.parse(result);
+            }).then(function(cues) {
+                var i,
+                    manifest = self.manifestModel.getValue();
+
+                if (cues) {
+                    // MSS: cues times are relative to the sample start time
+                    if (manifest.name === 'MSS') {
+                        for (i = 0; i < cues.length; i += 1) {
+                            cues[i].start = cues[i].start + sampleStart;
+                            cues[i].end = cues[i].end + sampleStart;
+                        }
+                    }
+
+                    self.textTrackExtensions.addCues(self.track, cues);
+                }
+            }, function(error) {
+                self.debug.warn("[TextTTMLXMLMP4SourceBuffer] Failed to parse TTML sample: " + error);
+            });
+        },
+
         convertUTFToString: function(buf, encoding) {
             var deferred = Q.defer(),
                 blob = new Blob([buf], {
@@ -27,6 +27,19 @@ MediaPlayer.utils.VTTParser = function () {
         return time;
     };
 
+    // Get cues time offset from X-TIMESTAMP-MAP header (HLS), which maps cues local time to MPEG-2 TS timestamps (90kHz):
+    // X-TIMESTAMP-MAP=MPEGTS:<timestamp>,LOCAL:<cue time>
+    var getTimestampMapOffset = function(item) {
+        var mpegts = /MPEGTS:(\d+)/.exec(item),
+            local = /LOCAL:([0-9:\.]+)/.exec(item);
+
+        if (mpegts === null) {
+            return 0;
+        }
+
+        return (parseInt(mpegts[1], 10) / 90000) - (local ? convertCuePointTimes(local[1]) : 0);
+    };
+
     return {
 
         parse: function (data)
@@ -35,6 +48,7 @@ MediaPlayer.utils.VTTParser = function () {
                 regExToken = /-->/,
                 regExWhiteSpace = /(^[\s]+|[\s]+$)/g,
                 captionArray = [],
+                offset = 0,
                 len;
 
             data = data.split( regExNewLine );
@@ -46,7 +60,9 @@ MediaPlayer.utils.VTTParser = function () {
 
                 if (item.length > 0 && item !== "WEBVTT")
                 {
-                    if (item.match(regExToken))
+                    if (item.indexOf("X-TIMESTAMP-MAP") === 0) {
+                        offset = getTimestampMapOffset(item);
+                    } else if (item.match(regExToken))
                     {
                         var cuePoints = item.split(regExToken);
                         //vtt has sublines so more will need to be done here
@@ -54,8 +70,8 @@ MediaPlayer.utils.VTTParser = function () {
 
                         //TODO Make VO external so other parsers can use.
                         captionArray.push({
-                            start:convertCuePointTimes(cuePoints[0].replace(regExWhiteSpace, '')),
-                            end:convertCuePointTimes(cuePoints[1].replace(regExWhiteSpace, '')),
+                            start:convertCuePointTimes(cuePoints[0].replace(regExWhiteSpace, '')) + offset,
+                            end:convertCuePointTimes(cuePoints[1].replace(regExWhiteSpace, '').split(' ')[0]) + offset,
                             data:sublines
                         });
                     }
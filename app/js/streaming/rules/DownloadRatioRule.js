@@ -16,6 +16,25 @@
 MediaPlayer.rules.DownloadRatioRule = function() {
     "use strict";
 
+    // Returns the bytes length, total time and download time (in seconds) of a request.
+    // For low latency chunked transfer, the segment is received at the pace of the encoder,
+    // then only the CMAF chunks download time is considered, idle times between chunks excluded
+    var getRequestDownload = function(request) {
+        if (request.chunkDownloadTime > 0) {
+            return {
+                bytesLength: request.chunkBytesLength,
+                totalTime: request.chunkDownloadTime / 1000,
+                downloadTime: request.chunkDownloadTime / 1000
+            };
+        }
+
+        return {
+            bytesLength: request.bytesLength,
+            totalTime: (request.tfinish.getTime() - request.trequest.getTime()) / 1000,
+            downloadTime: (request.tfinish.getTime() - request.tresponse.getTime()) / 1000
+        };
+    };
+
     return {
         debug: undefined,
         manifestExt: undefined,
@@ -29,6 +48,7 @@ MediaPlayer.rules.DownloadRatioRule = function() {
             var self = this,
                 requests = self.metricsExt.getHttpRequests(metrics),
                 lastRequest = null,
+                requestDownload,
                 downloadTime,
                 totalTime,
                 calculatedBandwidth,
@@ -68,8 +88,9 @@ MediaPlayer.rules.DownloadRatioRule = function() {
                     return new MediaPlayer.rules.SwitchRequest();
                 }
 
-                totalTime = (lastRequest.tfinish.getTime() - lastRequest.trequest.getTime()) / 1000;
-                downloadTime = (lastRequest.tfinish.getTime() - lastRequest.tresponse.getTime()) / 1000;
+                requestDownload = getRequestDownload(lastRequest);
+                totalTime = requestDownload.totalTime;
+                downloadTime = requestDownload.downloadTime;
 
                 if (totalTime <= 0) {
                     self.debug.log("[DownloadRatioRule][" + data.type + "] Don't know how long the download of the last fragment took, bailing.");
@@ -86,17 +107,18 @@ MediaPlayer.rules.DownloadRatioRule = function() {
 
                 self.debug.log("[DownloadRatioRule][" + data.type + "] DL: " + Number(downloadTime.toFixed(3)) + "s, Total: " + Number(totalTime.toFixed(3)) + "s");
 
-                totalBytesLength = lastRequest.bytesLength;
+                totalBytesLength = requestDownload.bytesLength;
 
                 // Take average bandwidth over 3 requests
                 count = 1;
                 i = requests.length - 2;
                 while (i >= 0 && count < 3) {
                     if (requests[i].tfinish && requests[i].trequest && requests[i].tresponse && requests[i].bytesLength > 0) {
-                        self.debug.log("[DownloadRatioRule][" + data.type + "] length: " + requests[i].bytesLength + ", time: " + ((requests[i].tfinish.getTime() - requests[i].trequest.getTime()) / 1000));
-                        totalBytesLength += requests[i].bytesLength;
-                        totalTime += (requests[i].tfinish.getTime() - requests[i].trequest.getTime()) / 1000;
-                        downloadTime += (requests[i].tfinish.getTime() - requests[i].tresponse.getTime()) / 1000;
+                        requestDownload = getRequestDownload(requests[i]);
+                        self.debug.log("[DownloadRatioRule][" + data.type + "] length: " + requestDownload.bytesLength + ", time: " + requestDownload.totalTime);
+                        totalBytesLength += requestDownload.bytesLength;
+                        totalTime += requestDownload.totalTime;
+                        downloadTime += requestDownload.downloadTime;
                         count += 1;
                     }
                     i--;
@@ -25,7 +25,8 @@ MediaPlayer.models.MetricsList = function () {
         PlaybackQuality: [],
         VideoResolution: [],
         DVRInfo: [],
-        ManifestUpdate: []
+        ManifestUpdate: [],
+        BaseURLFailover: []
     };
 };
 
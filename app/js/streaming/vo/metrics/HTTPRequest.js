@@ -38,6 +38,8 @@ MediaPlayer.vo.metrics.HTTPRequest = function () {
     this.startTime = null;      // the media start time of the segment
     this.quality = null;        // the quality index of the segment
     this.bytesLength = null;    // the segment bytes length
+    this.chunkBytesLength = null;   // the bytes length of the timed CMAF chunks (low latency chunked transfer)
+    this.chunkDownloadTime = null;  // the download time of the timed CMAF chunks, in milliseconds (low latency chunked transfer)
 };
 
 MediaPlayer.vo.metrics.HTTPRequest.prototype = {
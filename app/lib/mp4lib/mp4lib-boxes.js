@@ -917,6 +917,75 @@ mp4lib.boxes.SegmentIndexBox.prototype.write = function(data, pos) {
     return this.localPos;
 };
 
+// --------------------------- emsg ----------------------------------
+mp4lib.boxes.EventMessageBox = function(size) {
+    mp4lib.boxes.FullBox.call(this, 'emsg', size);
+};
+
+mp4lib.boxes.EventMessageBox.prototype = Object.create(mp4lib.boxes.FullBox.prototype);
+mp4lib.boxes.EventMessageBox.prototype.constructor = mp4lib.boxes.EventMessageBox;
+
+// scheme_id_uri and value are null-terminated strings, the terminator is not kept in box fields
+mp4lib.boxes.EventMessageBox.prototype.computeLength = function() {
+    mp4lib.boxes.FullBox.prototype.computeLength.call(this);
+
+    this.size += mp4lib.fields.FIELD_STRING.getLength(this.scheme_id_uri) + 1;
+    this.size += mp4lib.fields.FIELD_STRING.getLength(this.value) + 1;
+    if (this.version === 1) {
+        this.size += mp4lib.fields.FIELD_UINT64.getLength(); /* presentation_time size*/
+    } else {
+        this.size += mp4lib.fields.FIELD_UINT32.getLength(); /* presentation_time_delta size*/
+    }
+    this.size += mp4lib.fields.FIELD_UINT32.getLength() * 3; /* timescale, event_duration and id size*/
+    this.size += this.message_data.length;
+};
+
+mp4lib.boxes.EventMessageBox.prototype.read = function(data, pos, end) {
+    mp4lib.boxes.FullBox.prototype.read.call(this, data, pos, end);
+
+    if (this.version === 1) {
+        this.timescale = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.presentation_time = this._readData(data, mp4lib.fields.FIELD_UINT64);
+        this.event_duration = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.id = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.scheme_id_uri = this._readData(data, mp4lib.fields.FIELD_STRING).replace(/\0$/, '');
+        this.value = this._readData(data, mp4lib.fields.FIELD_STRING).replace(/\0$/, '');
+    } else {
+        this.scheme_id_uri = this._readData(data, mp4lib.fields.FIELD_STRING).replace(/\0$/, '');
+        this.value = this._readData(data, mp4lib.fields.FIELD_STRING).replace(/\0$/, '');
+        this.timescale = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.presentation_time_delta = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.event_duration = this._readData(data, mp4lib.fields.FIELD_UINT32);
+        this.id = this._readData(data, mp4lib.fields.FIELD_UINT32);
+    }
+    this.message_data = data.subarray(this.localPos, end);
+
+    return end;
+};
+
+mp4lib.boxes.EventMessageBox.prototype.write = function(data, pos) {
+    mp4lib.boxes.FullBox.prototype.write.call(this, data, pos);
+
+    if (this.version === 1) {
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.timescale);
+        this._writeData(data, mp4lib.fields.FIELD_UINT64, this.presentation_time);
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.event_duration);
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.id);
+        this._writeData(data, mp4lib.fields.FIELD_STRING, this.scheme_id_uri + '\0');
+        this._writeData(data, mp4lib.fields.FIELD_STRING, this.value + '\0');
+    } else {
+        this._writeData(data, mp4lib.fields.FIELD_STRING, this.scheme_id_uri + '\0');
+        this._writeData(data, mp4lib.fields.FIELD_STRING, this.value + '\0');
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.timescale);
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.presentation_time_delta);
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.event_duration);
+        this._writeData(data, mp4lib.fields.FIELD_UINT32, this.id);
+    }
+    this._writeBuffer(data, this.message_data, this.message_data.length);
+
+    return this.localPos;
+};
+
 // --------------------------- tkhd ----------------------------------
 mp4lib.boxes.TrackHeaderBox = function(size) {
     mp4lib.boxes.FullBox.call(this, 'tkhd', size);
@@ -2023,6 +2092,121 @@ mp4lib.boxes.AVCConfigurationBox.prototype._writeNAL = function(data, nbElements
     }
 };
 
+// --------------------------- hvc1 ----------------------------------
+mp4lib.boxes.HEVCVisualSampleEntryBox = function(size) {
+    mp4lib.boxes.VisualSampleEntryContainerBox.call(this, 'hvc1', size);
+};
+
+mp4lib.boxes.HEVCVisualSampleEntryBox.prototype = Object.create(mp4lib.boxes.VisualSampleEntryContainerBox.prototype);
+mp4lib.boxes.HEVCVisualSampleEntryBox.prototype.constructor = mp4lib.boxes.HEVCVisualSampleEntryBox;
+
+// --------------------------- hev1 ----------------------------------
+// Same as hvc1, except that parameter sets (VPS, SPS, PPS) may also be conveyed in-band in the samples
+mp4lib.boxes.HEV1VisualSampleEntryBox = function(size) {
+    mp4lib.boxes.VisualSampleEntryContainerBox.call(this, 'hev1', size);
+};
+
+mp4lib.boxes.HEV1VisualSampleEntryBox.prototype = Object.create(mp4lib.boxes.VisualSampleEntryContainerBox.prototype);
+mp4lib.boxes.HEV1VisualSampleEntryBox.prototype.constructor = mp4lib.boxes.HEV1VisualSampleEntryBox;
+
+// --------------------------- hvcC ----------------------------------
+mp4lib.boxes.HEVCConfigurationBox = function(size) {
+    mp4lib.boxes.Box.call(this, 'hvcC', size);
+};
+
+mp4lib.boxes.HEVCConfigurationBox.prototype = Object.create(mp4lib.boxes.Box.prototype);
+mp4lib.boxes.HEVCConfigurationBox.prototype.constructor = mp4lib.boxes.HEVCConfigurationBox;
+
+mp4lib.boxes.HEVCConfigurationBox.prototype.computeLength = function() {
+    var i = 0;
+
+    mp4lib.boxes.Box.prototype.computeLength.call(this);
+    this.size += mp4lib.fields.FIELD_UINT8.getLength() * 2 + mp4lib.fields.FIELD_UINT32.getLength() + mp4lib.fields.FIELD_UINT8.getLength() * 6 +
+        mp4lib.fields.FIELD_UINT8.getLength() + mp4lib.fields.FIELD_UINT16.getLength() + mp4lib.fields.FIELD_UINT8.getLength() * 4 +
+        mp4lib.fields.FIELD_UINT16.getLength() + mp4lib.fields.FIELD_UINT8.getLength() * 2;
+
+    for (i = 0; i < this.NAL_arrays.length; i++) {
+        this.size += mp4lib.fields.FIELD_UINT8.getLength() + mp4lib.fields.FIELD_UINT16.getLength();
+        this.size += mp4lib.boxes.AVCConfigurationBox.prototype._getNALLength(this.NAL_arrays[i].NALUs.length, this.NAL_arrays[i].NALUs);
+    }
+};
+
+mp4lib.boxes.HEVCConfigurationBox.prototype.read = function(data, pos, end) {
+    var numOfArrays,
+        numNalus,
+        nalArray,
+        i;
+
+    this.localPos = pos;
+    this.localEnd = end;
+    this.configurationVersion = this._readData(data, mp4lib.fields.FIELD_UINT8);
+    this.temp = this._readData(data, mp4lib.fields.FIELD_UINT8);
+    this.general_profile_space = (this.temp >> 6) & 3;
+    this.general_tier_flag = (this.temp >> 5) & 1;
+    this.general_profile_idc = this.temp & 31;
+    this.general_profile_compatibility_flags = this._readData(data, mp4lib.fields.FIELD_UINT32);
+    this.general_constraint_indicator_flags = [];
+    for (i = 0; i < 6; i++) {
+        this.general_constraint_indicator_flags.push(this._readData(data, mp4lib.fields.FIELD_UINT8));
+    }
+    this.general_level_idc = this._readData(data, mp4lib.fields.FIELD_UINT8);
+    this.min_spatial_segmentation_idc = this._readData(data, mp4lib.fields.FIELD_UINT16) & 0x0FFF;
+    this.parallelismType = this._readData(data, mp4lib.fields.FIELD_UINT8) & 3;
+    this.chromaFormat = this._readData(data, mp4lib.fields.FIELD_UINT8) & 3;
+    this.bitDepthLumaMinus8 = this._readData(data, mp4lib.fields.FIELD_UINT8) & 7;
+    this.bitDepthChromaMinus8 = this._readData(data, mp4lib.fields.FIELD_UINT8) & 7;
+    this.avgFrameRate = this._readData(data, mp4lib.fields.FIELD_UINT16);
+    this.temp = this._readData(data, mp4lib.fields.FIELD_UINT8);
+    this.constantFrameRate = (this.temp >> 6) & 3;
+    this.numTemporalLayers = (this.temp >> 3) & 7;
+    this.temporalIdNested = (this.temp >> 2) & 1;
+    this.lengthSizeMinusOne = this.temp & 3;
+
+    numOfArrays = this._readData(data, mp4lib.fields.FIELD_UINT8);
+    this.NAL_arrays = [];
+    for (i = 0; i < numOfArrays; i++) {
+        this.temp = this._readData(data, mp4lib.fields.FIELD_UINT8);
+        nalArray = {
+            array_completeness: (this.temp >> 7) & 1,
+            NAL_unit_type: this.temp & 63
+        };
+        numNalus = this._readData(data, mp4lib.fields.FIELD_UINT16);
+        nalArray.NALUs = mp4lib.boxes.AVCConfigurationBox.prototype._readNAL.call(this, data, numNalus);
+        this.NAL_arrays.push(nalArray);
+    }
+    return this.localPos;
+};
+
+mp4lib.boxes.HEVCConfigurationBox.prototype.write = function(data, pos) {
+    var i = 0;
+
+    mp4lib.boxes.Box.prototype.write.call(this, data, pos);
+
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.configurationVersion);
+    this.temp = (this.general_profile_space << 6) | (this.general_tier_flag << 5) | this.general_profile_idc;
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.temp);
+    this._writeData(data, mp4lib.fields.FIELD_UINT32, this.general_profile_compatibility_flags);
+    this._writeArrayData(data, mp4lib.fields.FIELD_UINT8, this.general_constraint_indicator_flags);
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.general_level_idc);
+    this._writeData(data, mp4lib.fields.FIELD_UINT16, this.min_spatial_segmentation_idc | 0xF000);
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.parallelismType | 252);
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.chromaFormat | 252);
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.bitDepthLumaMinus8 | 248);
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.bitDepthChromaMinus8 | 248);
+    this._writeData(data, mp4lib.fields.FIELD_UINT16, this.avgFrameRate);
+    this.temp = (this.constantFrameRate << 6) | (this.numTemporalLayers << 3) | (this.temporalIdNested << 2) | this.lengthSizeMinusOne;
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.temp);
+
+    this._writeData(data, mp4lib.fields.FIELD_UINT8, this.NAL_arrays.length);
+    for (i = 0; i < this.NAL_arrays.length; i++) {
+        this.temp = (this.NAL_arrays[i].array_completeness << 7) | this.NAL_arrays[i].NAL_unit_type;
+        this._writeData(data, mp4lib.fields.FIELD_UINT8, this.temp);
+        this._writeData(data, mp4lib.fields.FIELD_UINT16, this.NAL_arrays[i].NALUs.length);
+        mp4lib.boxes.AVCConfigurationBox.prototype._writeNAL.call(this, data, this.NAL_arrays[i].NALUs.length, this.NAL_arrays[i].NALUs);
+    }
+    return this.localPos;
+};
+
 // --------------------------- pasp ----------------------------------
 mp4lib.boxes.PixelAspectRatioBox = function(size) {
     mp4lib.boxes.Box.call(this, 'pasp', size);
@@ -2185,6 +2369,136 @@ mp4lib.boxes.EncryptedAudioBox = function(size) {
 mp4lib.boxes.EncryptedAudioBox.prototype = Object.create(mp4lib.boxes.AudioSampleEntryContainerBox.prototype);
 mp4lib.boxes.EncryptedAudioBox.prototype.constructor = mp4lib.boxes.EncryptedAudioBox;
 
+//-------------------------- ac-3 ------------------------------------
+mp4lib.boxes.AC3SampleEntryBox = function(size) {
+    mp4lib.boxes.AudioSampleEntryContainerBox.call(this, 'ac-3', size);
+};
+
+mp4lib.boxes.AC3SampleEntryBox.prototype = Object.create(mp4lib.boxes.AudioSampleEntryContainerBox.prototype);
+mp4lib.boxes.AC3SampleEntryBox.prototype.constructor = mp4lib.boxes.AC3SampleEntryBox;
+
+//-------------------------- ec-3 ------------------------------------
+mp4lib.boxes.EC3SampleEntryBox = function(size) {
+    mp4lib.boxes.AudioSampleEntryContainerBox.call(this, 'ec-3', size);
+};
+
+mp4lib.boxes.EC3SampleEntryBox.prototype = Object.create(mp4lib.boxes.AudioSampleEntryContainerBox.prototype);
+mp4lib.boxes.EC3SampleEntryBox.prototype.constructor = mp4lib.boxes.EC3SampleEntryBox;
+
+// --------------------------- dac3 ----------------------------
+mp4lib.boxes.AC3SpecificBox = function(size) {
+    mp4lib.boxes.Box.call(this, 'dac3', size);
+};
+
+mp4lib.boxes.AC3SpecificBox.prototype = Object.create(mp4lib.boxes.Box.prototype);
+mp4lib.boxes.AC3SpecificBox.prototype.constructor = mp4lib.boxes.AC3SpecificBox;
+
+mp4lib.boxes.AC3SpecificBox.prototype.computeLength = function() {
+    mp4lib.boxes.Box.prototype.computeLength.call(this);
+    this.size += mp4lib.fields.FIELD_BIT24.getLength();
+};
+
+mp4lib.boxes.AC3SpecificBox.prototype.read = function(data, pos, end) {
+    this.localPos = pos;
+    this.localEnd = end;
+
+    // fscod (2), bsid (5), bsmod (3), acmod (3), lfeon (1), bit_rate_code (5), reserved (5)
+    this.temp = this._readData(data, mp4lib.fields.FIELD_BIT24);
+    this.fscod = (this.temp >> 22) & 0x03;
+    this.bsid = (this.temp >> 17) & 0x1F;
+    this.bsmod = (this.temp >> 14) & 0x07;
+    this.acmod = (this.temp >> 11) & 0x07;
+    this.lfeon = (this.temp >> 10) & 0x01;
+    this.bit_rate_code = (this.temp >> 5) & 0x1F;
+    return this.localPos;
+};
+
+mp4lib.boxes.AC3SpecificBox.prototype.write = function(data, pos) {
+    mp4lib.boxes.Box.prototype.write.call(this, data, pos);
+
+    this.temp = (this.fscod << 22) | (this.bsid << 17) | (this.bsmod << 14) | (this.acmod << 11) | (this.lfeon << 10) | (this.bit_rate_code << 5);
+    this._writeData(data, mp4lib.fields.FIELD_BIT24, this.temp);
+    return this.localPos;
+};
+
+// --------------------------- dec3 ----------------------------
+mp4lib.boxes.EC3SpecificBox = function(size) {
+    mp4lib.boxes.Box.call(this, 'dec3', size);
+};
+
+mp4lib.boxes.EC3SpecificBox.prototype = Object.create(mp4lib.boxes.Box.prototype);
+mp4lib.boxes.EC3SpecificBox.prototype.constructor = mp4lib.boxes.EC3SpecificBox;
+
+mp4lib.boxes.EC3SpecificBox.prototype.computeLength = function() {
+    var i = 0;
+
+    mp4lib.boxes.Box.prototype.computeLength.call(this);
+    this.size += mp4lib.fields.FIELD_UINT16.getLength();
+    for (i = 0; i < this.ind_subs.length; i++) {
+        this.size += mp4lib.fields.FIELD_BIT24.getLength();
+        if (this.ind_subs[i].num_dep_sub > 0) {
+            this.size += mp4lib.fields.FIELD_UINT8.getLength();
+        }
+    }
+};
+
+mp4lib.boxes.EC3SpecificBox.prototype.read = function(data, pos, end) {
+    var numIndSub,
+        indSub,
+        i;
+
+    this.localPos = pos;
+    this.localEnd = end;
+
+    // data_rate (13), num_ind_sub (3)
+    this.temp = this._readData(data, mp4lib.fields.FIELD_UINT16);
+    this.data_rate = this.temp >> 3;
+    numIndSub = (this.temp & 0x07) + 1;
+
+    this.ind_subs = [];
+    for (i = 0; i < numIndSub; i++) {
+        // fscod (2), bsid (5), reserved (1), asvc (1), bsmod (3), acmod (3), lfeon (1), reserved (3), num_dep_sub (4), chan_loc (9) or reserved (1)
+        this.temp = this._readData(data, mp4lib.fields.FIELD_BIT24);
+        indSub = {
+            fscod: (this.temp >> 22) & 0x03,
+            bsid: (this.temp >> 17) & 0x1F,
+            asvc: (this.temp >> 15) & 0x01,
+            bsmod: (this.temp >> 12) & 0x07,
+            acmod: (this.temp >> 9) & 0x07,
+            lfeon: (this.temp >> 8) & 0x01,
+            num_dep_sub: (this.temp >> 1) & 0x0F,
+            chan_loc: 0
+        };
+        if (indSub.num_dep_sub > 0) {
+            indSub.chan_loc = ((this.temp & 0x01) << 8) | this._readData(data, mp4lib.fields.FIELD_UINT8);
+        }
+        this.ind_subs.push(indSub);
+    }
+    return this.localPos;
+};
+
+mp4lib.boxes.EC3SpecificBox.prototype.write = function(data, pos) {
+    var indSub,
+        i;
+
+    mp4lib.boxes.Box.prototype.write.call(this, data, pos);
+
+    this._writeData(data, mp4lib.fields.FIELD_UINT16, (this.data_rate << 3) | (this.ind_subs.length - 1));
+    for (i = 0; i < this.ind_subs.length; i++) {
+        indSub = this.ind_subs[i];
+        this.temp = (indSub.fscod << 22) | (indSub.bsid << 17) | (indSub.asvc << 15) | (indSub.bsmod << 12) |
+            (indSub.acmod << 9) | (indSub.lfeon << 8) | (indSub.num_dep_sub << 1);
+        if (indSub.num_dep_sub > 0) {
+            this.temp |= (indSub.chan_loc >> 8) & 0x01;
+            this._writeData(data, mp4lib.fields.FIELD_BIT24, this.temp);
+            this._writeData(data, mp4lib.fields.FIELD_UINT8, indSub.chan_loc & 0xFF);
+        } else {
+            this._writeData(data, mp4lib.fields.FIELD_BIT24, this.temp);
+        }
+    }
+    return this.localPos;
+};
+
 // --------------------------- esds ----------------------------
 mp4lib.boxes.ESDBox = function(size) {
     mp4lib.boxes.FullBox.call(this, 'esds', size);
@@ -53,6 +53,7 @@ var mp4lib = (function() {
         boxTypeArray["mdat"] = mp4lib.boxes.MediaDataBox;
         boxTypeArray["free"] = mp4lib.boxes.FreeSpaceBox;
         boxTypeArray["sidx"] = mp4lib.boxes.SegmentIndexBox;
+        boxTypeArray["emsg"] = mp4lib.boxes.EventMessageBox;
         boxTypeArray["tkhd"] = mp4lib.boxes.TrackHeaderBox;
         boxTypeArray["mdhd"] = mp4lib.boxes.MediaHeaderBox;
         boxTypeArray["mehd"] = mp4lib.boxes.MovieExtendsHeaderBox;
@@ -74,10 +75,17 @@ var mp4lib = (function() {
         boxTypeArray["avc1"] = mp4lib.boxes.AVC1VisualSampleEntryBox;
         boxTypeArray["encv"] = mp4lib.boxes.EncryptedVideoBox;
         boxTypeArray["avcC"] = mp4lib.boxes.AVCConfigurationBox;
+        boxTypeArray["hvc1"] = mp4lib.boxes.HEVCVisualSampleEntryBox;
+        boxTypeArray["hev1"] = mp4lib.boxes.HEV1VisualSampleEntryBox;
+        boxTypeArray["hvcC"] = mp4lib.boxes.HEVCConfigurationBox;
         boxTypeArray["pasp"] = mp4lib.boxes.PixelAspectRatioBox;
         boxTypeArray["mp4a"] = mp4lib.boxes.MP4AudioSampleEntryBox;
         boxTypeArray["enca"] = mp4lib.boxes.EncryptedAudioBox;
         boxTypeArray["esds"] = mp4lib.boxes.ESDBox;
+        boxTypeArray["ac-3"] = mp4lib.boxes.AC3SampleEntryBox;
+        boxTypeArray["ec-3"] = mp4lib.boxes.EC3SampleEntryBox;
+        boxTypeArray["dac3"] = mp4lib.boxes.AC3SpecificBox;
+        boxTypeArray["dec3"] = mp4lib.boxes.EC3SpecificBox;
         boxTypeArray["stsz"] = mp4lib.boxes.SampleSizeBox;
         boxTypeArray["pssh"] = mp4lib.boxes.ProtectionSystemSpecificHeaderBox;
         boxTypeArray["senc"] = mp4lib.boxes.SampleEncryptionBox;
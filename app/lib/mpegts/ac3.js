@@ -0,0 +1,190 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+// Sampling frequency dependent on fscod (and fscod2 in case of E-AC-3 reduced sampling rates)
+mpegts.ac3.SAMPLING_FREQUENCY = [48000, 44100, 32000];
+mpegts.ac3.REDUCED_SAMPLING_FREQUENCY = [24000, 22050, 16000];
+
+// Nominal bit rate (kbps) dependent on frmsizecod / 2
+mpegts.ac3.BIT_RATE = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384, 448, 512, 576, 640];
+
+// Number of full bandwidth channels dependent on acmod
+mpegts.ac3.CHANNELS = [2, 1, 2, 3, 3, 4, 4, 5];
+
+// Number of audio blocks per syncframe dependent on numblkscod (E-AC-3)
+mpegts.ac3.NUMBER_OF_BLOCKS = [1, 2, 3, 6];
+
+mpegts.ac3.SYNC_WORD = 0x0B77;
+
+// Parses AC-3 or E-AC-3 syncframe header (bsid <= 10 for AC-3, bsid 11..16 for E-AC-3)
+mpegts.ac3.parseSyncFrameHeader = function(data, offset) { // data as Uint8Array
+
+    var header = {},
+        pos = 0,
+        readBits = function(n) {
+            var value = 0;
+            while (n > 0) {
+                value = (value << 1) | ((data[offset + (pos >> 3)] >> (7 - (pos & 0x07))) & 0x01);
+                pos++;
+                n--;
+            }
+            return value;
+        };
+
+    if ((offset + 7 > data.length) || (((data[offset] << 8) | data[offset + 1]) !== mpegts.ac3.SYNC_WORD)) {
+        return null;
+    }
+
+    header.bsid = (data[offset + 5] >> 3) & 0x1F;
+
+    if (header.bsid <= 10) {
+        // AC-3 (ATSC A/52 Annex A)
+        pos = 32; // syncword + crc1
+        header.fscod = readBits(2);
+        header.frmsizecod = readBits(6);
+        header.bsid = readBits(5);
+        header.bsmod = readBits(3);
+        header.acmod = readBits(3);
+        if (((header.acmod & 0x01) !== 0) && (header.acmod !== 1)) {
+            readBits(2); // cmixlev
+        }
+        if ((header.acmod & 0x04) !== 0) {
+            readBits(2); // surmixlev
+        }
+        if (header.acmod === 2) {
+            readBits(2); // dsurmod
+        }
+        header.lfeon = readBits(1);
+
+        if ((header.fscod === 3) || (header.frmsizecod > 37)) {
+            return null;
+        }
+
+        header.samplingRate = mpegts.ac3.SAMPLING_FREQUENCY[header.fscod];
+        header.bitRate = mpegts.ac3.BIT_RATE[header.frmsizecod >> 1];
+        switch (header.fscod) {
+            case 0:
+                header.frameLength = header.bitRate * 4;
+                break;
+            case 1:
+                header.frameLength = (Math.floor(320 * header.bitRate / 147) + (header.frmsizecod & 0x01)) * 2;
+                break;
+            default:
+                header.frameLength = header.bitRate * 6;
+                break;
+        }
+        header.numberOfSamples = 1536;
+        header.isEC3 = false;
+    } else {
+        // E-AC-3 (ATSC A/52 Annex E)
+        pos = 16; // syncword
+        header.strmtyp = readBits(2);
+        header.substreamid = readBits(3);
+        header.frameLength = (readBits(11) + 1) * 2;
+        header.fscod = readBits(2);
+        if (header.fscod === 3) {
+            header.fscod2 = readBits(2);
+            header.numblkscod = 3;
+            header.samplingRate = mpegts.ac3.REDUCED_SAMPLING_FREQUENCY[header.fscod2];
+        } else {
+            header.numblkscod = readBits(2);
+            header.samplingRate = mpegts.ac3.SAMPLING_FREQUENCY[header.fscod];
+        }
+        header.acmod = readBits(3);
+        header.lfeon = readBits(1);
+        header.bsid = readBits(5);
+        header.bsmod = 0;
+        header.numberOfSamples = 256 * mpegts.ac3.NUMBER_OF_BLOCKS[header.numblkscod];
+        header.bitRate = Math.round(header.frameLength * 8 * header.samplingRate / header.numberOfSamples / 1000);
+        header.isEC3 = true;
+    }
+
+    header.channels = mpegts.ac3.CHANNELS[header.acmod] + header.lfeon;
+
+    return header;
+};
+
+// Returns the AC3SpecificBox ('dac3') payload, as defined in ETSI TS 102 366 Annex F
+mpegts.ac3.getAC3SpecificConfig = function(header) {
+    var config = new Uint8Array(3);
+
+    config[0] = (header.fscod << 6) | (header.bsid << 1) | (header.bsmod >> 2);
+    config[1] = ((header.bsmod & 0x03) << 6) | (header.acmod << 3) | (header.lfeon << 2) | ((header.frmsizecod >> 1) >> 3);
+    config[2] = ((header.frmsizecod >> 1) & 0x07) << 5;
+
+    return config;
+};
+
+// Returns the EC3SpecificBox ('dec3') payload, as defined in ETSI TS 102 366 Annex F,
+// for one independent substream without dependent substreams
+mpegts.ac3.getEC3SpecificConfig = function(header) {
+    var config = new Uint8Array(5);
+
+    // data_rate (13 bits), num_ind_sub (3 bits) = number of independent substreams minus 1
+    config[0] = (header.bitRate >> 5) & 0xFF;
+    config[1] = (header.bitRate & 0x1F) << 3;
+
+    // fscod (2), bsid (5), reserved (1), asvc (1), bsmod (3), acmod (3), lfeon (1), reserved (3), num_dep_sub (4), reserved (1)
+    config[2] = (header.fscod << 6) | (header.bsid << 1);
+    config[3] = (header.bsmod << 4) | (header.acmod << 1) | header.lfeon;
+    config[4] = 0;
+
+    return config;
+};
+
+// Parses AC-3/E-AC-3 syncframes, in the same way as mpegts.aac.parseADTS().
+// Dependent substreams (E-AC-3) are gathered with the preceding independent substream into a single frame
+mpegts.ac3.parseSyncFrames = function(data, cts) { // data as Uint8Array, cts as an array of cts for each frame index
+
+    var frames = [],
+        header,
+        frame = null,
+        i = 0;
+
+    while (i < data.length) {
+        header = mpegts.ac3.parseSyncFrameHeader(data, i);
+
+        if (header === null) {
+            // Resynchronize on next syncword
+            i++;
+            continue;
+        }
+
+        if (header.isEC3 && (header.strmtyp === 1) && (frame !== null)) {
+            frame.length += header.frameLength;
+        } else {
+            frame = {
+                offset: i,
+                length: header.frameLength,
+                numberOfSamples: header.numberOfSamples
+            };
+
+            if (cts && cts[i]) {
+                frame.cts = cts[i];
+            }
+
+            frames.push(frame);
+        }
+
+        i += header.frameLength;
+    }
+
+    // Ignore last frame if truncated
+    if ((frame !== null) && ((frame.offset + frame.length) > data.length)) {
+        frames.pop();
+    }
+
+    return frames;
+};
@@ -0,0 +1,279 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+mpegts.h265.getNaluType = function(header) {
+    return (header >> 1) & 0x3F;
+};
+
+mpegts.h265.getSequenceHeader = function(data) { // data as Uint8Array
+
+    var pos = -1,
+        length = -1,
+        spsPos = -1,
+        spsLength = -1,
+        i = 0,
+        naluType,
+        sequenceHeader = null,
+        sps;
+
+    while (i < data.length) {
+        if ((data[i] === 0x00) && (data[i + 1] === 0x00) && (data[i + 2] === 0x00) && (data[i + 3] === 0x01)) {
+
+            naluType = mpegts.h265.getNaluType(data[i + 4]);
+
+            // End of SPS
+            if ((spsPos >= 0) && (spsLength === -1)) {
+                spsLength = i - spsPos;
+            }
+
+            // Start of VPS, SPS or PPS
+            if ((naluType >= mpegts.h265.NALUTYPE_VPS) && (naluType <= mpegts.h265.NALUTYPE_PPS)) {
+                // First NALU of this type => we start storing the sequence header
+                if (pos === -1) {
+                    pos = i;
+                }
+                length = -1;
+
+                if (naluType === mpegts.h265.NALUTYPE_SPS) {
+                    spsPos = i + 6; // +6 => after start code and 2-bytes NAL unit header
+                    spsLength = -1;
+                }
+            } else if ((pos >= 0) && (length === -1)) {
+                length = i - pos;
+            }
+
+            // Start of coded picture NALU
+            if (naluType < mpegts.h265.NALUTYPE_VPS) {
+                break;
+            }
+
+            i += 4;
+        } else {
+            i++;
+        }
+    }
+
+    if ((pos === -1) || (length === -1) || (spsPos === -1)) {
+        return null;
+    }
+
+    sequenceHeader = new Uint8Array(length);
+    sequenceHeader.set(data.subarray(pos, pos + length));
+
+    // Parse SPS to get profile, level, width and height
+    sps = mpegts.h265.parseSPS(data.subarray(spsPos, spsPos + spsLength));
+
+    return {
+        bytes: sequenceHeader,
+        sps: sps,
+        width: sps.width,
+        height: sps.height
+    };
+};
+
+mpegts.h265.removeEmulationPreventionBytes = function(data) {
+    var bytes = [],
+        i;
+
+    for (i = 0; i < data.length; i++) {
+        if ((i > 1) && (data[i] === 0x03) && (data[i - 1] === 0x00) && (data[i - 2] === 0x00)) {
+            continue;
+        }
+        bytes.push(data[i]);
+    }
+
+    return new Uint8Array(bytes);
+};
+
+mpegts.h265.read_bits = function(data, ctx, n) {
+    var value = 0;
+
+    while (n > 0) {
+        value = (value * 2) + ((data[ctx._bytePos] >> (7 - ctx._bitPos)) & 0x01);
+        ctx._bitPos++;
+        if (ctx._bitPos === 8) {
+            ctx._bitPos = 0;
+            ctx._bytePos++;
+        }
+        n--;
+    }
+
+    return value;
+};
+
+mpegts.h265.read_ue = function(data, ctx) {
+    var numZeros = 0;
+
+    while ((mpegts.h265.read_bits(data, ctx, 1) === 0) && (numZeros < 32)) {
+        numZeros++;
+    }
+
+    return Math.pow(2, numZeros) - 1 + mpegts.h265.read_bits(data, ctx, numZeros);
+};
+
+// Parses SPS (without NAL unit header) up to bit depths, which provides all the fields
+// required to build the HEVC decoder configuration record and the codecs string
+mpegts.h265.parseSPS = function(data) {
+
+    var sps = {
+            sps_max_sub_layers_minus1: 0,
+            sps_temporal_id_nesting_flag: 0,
+            general_profile_space: 0,
+            general_tier_flag: 0,
+            general_profile_idc: 0,
+            general_profile_compatibility_flags: 0,
+            general_constraint_indicator_flags: [],
+            general_level_idc: 0,
+            chroma_format_idc: 0,
+            pic_width_in_luma_samples: 0,
+            pic_height_in_luma_samples: 0,
+            bit_depth_luma_minus8: 0,
+            bit_depth_chroma_minus8: 0,
+            width: 0,
+            height: 0
+        },
+        ctx = {
+            _bytePos: 0,
+            _bitPos: 0
+        },
+        subLayerProfilePresent = [],
+        subLayerLevelPresent = [],
+        subWidthC,
+        subHeightC,
+        confWin = [0, 0, 0, 0],
+        i;
+
+    data = mpegts.h265.removeEmulationPreventionBytes(data);
+
+    // sps_video_parameter_set_id - u(4)
+    mpegts.h265.read_bits(data, ctx, 4);
+    sps.sps_max_sub_layers_minus1 = mpegts.h265.read_bits(data, ctx, 3);
+    sps.sps_temporal_id_nesting_flag = mpegts.h265.read_bits(data, ctx, 1);
+
+    // profile_tier_level
+    sps.general_profile_space = mpegts.h265.read_bits(data, ctx, 2);
+    sps.general_tier_flag = mpegts.h265.read_bits(data, ctx, 1);
+    sps.general_profile_idc = mpegts.h265.read_bits(data, ctx, 5);
+    sps.general_profile_compatibility_flags = mpegts.h265.read_bits(data, ctx, 32);
+    for (i = 0; i < 6; i++) {
+        sps.general_constraint_indicator_flags.push(mpegts.h265.read_bits(data, ctx, 8));
+    }
+    sps.general_level_idc = mpegts.h265.read_bits(data, ctx, 8);
+
+    for (i = 0; i < sps.sps_max_sub_layers_minus1; i++) {
+        subLayerProfilePresent[i] = mpegts.h265.read_bits(data, ctx, 1);
+        subLayerLevelPresent[i] = mpegts.h265.read_bits(data, ctx, 1);
+    }
+    if (sps.sps_max_sub_layers_minus1 > 0) {
+        // reserved_zero_2bits
+        mpegts.h265.read_bits(data, ctx, 2 * (8 - sps.sps_max_sub_layers_minus1));
+    }
+    for (i = 0; i < sps.sps_max_sub_layers_minus1; i++) {
+        if (subLayerProfilePresent[i]) {
+            mpegts.h265.read_bits(data, ctx, 88);
+        }
+        if (subLayerLevelPresent[i]) {
+            mpegts.h265.read_bits(data, ctx, 8);
+        }
+    }
+
+    // sps_seq_parameter_set_id - ue(v)
+    mpegts.h265.read_ue(data, ctx);
+
+    // chroma_format_idc - ue(v)
+    sps.chroma_format_idc = mpegts.h265.read_ue(data, ctx);
+    if (sps.chroma_format_idc === 3) {
+        // separate_colour_plane_flag - u(1)
+        mpegts.h265.read_bits(data, ctx, 1);
+    }
+
+    sps.pic_width_in_luma_samples = mpegts.h265.read_ue(data, ctx);
+    sps.pic_height_in_luma_samples = mpegts.h265.read_ue(data, ctx);
+
+    // conformance_window_flag - u(1)
+    if (mpegts.h265.read_bits(data, ctx, 1)) {
+        for (i = 0; i < 4; i++) {
+            confWin[i] = mpegts.h265.read_ue(data, ctx);
+        }
+    }
+
+    sps.bit_depth_luma_minus8 = mpegts.h265.read_ue(data, ctx);
+    sps.bit_depth_chroma_minus8 = mpegts.h265.read_ue(data, ctx);
+
+    // Apply conformance window (cropping) to get displayed picture size
+    subWidthC = ((sps.chroma_format_idc === 1) || (sps.chroma_format_idc === 2)) ? 2 : 1;
+    subHeightC = (sps.chroma_format_idc === 1) ? 2 : 1;
+    sps.width = sps.pic_width_in_luma_samples - subWidthC * (confWin[0] + confWin[1]);
+    sps.height = sps.pic_height_in_luma_samples - subHeightC * (confWin[2] + confWin[3]);
+
+    return sps;
+};
+
+// Returns the codecs string (as defined in ISO/IEC 14496-15 Annex E), for example 'hev1.1.6.L93.B0'
+// ('hev1' sample entry since parameter sets are kept in-band in MPEG-2 TS streams)
+mpegts.h265.getCodecs = function(sps) {
+    var codecs = "hev1.",
+        compatibilityFlags = 0,
+        constraints = sps.general_constraint_indicator_flags.slice(0),
+        i;
+
+    codecs += ["", "A", "B", "C"][sps.general_profile_space] + sps.general_profile_idc + ".";
+
+    // general_profile_compatibility_flags in reverse bit order
+    for (i = 0; i < 32; i++) {
+        compatibilityFlags = (compatibilityFlags * 2) + ((sps.general_profile_compatibility_flags / Math.pow(2, i)) & 0x01);
+    }
+    codecs += compatibilityFlags.toString(16).toUpperCase() + ".";
+
+    codecs += (sps.general_tier_flag ? "H" : "L") + sps.general_level_idc;
+
+    // Constraint indicator flags, trailing zero bytes being omitted
+    while ((constraints.length > 0) && (constraints[constraints.length - 1] === 0)) {
+        constraints.pop();
+    }
+    for (i = 0; i < constraints.length; i++) {
+        codecs += "." + constraints[i].toString(16).toUpperCase();
+    }
+
+    return codecs;
+};
+
+mpegts.h265.isIRAP = function(data) { // data as Uint8Array
+    var i = 0,
+        naluType;
+
+    while (i < data.length) {
+        if ((data[i] === 0x00) && (data[i + 1] === 0x00) && (data[i + 2] === 0x00) && (data[i + 3] === 0x01)) {
+            naluType = mpegts.h265.getNaluType(data[i + 4]);
+            if ((naluType >= mpegts.h265.NALUTYPE_BLA_W_LP) && (naluType <= mpegts.h265.NALUTYPE_IRAP_VCL23)) {
+                return true;
+            }
+            i += 4;
+        } else {
+            i++;
+        }
+    }
+    return false;
+};
+
+mpegts.h265.NALUTYPE_BLA_W_LP = 16;
+mpegts.h265.NALUTYPE_IDR_W_RADL = 19;
+mpegts.h265.NALUTYPE_IDR_N_LP = 20;
+mpegts.h265.NALUTYPE_CRA = 21;
+mpegts.h265.NALUTYPE_IRAP_VCL23 = 23;
+mpegts.h265.NALUTYPE_VPS = 32;
+mpegts.h265.NALUTYPE_SPS = 33;
+mpegts.h265.NALUTYPE_PPS = 34;
+mpegts.h265.NALUTYPE_AU_DELIMITER = 35;
@@ -0,0 +1,109 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+// MPEG-1/MPEG-2 audio (ISO/IEC 11172-3, ISO/IEC 13818-3) frames parsing
+
+// Bit rates (kbps) dependent on bitrate_index, for MPEG-1 layers I, II and III, and for MPEG-2 (LSF) layer I and layers II/III
+mpegts.mpa.BIT_RATE = {
+    "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    "2-3": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sampling frequency (MPEG-1) dependent on sampling_frequency, divided by 2 for MPEG-2 and 4 for MPEG-2.5
+mpegts.mpa.SAMPLING_FREQUENCY = [44100, 48000, 32000];
+
+mpegts.mpa.parseFrameHeader = function(data, offset) { // data as Uint8Array
+
+    var header = {},
+        versionId,
+        layerId,
+        bitRateIndex,
+        samplingFrequencyIndex,
+        padding;
+
+    if ((offset + 4 > data.length) || (data[offset] !== 0xFF) || ((data[offset + 1] & 0xE0) !== 0xE0)) {
+        return null;
+    }
+
+    versionId = (data[offset + 1] >> 3) & 0x03; // 0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1
+    layerId = (data[offset + 1] >> 1) & 0x03; // 1 = layer III, 2 = layer II, 3 = layer I
+    bitRateIndex = (data[offset + 2] >> 4) & 0x0F;
+    samplingFrequencyIndex = (data[offset + 2] >> 2) & 0x03;
+    padding = (data[offset + 2] >> 1) & 0x01;
+
+    if ((versionId === 1) || (layerId === 0) || (bitRateIndex === 0) || (bitRateIndex === 15) || (samplingFrequencyIndex === 3)) {
+        return null;
+    }
+
+    header.version = (versionId === 3) ? 1 : 2;
+    header.layer = 4 - layerId;
+    header.bitRate = mpegts.mpa.BIT_RATE[header.version + "-" + header.layer][bitRateIndex];
+    header.samplingRate = mpegts.mpa.SAMPLING_FREQUENCY[samplingFrequencyIndex] / ((versionId === 3) ? 1 : ((versionId === 2) ? 2 : 4));
+    header.channels = (((data[offset + 3] >> 6) & 0x03) === 3) ? 1 : 2;
+
+    if (header.layer === 1) {
+        header.numberOfSamples = 384;
+        header.frameLength = (Math.floor(12 * header.bitRate * 1000 / header.samplingRate) + padding) * 4;
+    } else {
+        header.numberOfSamples = ((header.layer === 3) && (header.version === 2)) ? 576 : 1152;
+        header.frameLength = Math.floor(header.numberOfSamples / 8 * header.bitRate * 1000 / header.samplingRate) + padding;
+    }
+
+    return header;
+};
+
+// Parses MPEG audio frames, in the same way as mpegts.aac.parseADTS()
+mpegts.mpa.parseFrames = function(data, cts) { // data as Uint8Array, cts as an array of cts for each frame index
+
+    var frames = [],
+        header,
+        frame,
+        i = 0;
+
+    while (i < data.length) {
+        header = mpegts.mpa.parseFrameHeader(data, i);
+
+        if (header === null) {
+            // Resynchronize on next syncword
+            i++;
+            continue;
+        }
+
+        // Ignore last frame if truncated
+        if ((i + header.frameLength) > data.length) {
+            break;
+        }
+
+        frame = {
+            offset: i,
+            length: header.frameLength,
+            numberOfSamples: header.numberOfSamples
+        };
+
+        if (cts && cts[i]) {
+            frame.cts = cts[i];
+        }
+
+        frames.push(frame);
+
+        i += header.frameLength;
+    }
+
+    return frames;
+};
@@ -21,7 +21,10 @@ var mpegts = (function() {
         ts: {},
         Pts: {},
         aac: {},
-        h264: {}
+        h264: {},
+        h265: {},
+        ac3: {},
+        mpa: {}
     };
 }());
 
@@ -293,12 +293,55 @@ mpegts.si.PMT.prototype.gStreamTypes = [
     }
 ];
 
+// User private stream types (0x80 - 0xFF): ATSC Dolby Digital streams, and
+// SAMPLE-AES encrypted streams (HTTP Live Streaming Sample Encryption)
+mpegts.si.PMT.prototype.gUserPrivateStreamTypes = {
+    /* 129 - 0x81 */
+    0x81: {
+        name: "AC-3",
+        value: 0xC0,
+        desc: "ATSC A/52 AC-3 Audio"
+    },
+    /* 135 - 0x87 */
+    0x87: {
+        name: "E-AC-3",
+        value: 0xC0,
+        desc: "ATSC A/52 Annex E E-AC-3 Audio"
+    },
+    /* 193 - 0xC1 */
+    0xC1: {
+        name: "AC-3",
+        value: 0xC0,
+        desc: "ATSC A/52 AC-3 Audio, SAMPLE-AES encrypted"
+    },
+    /* 194 - 0xC2 */
+    0xC2: {
+        name: "E-AC-3",
+        value: 0xC0,
+        desc: "ATSC A/52 Annex E E-AC-3 Audio, SAMPLE-AES encrypted"
+    },
+    /* 207 - 0xCF */
+    0xCF: {
+        name: "MPEG2-AAC-ADTS",
+        value: 0xC0,
+        desc: "ISO/IEC 13818-7 Audio with ADTS transport syntax, SAMPLE-AES encrypted"
+    },
+    /* 219 - 0xDB */
+    0xDB: {
+        name: "H.264",
+        value: 0xE0,
+        desc: "ITU-T Rec. H.264 | ISO/IEC 14496-10 Video, SAMPLE-AES encrypted"
+    }
+};
+
 mpegts.si.PMT.prototype.MPEG2_VIDEO_STREAM_TYPE = 0x02;
 mpegts.si.PMT.prototype.AVC_VIDEO_STREAM_TYPE = 0x1B;
 mpegts.si.PMT.prototype.MPEG1_AUDIO_STREAM_TYPE = 0x03;
 mpegts.si.PMT.prototype.MPEG2_AUDIO_STREAM_TYPE = 0x04;
 mpegts.si.PMT.prototype.AAC_AUDIO_STREAM_TYPE = 0x11;
 mpegts.si.PMT.prototype.AC3_AUDIO_STREAM_TYPE = 0x06;
+mpegts.si.PMT.prototype.ATSC_AC3_AUDIO_STREAM_TYPE = 0x81;
+mpegts.si.PMT.prototype.ATSC_EAC3_AUDIO_STREAM_TYPE = 0x87;
 mpegts.si.PMT.prototype.SUB_STREAM_TYPE = 0x06;
 
 mpegts.si.PMT.prototype.STREAM_TYPE_MP1V = 0x01;
@@ -0,0 +1,187 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("BaseURLController Suite", function () {
+    var baseURLController,
+        manifest,
+
+        createBaseURL = function (url, attributes) {
+            var baseURL = {
+                    toString: function () {
+                        return url;
+                    }
+                },
+                name;
+
+            for (name in attributes) {
+                if (attributes.hasOwnProperty(name)) {
+                    baseURL[name] = attributes[name];
+                }
+            }
+
+            return baseURL;
+        },
+
+        createManifest = function (baseURLs) {
+            return {
+                mpdUrl: "http://origin/live/manifest.mpd",
+                BaseURL_asArray: baseURLs,
+                Period_asArray: [{
+                    AdaptationSet_asArray: [{
+                        Representation_asArray: [{}]
+                    }]
+                }]
+            };
+        },
+
+        createRequest = function (url) {
+            return {
+                url: url,
+                streamType: "video",
+                status: 404
+            };
+        };
+
+    beforeEach(function () {
+        baseURLController = new Dash.dependencies.BaseURLController();
+        baseURLController.debug = {
+            info: function () {}
+        };
+        baseURLController.metricsModel = {
+            addBaseURLFailover: function () {}
+        };
+        baseURLController.manifestModel = {
+            getValue: function () {
+                return manifest;
+            }
+        };
+    });
+
+    it("selects the alternative with the lowest priority value", function () {
+        manifest = createManifest([createBaseURL("http://cdn2/", {"dvb:priority": 2}), createBaseURL("http://cdn1/", {"dvb:priority": 1})]);
+        baseURLController.selectBaseURLs(manifest);
+
+        expect(manifest.BaseURL).toEqual("http://cdn1/");
+    });
+
+    it("selects an alternative of same priority according to its weight", function () {
+        var baseURLs = [
+                createBaseURL("http://cdn1/", {"dvb:priority": 1, "dvb:weight": 1}),
+                createBaseURL("http://cdn2/", {"dvb:priority": 1, "dvb:weight": 3}),
+                createBaseURL("http://cdn3/", {"dvb:priority": 2, "dvb:weight": 10})
+            ];
+
+        spyOn(Math, "random").andReturn(0.2);
+        manifest = createManifest(baseURLs);
+        baseURLController.selectBaseURLs(manifest);
+        expect(manifest.BaseURL).toEqual("http://cdn1/");
+
+        baseURLController.reset();
+        Math.random.andReturn(0.3);
+        manifest = createManifest(baseURLs);
+        baseURLController.selectBaseURLs(manifest);
+        expect(manifest.BaseURL).toEqual("http://cdn2/");
+    });
+
+    it("keeps the same selection over manifest refreshes", function () {
+        var baseURLs = [createBaseURL("http://cdn1/"), createBaseURL("http://cdn2/")];
+
+        spyOn(Math, "random").andReturn(0.9);
+        manifest = createManifest(baseURLs);
+        baseURLController.selectBaseURLs(manifest);
+        expect(manifest.BaseURL).toEqual("http://cdn2/");
+
+        Math.random.andReturn(0);
+        manifest = createManifest(baseURLs);
+        baseURLController.selectBaseURLs(manifest);
+        expect(manifest.BaseURL).toEqual("http://cdn2/");
+    });
+
+    it("selects the BaseURL of descendant elements", function () {
+        manifest = createManifest([createBaseURL("http://cdn1/")]);
+        manifest.Period_asArray[0].AdaptationSet_asArray[0].BaseURL_asArray = [createBaseURL("video/")];
+        baseURLController.selectBaseURLs(manifest);
+
+        expect(manifest.Period_asArray[0].AdaptationSet_asArray[0].BaseURL).toEqual("video/");
+    });
+
+    it("fails over to the next alternative and then rejects when no alternative is left", function () {
+        var request = createRequest("http://cdn1/video/1.m4s");
+
+        manifest = createManifest([createBaseURL("http://cdn1/", {"dvb:priority": 1}), createBaseURL("http://cdn2/", {"dvb:priority": 2})]);
+        baseURLController.selectBaseURLs(manifest);
+
+        expect(baseURLController.failover(request)).toEqual(true);
+        expect(request.url).toEqual("http://cdn2/video/1.m4s");
+        expect(manifest.BaseURL).toEqual("http://cdn2/");
+
+        expect(baseURLController.failover(request)).toEqual(false);
+    });
+
+    it("reports the fail-over with the serviceLocation of the new alternative", function () {
+        var request = createRequest("http://cdn1/video/1.m4s"),
+            failover = null;
+
+        baseURLController.metricsModel.addBaseURLFailover = function (streamType, date, oldUrl, newUrl, serviceLocation, status) {
+            failover = [streamType, oldUrl, newUrl, serviceLocation, status];
+        };
+        manifest = createManifest([createBaseURL("http://cdn1/", {"dvb:priority": 1, serviceLocation: "A"}), createBaseURL("http://cdn2/", {"dvb:priority": 2, serviceLocation: "B"})]);
+        baseURLController.selectBaseURLs(manifest);
+
+        expect(baseURLController.failover(request)).toEqual(true);
+        expect(failover).toEqual(["video", "http://cdn1/", "http://cdn2/", "B", 404]);
+    });
+
+    it("resolves relative alternatives against the parent BaseURL", function () {
+        var adaptation,
+            request = createRequest("http://cdn1/video/1.m4s");
+
+        manifest = createManifest([createBaseURL("http://cdn1/")]);
+        adaptation = manifest.Period_asArray[0].AdaptationSet_asArray[0];
+        adaptation.BaseURL_asArray = [createBaseURL("video/", {"dvb:priority": 1}), createBaseURL("video_backup/", {"dvb:priority": 2})];
+        baseURLController.selectBaseURLs(manifest);
+        // BaseURL resolution against parent BaseURL (done by the parser)
+        adaptation.BaseURL = "http://cdn1/video/";
+
+        expect(baseURLController.failover(request)).toEqual(true);
+        expect(request.url).toEqual("http://cdn1/video_backup/1.m4s");
+    });
+
+    it("redirects requests built before a fail-over to the new alternative", function () {
+        var request = createRequest("http://cdn1/video/1.m4s"),
+            pendingRequest = createRequest("http://cdn1/audio/1.m4s");
+
+        manifest = createManifest([createBaseURL("http://cdn1/", {"dvb:priority": 1}), createBaseURL("http://cdn2/", {"dvb:priority": 2})]);
+        baseURLController.selectBaseURLs(manifest);
+        baseURLController.failover(request);
+
+        expect(baseURLController.failover(pendingRequest)).toEqual(true);
+        expect(pendingRequest.url).toEqual("http://cdn2/audio/1.m4s");
+    });
+
+    it("does not redirect again a request already redirected to an alternative starting with the failing one", function () {
+        var request = createRequest("http://cdn/video/1.m4s");
+
+        manifest = createManifest([createBaseURL("http://cdn/", {"dvb:priority": 1}), createBaseURL("http://cdn/backup/", {"dvb:priority": 2})]);
+        baseURLController.selectBaseURLs(manifest);
+
+        expect(baseURLController.failover(request)).toEqual(true);
+        expect(request.url).toEqual("http://cdn/backup/video/1.m4s");
+
+        expect(baseURLController.failover(request)).toEqual(false);
+        expect(request.url).toEqual("http://cdn/backup/video/1.m4s");
+    });
+});
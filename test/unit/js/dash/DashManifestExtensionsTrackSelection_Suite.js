@@ -0,0 +1,128 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("DashManifestExtensions Track Selection Suite", function () {
+    var manifestExt,
+
+        createTrack = function (id, lang, roles, accessibility) {
+            return {
+                id: id,
+                lang: lang,
+                Role_asArray: (roles || []).map(function (value) {
+                    return {schemeIdUri: "urn:mpeg:dash:role:2011", value: value};
+                }),
+                Accessibility_asArray: accessibility || []
+            };
+        },
+
+        getSelectedId = function (tracks, language, role) {
+            var track = manifestExt.getSpecificData(tracks, language, role);
+
+            return track ? track.id : null;
+        };
+
+    beforeEach(function () {
+        manifestExt = new Dash.dependencies.DashManifestExtensions();
+    });
+
+    describe("getAccessibility", function () {
+        it("returns the DASH role values and converts the TV-Anytime audio purposes", function () {
+            var track = createTrack("1", "fr", [], [
+                    {schemeIdUri: "urn:mpeg:dash:role:2011", value: "caption"},
+                    {schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 1},
+                    {schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 2},
+                    {schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 6},
+                    {schemeIdUri: "urn:example:accessibility", value: "description"}
+                ]);
+
+            expect(manifestExt.getAccessibility(track)).toEqual(["caption", "description", "enhanced-audio-intelligibility"]);
+        });
+    });
+
+    describe("getTrackRole", function () {
+        it("returns the accessibility purpose first, then the specific role, else 'main'", function () {
+            expect(manifestExt.getTrackRole(createTrack("1", "fr", ["main"], [{schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 1}]))).toEqual("description");
+            expect(manifestExt.getTrackRole(createTrack("2", "fr", ["main", "commentary"]))).toEqual("main");
+            expect(manifestExt.getTrackRole(createTrack("3", "fr", ["commentary"]))).toEqual("commentary");
+            expect(manifestExt.getTrackRole(createTrack("4", "fr", ["alternate", "main"]))).toEqual("main");
+        });
+    });
+
+    describe("getSpecificData", function () {
+        it("returns null if there is no track", function () {
+            expect(manifestExt.getSpecificData([], "fr")).toBeNull();
+        });
+
+        it("selects a track in the requested language", function () {
+            var tracks = [createTrack("1", "en"), createTrack("2", "fr")];
+
+            expect(getSelectedId(tracks, "fr")).toEqual("2");
+        });
+
+        it("selects among all tracks if no track matches the requested language", function () {
+            var tracks = [createTrack("1", "en", ["commentary"]), createTrack("2", "fr")];
+
+            expect(getSelectedId(tracks, "de")).toEqual("2");
+        });
+
+        it("selects the first track with no specific purpose if no role is requested", function () {
+            var tracks = [
+                    createTrack("1", "fr", ["commentary"]),
+                    createTrack("2", "fr", [], [{schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 1}]),
+                    createTrack("3", "fr", ["main"]),
+                    createTrack("4", "fr")
+                ];
+
+            expect(getSelectedId(tracks, "fr")).toEqual("3");
+        });
+
+        it("selects a track having the requested role in its Role descriptors", function () {
+            var tracks = [createTrack("1", "fr", ["main"]), createTrack("2", "fr", ["commentary"])];
+
+            expect(getSelectedId(tracks, "fr", "commentary")).toEqual("2");
+        });
+
+        it("selects a track having the requested role in its Accessibility descriptors", function () {
+            var tracks = [
+                    createTrack("1", "fr", ["main"]),
+                    createTrack("2", "fr", ["main"], [{schemeIdUri: "urn:tva:metadata:cs:AudioPurposeCS:2007", value: 1}])
+                ];
+
+            expect(getSelectedId(tracks, "fr", "description")).toEqual("2");
+        });
+
+        it("prefers the requested language over the requested role", function () {
+            var tracks = [createTrack("1", "en", ["commentary"]), createTrack("2", "fr", ["main"])];
+
+            expect(getSelectedId(tracks, "fr", "commentary")).toEqual("2");
+        });
+
+        it("selects a track with no specific purpose if no track has the requested role", function () {
+            var tracks = [createTrack("1", "fr", ["commentary"]), createTrack("2", "fr", ["main"])];
+
+            expect(getSelectedId(tracks, "fr", "caption")).toEqual("2");
+        });
+
+        it("prefers the track with no other specific purpose among the tracks having the requested role", function () {
+            var tracks = [
+                    createTrack("1", "fr", ["alternate", "commentary"]),
+                    createTrack("2", "fr", ["alternate"])
+                ];
+
+            expect(getSelectedId(tracks, "fr", "alternate")).toEqual("2");
+        });
+    });
+});
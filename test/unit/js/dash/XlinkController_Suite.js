@@ -0,0 +1,169 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("XLink Suite", function () {
+    var dashParser,
+        xlinkController,
+        warnings,
+
+        // Fake XHRLoader that responds with the remote entities, by url
+        createXHRLoader = function (entities) {
+            return {
+                initialize: function () {},
+                load: function (url) {
+                    if (!entities.hasOwnProperty(url)) {
+                        return Q.reject({status: 404});
+                    }
+                    return Q.when({responseText: entities[url]});
+                }
+            };
+        },
+
+        resolveOnLoad = function (manifest, entities, callback) {
+            var resolved = null;
+
+            spyOn(MediaPlayer.dependencies, "XHRLoader").andCallFake(function () {
+                return createXHRLoader(entities);
+            });
+
+            runs(function () {
+                xlinkController.resolveOnLoad(manifest).then(function (value) {
+                    resolved = value;
+                });
+            });
+
+            waitsFor(function () {
+                return resolved !== null;
+            }, "XLink resolution", 1000);
+
+            runs(function () {
+                callback(resolved);
+            });
+        };
+
+    beforeEach(function () {
+        dashParser = new Dash.dependencies.DashParser();
+        dashParser.debug = {
+            log: function () {}
+        };
+        dashParser.baseURLController = {
+            selectBaseURLs: function () {}
+        };
+
+        xlinkController = new Dash.dependencies.XlinkController();
+        xlinkController.debug = {
+            log: function () {},
+            warn: function () {}
+        };
+        xlinkController.dashParser = dashParser;
+        warnings = [];
+        xlinkController.errHandler = {
+            sendWarning: function (name) {
+                warnings.push(name);
+            }
+        };
+    });
+
+    describe("parseRemoteElements", function () {
+        it("parses the remote elements and converts their attributes", function () {
+            var elements = dashParser.parseRemoteElements('<Period id="p1" duration="PT3S"/><Period id="p2" duration="PT1M"/>', "Period", {});
+
+            expect(elements.length).toEqual(2);
+            expect(elements[0].id).toEqual("p1");
+            expect(elements[0].duration).toEqual(3);
+            expect(elements[1].id).toEqual("p2");
+            expect(elements[1].duration).toEqual(60);
+        });
+
+        it("ignores the XML declaration of the remote entity", function () {
+            var elements = dashParser.parseRemoteElements('<?xml version="1.0" encoding="UTF-8"?>\n<Period id="p1"/>', "Period", {});
+
+            expect(elements.length).toEqual(1);
+            expect(elements[0].id).toEqual("p1");
+        });
+
+        it("returns no element if the remote entity does not contain the requested elements", function () {
+            expect(dashParser.parseRemoteElements('<AdaptationSet id="1"/>', "Period", {})).toEqual([]);
+        });
+
+        it("returns null if the remote entity is not well-formed", function () {
+            expect(dashParser.parseRemoteElements('<Period id="p1">', "Period", {})).toBeNull();
+        });
+
+        it("inherits the segment information of the parent Period", function () {
+            var period = {
+                    SegmentTemplate: {
+                        media: "$RepresentationID$/$Number$.m4s",
+                        timescale: 1000
+                    }
+                },
+                elements = dashParser.parseRemoteElements('<AdaptationSet mimeType="video/mp4"><Representation id="v1" bandwidth="1000000"/></AdaptationSet>', "AdaptationSet", period);
+
+            expect(elements.length).toEqual(1);
+            expect(elements[0].Representation_asArray[0].SegmentTemplate.media).toEqual("$RepresentationID$/$Number$.m4s");
+        });
+
+        it("selects the BaseURL of the remote elements", function () {
+            var selected = [];
+
+            dashParser.baseURLController.selectBaseURLs = function (element) {
+                selected.push(element.id);
+            };
+            dashParser.parseRemoteElements('<Period id="p1"/><Period id="p2"/>', "Period", {});
+
+            expect(selected).toEqual(["p1", "p2"]);
+        });
+    });
+
+    describe("resolveOnLoad", function () {
+        it("replaces the remote Periods by the elements of the remote entity", function () {
+            var manifest = {
+                    BaseURL: "http://origin/",
+                    Period_asArray: [{"xlink:href": "periods.xml", "xlink:actuate": "onLoad"}]
+                };
+
+            resolveOnLoad(manifest, {"http://origin/periods.xml": '<Period id="p1"/><Period id="p2"/>'}, function (resolved) {
+                expect(resolved.Period_asArray.length).toEqual(2);
+                expect(resolved.Period_asArray[1].id).toEqual("p2");
+            });
+        });
+
+        it("removes the remote elements resolved to zero", function () {
+            var manifest = {
+                    Period_asArray: [{id: "p1"}, {"xlink:href": "urn:mpeg:dash:resolve-to-zero:2013", "xlink:actuate": "onLoad"}]
+                };
+
+            resolveOnLoad(manifest, {}, function (resolved) {
+                expect(resolved.Period_asArray.length).toEqual(1);
+                expect(resolved.Period_asArray[0].id).toEqual("p1");
+            });
+        });
+
+        it("keeps the content of the remote element if the resolution fails", function () {
+            var manifest = {
+                    BaseURL: "http://origin/",
+                    Period_asArray: [{id: "p1", "xlink:href": "missing.xml", "xlink:actuate": "onLoad", AdaptationSet: {}}]
+                };
+
+            resolveOnLoad(manifest, {}, function (resolved) {
+                expect(resolved.Period_asArray.length).toEqual(1);
+                expect(resolved.Period_asArray[0].id).toEqual("p1");
+                expect(resolved.Period_asArray[0].hasOwnProperty("xlink:href")).toBeFalsy();
+                expect(warnings).toEqual(["DOWNLOAD_ERR_XLINK"]);
+            });
+        });
+    });
+});
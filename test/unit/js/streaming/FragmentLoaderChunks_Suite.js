@@ -0,0 +1,109 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("FragmentLoader Chunks Suite", function () {
+    var fragmentLoader,
+
+        // Creates the bytes of a box of the given type and size (header included), with a 64-bit largesize if required
+        createBox = function (boxType, size, largeSize) {
+            var bytes = new Uint8Array(size),
+                headerSize = largeSize ? 16 : 8,
+                i;
+
+            bytes[0] = largeSize ? 0 : (size >>> 24) & 0xFF;
+            bytes[1] = largeSize ? 0 : (size >>> 16) & 0xFF;
+            bytes[2] = largeSize ? 0 : (size >>> 8) & 0xFF;
+            bytes[3] = largeSize ? 1 : size & 0xFF;
+            for (i = 0; i < 4; i += 1) {
+                bytes[4 + i] = boxType.charCodeAt(i);
+            }
+            if (largeSize) {
+                bytes[12] = (size >>> 24) & 0xFF;
+                bytes[13] = (size >>> 16) & 0xFF;
+                bytes[14] = (size >>> 8) & 0xFF;
+                bytes[15] = size & 0xFF;
+            }
+            for (i = headerSize; i < size; i += 1) {
+                bytes[i] = 0xFF;
+            }
+
+            return bytes;
+        },
+
+        concat = function (arrays) {
+            var length = 0,
+                bytes,
+                offset = 0,
+                i;
+
+            for (i = 0; i < arrays.length; i += 1) {
+                length += arrays[i].length;
+            }
+            bytes = new Uint8Array(length);
+            for (i = 0; i < arrays.length; i += 1) {
+                bytes.set(arrays[i], offset);
+                offset += arrays[i].length;
+            }
+
+            return bytes;
+        };
+
+    beforeEach(function () {
+        fragmentLoader = new MediaPlayer.dependencies.FragmentLoader();
+    });
+
+    it("returns 0 if no bytes have been received", function () {
+        expect(fragmentLoader.getCompleteChunksLength(new Uint8Array(0))).toEqual(0);
+    });
+
+    it("returns 0 if the box header is incomplete", function () {
+        expect(fragmentLoader.getCompleteChunksLength(createBox("styp", 24).subarray(0, 6))).toEqual(0);
+    });
+
+    it("returns 0 if no 'mdat' box is complete", function () {
+        var bytes = concat([createBox("styp", 24), createBox("moof", 100), createBox("mdat", 200).subarray(0, 150)]);
+
+        expect(fragmentLoader.getCompleteChunksLength(bytes)).toEqual(0);
+    });
+
+    it("returns the length up to the end of the last complete 'mdat' box", function () {
+        var bytes = concat([createBox("styp", 24), createBox("moof", 100), createBox("mdat", 200), createBox("moof", 100), createBox("mdat", 50)]);
+
+        expect(fragmentLoader.getCompleteChunksLength(bytes)).toEqual(474);
+    });
+
+    it("does not include the complete boxes following the last complete 'mdat' box", function () {
+        var bytes = concat([createBox("moof", 100), createBox("mdat", 200), createBox("moof", 100), createBox("mdat", 50).subarray(0, 20)]);
+
+        expect(fragmentLoader.getCompleteChunksLength(bytes)).toEqual(300);
+    });
+
+    it("supports boxes with a 64-bit largesize", function () {
+        var bytes = concat([createBox("moof", 100), createBox("mdat", 200, true), createBox("moof", 100)]);
+
+        expect(fragmentLoader.getCompleteChunksLength(bytes)).toEqual(300);
+        expect(fragmentLoader.getCompleteChunksLength(bytes.subarray(0, 110))).toEqual(0);
+    });
+
+    it("stops at a box extending to the end of the segment", function () {
+        var bytes = concat([createBox("moof", 100), createBox("mdat", 200), createBox("moof", 100), createBox("mdat", 50)]);
+
+        // size = 0
+        bytes[300] = bytes[301] = bytes[302] = bytes[303] = 0;
+
+        expect(fragmentLoader.getCompleteChunksLength(bytes)).toEqual(300);
+    });
+});
@@ -0,0 +1,55 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("LiveCatchUpController Suite", function () {
+    var liveCatchUpController;
+
+    beforeEach(function () {
+        liveCatchUpController = new MediaPlayer.dependencies.LiveCatchUpController();
+        liveCatchUpController.config = {
+            getParam: function (name, type, def) {
+                return (name === "LiveCatchUp.targetLatency") ? 3 : def;
+            }
+        };
+        liveCatchUpController.setup();
+    });
+
+    it("keeps normal playback rate when latency is close to target latency", function () {
+        expect(liveCatchUpController.computePlaybackRate(0, 10)).toEqual(1);
+        expect(liveCatchUpController.computePlaybackRate(0.1, 10)).toEqual(1);
+        expect(liveCatchUpController.computePlaybackRate(-0.1, 10)).toEqual(1);
+    });
+
+    it("speeds up playback when latency is higher than target latency", function () {
+        expect(liveCatchUpController.computePlaybackRate(0.4, 10)).toEqual(1.02);
+        expect(liveCatchUpController.computePlaybackRate(0.8, 10)).toEqual(1.04);
+    });
+
+    it("slows down playback when latency is lower than target latency", function () {
+        expect(liveCatchUpController.computePlaybackRate(-0.4, 10)).toEqual(0.98);
+        expect(liveCatchUpController.computePlaybackRate(-0.8, 10)).toEqual(0.96);
+    });
+
+    it("limits playback rate to min and max playback rates", function () {
+        expect(liveCatchUpController.computePlaybackRate(4, 10)).toEqual(1.05);
+        expect(liveCatchUpController.computePlaybackRate(-4, 10)).toEqual(0.95);
+    });
+
+    it("does not speed up playback when buffer level is too low", function () {
+        expect(liveCatchUpController.computePlaybackRate(1, 0.2)).toEqual(1);
+        expect(liveCatchUpController.computePlaybackRate(-1, 0.2)).toEqual(0.95);
+    });
+});
@@ -0,0 +1,181 @@
+/*
+ * The copyright in this software module is being made available under the BSD License, included below. This software module may be subject to other third party and/or contributor rights, including patent rights, and no such rights are granted under this license.
+ * The whole software resulting from the execution of this software module together with its external dependent software modules from dash.js project may be subject to Orange and/or other third party rights, including patent rights, and no such rights are granted under this license.
+ *
+ * Copyright (c) 2014, Orange
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+ * •  Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+ * •  Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+ * •  Neither the name of the Orange nor the names of its contributors may be used to endorse or promote products derived from this software module without specific prior written permission.
+ *
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS “AS IS” AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+describe("TimeSyncController Suite", function () {
+    var timeSyncController,
+        manifestExt,
+        mpdLoadedTime = new Date(Date.UTC(2020, 0, 1, 0, 0, 0)),
+
+        createManifest = function (utcTimings) {
+            return {
+                type: "dynamic",
+                BaseURL: "http://origin/live/",
+                mpdLoadedTime: mpdLoadedTime,
+                UTCTiming_asArray: utcTimings
+            };
+        },
+
+        createUTCTiming = function (scheme, value) {
+            return {
+                schemeIdUri: "urn:mpeg:dash:utc:" + scheme + ":2014",
+                value: value
+            };
+        },
+
+        // Creates a fake XHRLoader that responds to each request with the given response text
+        createXHRLoader = function (responseText, urls) {
+            return {
+                initialize: function () {},
+                load: function (url) {
+                    urls.push(url);
+                    if (responseText === null) {
+                        return Q.reject();
+                    }
+                    return Q.when({
+                        responseText: responseText,
+                        startDate: mpdLoadedTime,
+                        endDate: mpdLoadedTime
+                    });
+                }
+            };
+        },
+
+        synchronize = function (manifest, callback) {
+            var offset = null;
+
+            runs(function () {
+                timeSyncController.synchronize(manifest).then(function (value) {
+                    offset = value;
+                });
+            });
+
+            waitsFor(function () {
+                return offset !== null;
+            }, "clock synchronization", 1000);
+
+            runs(function () {
+                callback(offset);
+            });
+        };
+
+    beforeEach(function () {
+        manifestExt = new Dash.dependencies.DashManifestExtensions();
+        timeSyncController = new MediaPlayer.dependencies.TimeSyncController();
+        timeSyncController.debug = {
+            log: function () {},
+            info: function () {},
+            warn: function () {}
+        };
+        timeSyncController.manifestExt = manifestExt;
+    });
+
+    describe("getUTCTimingSources", function () {
+        it("returns no source if the manifest has no UTCTiming element", function () {
+            expect(manifestExt.getUTCTimingSources({})).toEqual([]);
+        });
+
+        it("returns the sources in order, one per url for http schemes", function () {
+            var manifest = createManifest([
+                    createUTCTiming("http-xsdate", "http://time1/date http://time2/date"),
+                    createUTCTiming("direct", "2020-01-01T00:00:00Z"),
+                    createUTCTiming("http-head", "http://time3/")
+                ]);
+
+            expect(manifestExt.getUTCTimingSources(manifest)).toEqual([
+                {scheme: "http-xsdate", value: "http://time1/date"},
+                {scheme: "http-xsdate", value: "http://time2/date"},
+                {scheme: "direct", value: "2020-01-01T00:00:00Z"},
+                {scheme: "http-head", value: "http://time3/"}
+            ]);
+        });
+
+        it("resolves relative urls against the manifest BaseURL", function () {
+            var manifest = createManifest([createUTCTiming("http-iso", "time")]);
+
+            expect(manifestExt.getUTCTimingSources(manifest)).toEqual([{scheme: "http-iso", value: "http://origin/live/time"}]);
+        });
+
+        it("ignores UTCTiming elements which scheme is not a DASH UTC timing scheme", function () {
+            var manifest = createManifest([
+                    {schemeIdUri: "urn:example:time", value: "http://time1/"},
+                    createUTCTiming("ntp", "time.example.com")
+                ]);
+
+            expect(manifestExt.getUTCTimingSources(manifest)).toEqual([{scheme: "ntp", value: "time.example.com"}]);
+        });
+    });
+
+    describe("synchronize", function () {
+        it("returns no offset for static streams", function () {
+            var manifest = createManifest([createUTCTiming("direct", "2020-01-01T00:00:10Z")]);
+
+            manifest.type = "static";
+            synchronize(manifest, function (offset) {
+                expect(offset).toEqual(0);
+            });
+        });
+
+        it("considers a date without timezone as UTC time", function () {
+            synchronize(createManifest([createUTCTiming("direct", "2020-01-01T00:00:10")]), function (offset) {
+                expect(offset).toEqual(10);
+            });
+        });
+
+        it("parses a date with milliseconds and UTC timezone", function () {
+            synchronize(createManifest([createUTCTiming("direct", " 2020-01-01T00:00:10.500Z ")]), function (offset) {
+                expect(offset).toEqual(10.5);
+            });
+        });
+
+        it("parses a date with timezone offset", function () {
+            synchronize(createManifest([createUTCTiming("direct", "2020-01-01T01:00:10+01:00")]), function (offset) {
+                expect(offset).toEqual(10);
+            });
+        });
+
+        it("tries the next source if a date can not be parsed", function () {
+            var manifest = createManifest([
+                    createUTCTiming("direct", "not a date"),
+                    createUTCTiming("direct", "2020-01-01T00:00:20Z")
+                ]);
+
+            synchronize(manifest, function (offset) {
+                expect(offset).toEqual(20);
+            });
+        });
+
+        it("returns no offset if all sources fail", function () {
+            synchronize(createManifest([createUTCTiming("direct", "not a date")]), function (offset) {
+                expect(offset).toEqual(0);
+            });
+        });
+
+        it("loads the server time from http sources, in order", function () {
+            var urls = [],
+                manifest = createManifest([createUTCTiming("http-xsdate", "http://time1/date http://time2/date")]),
+                loaders = [createXHRLoader(null, urls), createXHRLoader("2020-01-01T00:00:30Z", urls)];
+
+            spyOn(MediaPlayer.dependencies, "XHRLoader").andCallFake(function () {
+                return loaders.shift();
+            });
+
+            synchronize(manifest, function (offset) {
+                expect(urls).toEqual(["http://time1/date", "http://time2/date"]);
+                expect(offset).toEqual(30);
+            });
+        });
+    });
+});